@@ -0,0 +1,51 @@
+const { transaction } = require('../config/database');
+const { MUTATING_METHODS, appendAuditLog, buildRequestEntry } = require('../utils/audit');
+
+// Registrar no log de auditoria toda alteração autenticada concluída com sucesso.
+// Rotas financeiras e de permissões gravam a própria entrada com recordAudit, na mesma
+// transação da alteração; as demais recebem aqui uma entrada genérica, gravada antes do
+// envio da resposta: se a gravação falhar, a entrada completa vai para o log de erros e o
+// cliente recebe erro, em vez de a alteração passar sem registro.
+const auditMutations = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const send = res.send.bind(res);
+  let handled = false;
+
+  // res.json também passa por res.send
+  res.send = (body) => {
+    const recorded = res.locals.audit && res.locals.audit.recorded;
+
+    if (handled || recorded || !req.user || res.statusCode >= 400) {
+      return send(body);
+    }
+
+    handled = true;
+    const entry = buildRequestEntry(req, res);
+
+    transaction((client) => appendAuditLog(client, entry))
+      .then(() => send(body))
+      .catch((error) => {
+        console.error('Erro ao gravar log de auditoria (alteração aplicada sem registro):', JSON.stringify(entry), error);
+
+        res.status(500);
+        res.removeHeader('Content-Disposition');
+        res.set('Content-Type', 'application/json; charset=utf-8');
+        send(JSON.stringify({
+          success: false,
+          message: 'A alteração foi aplicada, mas não foi possível registrá-la no log de auditoria',
+          code: 'AUDIT_LOG_FAILED'
+        }));
+      });
+
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  auditMutations
+};
@@ -1,8 +1,26 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const {
+  getRequestApiKey,
+  getScopePermissions,
+  findActiveApiKey,
+  touchApiKey,
+  consumeApiKeyRateLimit
+} = require('../utils/apiKeys');
+const { TWO_FACTOR_REQUIRED_ROLES } = require('../utils/twoFactor');
 
-const authenticateToken = async (req, res, next) => {
+// Autenticar por JWT. Usuários de papéis que exigem 2FA sem o segundo fator cadastrado
+// recebem uma sessão restrita: só as rotas com allowTwoFactorSetup (cadastro do 2FA) aceitam.
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
+    // Chaves de API só valem nas rotas liberadas com acceptApiKey
+    if (getRequestApiKey(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Chave de API não aceita neste recurso'
+      });
+    }
+
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
 
@@ -15,10 +33,29 @@ const authenticateToken = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Buscar usuário no banco
+    // Buscar usuário no banco (com o afiliado/terapeuta vinculado, usado nas regras de posse,
+    // e as permissões do papel)
     const { rows } = await pool.query(
-      'SELECT id, email, role, is_active, name FROM users WHERE id = $1',
-      [decoded.userId]
+      `SELECT 
+        u.id, u.email, u.role, u.is_active, u.is_master, u.name,
+        ARRAY(
+          SELECT rp.permission FROM role_permissions rp
+          JOIN roles r ON rp.role_id = r.id
+          WHERE r.name = u.role
+        ) as permissions,
+        (SELECT a.id FROM affiliates a WHERE a.user_id = u.id LIMIT 1) as affiliate_id,
+        (SELECT t.id FROM therapists t WHERE t.user_id = u.id LIMIT 1) as therapist_id,
+        EXISTS (
+          SELECT 1 FROM user_two_factor tf WHERE tf.user_id = u.id AND tf.enabled_at IS NOT NULL
+        ) as two_factor_enabled,
+        s.id IS NOT NULL as session_active,
+        s.two_factor_verified_at,
+        s.impersonated_by
+      FROM users u
+      LEFT JOIN user_sessions s 
+        ON s.id = $2 AND s.user_id = u.id AND s.revoked_at IS NULL AND s.expires_at > NOW()
+      WHERE u.id = $1`,
+      [decoded.userId, decoded.sid || null]
     );
 
     if (rows.length === 0) {
@@ -28,7 +65,7 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const user = rows[0];
+    const { session_active, ...user } = rows[0];
 
     if (!user.is_active) {
       return res.status(401).json({
@@ -37,7 +74,33 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Sessão encerrada (logout, troca de senha ou revogação)
+    if (!session_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão encerrada. Faça login novamente'
+      });
+    }
+
+    user.session_id = decoded.sid;
+    // Sessões de impersonação dependem do 2FA de quem as abriu
+    user.two_factor_setup_required = TWO_FACTOR_REQUIRED_ROLES.includes(user.role) &&
+      !user.two_factor_enabled && !user.impersonated_by;
     req.user = user;
+
+    if (user.two_factor_setup_required && !allowTwoFactorSetup) {
+      return res.status(403).json({
+        success: false,
+        message: 'Cadastre a autenticação em dois fatores para continuar',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    // Sessão aberta por um administrador em nome do usuário
+    if (user.impersonated_by) {
+      res.set('X-Impersonated-By', user.impersonated_by);
+    }
+
     next();
 
   } catch (error) {
@@ -62,6 +125,78 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+const authenticateToken = authenticate();
+
+// Rotas liberadas também na sessão restrita (cadastro do 2FA, logout e dados da sessão)
+const authenticateTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Aceitar chave de API com o escopo informado; sem chave, segue a autenticação por JWT
+const acceptApiKey = (scope) => {
+  return async (req, res, next) => {
+    const key = getRequestApiKey(req);
+
+    if (!key) {
+      return authenticateToken(req, res, next);
+    }
+
+    try {
+      const apiKey = await findActiveApiKey(pool, key);
+
+      if (!apiKey) {
+        return res.status(401).json({
+          success: false,
+          message: 'Chave de API inválida'
+        });
+      }
+
+      if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Chave de API sem o escopo necessário'
+        });
+      }
+
+      const usage = consumeApiKeyRateLimit(apiKey);
+
+      res.set('X-RateLimit-Limit', String(usage.limit));
+      res.set('X-RateLimit-Remaining', String(usage.remaining));
+
+      if (!usage.allowed) {
+        res.set('Retry-After', String(Math.ceil((usage.resetAt - Date.now()) / 1000)));
+        return res.status(429).json({
+          success: false,
+          message: 'Limite de requisições da chave de API excedido'
+        });
+      }
+
+      touchApiKey(pool, apiKey.id, req.ip).catch((error) => {
+        console.error('Erro ao registrar uso da chave de API:', error);
+      });
+
+      // Integrações não têm usuário; os escopos da chave valem como as permissões de um papel
+      req.user = {
+        id: null,
+        name: apiKey.name,
+        role: 'api_key',
+        api_key_id: apiKey.id,
+        scopes: apiKey.scopes,
+        permissions: getScopePermissions(apiKey.scopes),
+        affiliate_id: null,
+        therapist_id: null
+      };
+
+      next();
+
+    } catch (error) {
+      console.error('Erro ao autenticar chave de API:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  };
+};
+
 // Verificar role específico
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -75,9 +210,237 @@ const requireRole = (roles) => {
   };
 };
 
-// Verificar se é usuário master
+// O usuário tem ao menos uma das permissões informadas
+const hasPermission = (user, permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+  return required.some((permission) => (user.permissions || []).includes(permission));
+};
+
+// Exigir permissão do papel do usuário (ao menos uma, quando informada uma lista)
+const requirePermission = (permissions) => {
+  return (req, res, next) => {
+    if (!hasPermission(req.user, permissions)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Permissão negada'
+      });
+    }
+    next();
+  };
+};
+
+// Bloquear ações destrutivas ou de segurança durante a impersonação
+// (pagamentos, senha, 2FA, dados de pagamento)
+const blockImpersonation = (req, res, next) => {
+  if (req.user.impersonated_by) {
+    return res.status(403).json({
+      success: false,
+      message: 'Ação não permitida durante o acesso como outro usuário',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+// Janela em que a confirmação do segundo fator vale para ações sensíveis
+const TWO_FACTOR_RECENT_MINUTES = parseInt(process.env.TWO_FACTOR_RECENT_MINUTES) || 15;
+
+// Exigir segundo fator confirmado recentemente na sessão (pagamentos, taxas de comissão)
+const requireRecentTwoFactor = (req, res, next) => {
+  const verifiedAt = req.user.two_factor_verified_at;
+
+  if (!verifiedAt || Date.now() - new Date(verifiedAt).getTime() > TWO_FACTOR_RECENT_MINUTES * 60 * 1000) {
+    return res.status(403).json({
+      success: false,
+      message: 'Confirme o código de autenticação em dois fatores para continuar',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+// Agendamentos e séries: do afiliado que indicou ou do terapeuta que atende.
+// Confirmar e concluir (bookings.manage_own) cabe só ao terapeuta.
+const BOOKING_OWNERS = [
+  {
+    permissions: ['bookings.view_own', 'bookings.cancel_own', 'bookings.reschedule_own'],
+    owner: 'affiliate_id',
+    condition: (alias, param) => `${alias}.affiliate_id = ${param}`
+  },
+  {
+    permissions: ['bookings.view_own', 'bookings.cancel_own', 'bookings.reschedule_own', 'bookings.manage_own'],
+    owner: 'therapist_id',
+    condition: (alias, param) => `${alias}.therapist_id = ${param}`
+  }
+];
+
+// Regras de posse por recurso. `permissions` dá acesso a todos os registros; cada regra
+// em `owners` liga o registro ao afiliado ou terapeuta do usuário (`owner`) e vale para
+// quem tem uma das permissões "_own"/"_linked" da regra.
+const OWNERSHIP_POLICIES = {
+  affiliate: {
+    table: 'affiliates',
+    notFound: 'Afiliado não encontrado',
+    permissions: ['affiliates.view', 'affiliates.manage'],
+    owners: [
+      {
+        permissions: ['affiliates.manage_own'],
+        owner: 'affiliate_id',
+        condition: (alias, param) => `${alias}.id = ${param}`
+      },
+      {
+        // Terapeutas veem os afiliados que indicaram clientes para eles
+        permissions: ['affiliates.view_linked'],
+        owner: 'therapist_id',
+        condition: (alias, param) =>
+          `EXISTS (SELECT 1 FROM bookings ob WHERE ob.affiliate_id = ${alias}.id AND ob.therapist_id = ${param})`
+      }
+    ]
+  },
+  therapist: {
+    table: 'therapists',
+    notFound: 'Terapeuta não encontrado',
+    permissions: ['therapists.manage'],
+    owners: [
+      {
+        permissions: ['therapists.manage_own'],
+        owner: 'therapist_id',
+        condition: (alias, param) => `${alias}.id = ${param}`
+      }
+    ]
+  },
+  service: {
+    table: 'services',
+    notFound: 'Serviço não encontrado',
+    permissions: ['services.manage'],
+    owners: [
+      {
+        permissions: ['services.manage_own'],
+        owner: 'therapist_id',
+        condition: (alias, param) => `${alias}.therapist_id = ${param}`
+      }
+    ]
+  },
+  booking: {
+    table: 'bookings',
+    notFound: 'Agendamento não encontrado',
+    permissions: ['bookings.view', 'bookings.manage'],
+    owners: BOOKING_OWNERS
+  },
+  booking_series: {
+    table: 'booking_series',
+    notFound: 'Série não encontrada',
+    permissions: ['bookings.view', 'bookings.manage'],
+    owners: BOOKING_OWNERS
+  },
+  commission: {
+    table: 'commissions',
+    notFound: 'Comissão não encontrada',
+    permissions: ['commissions.view'],
+    owners: [
+      {
+        permissions: ['commissions.view_own'],
+        owner: 'affiliate_id',
+        condition: (alias, param) => `${alias}.affiliate_id = ${param}`
+      }
+    ]
+  }
+};
+
+// Condições de posse do usuário para o recurso, com os parâmetros correspondentes.
+// `own` limita as permissões "_own" aceitas (ex.: só bookings.manage_own ao concluir).
+const getOwnershipConditions = (user, resource, alias, paramIndex, own) => {
+  const conditions = [];
+  const params = [];
+
+  for (const rule of OWNERSHIP_POLICIES[resource].owners) {
+    const permissions = own ? rule.permissions.filter((permission) => own.includes(permission)) : rule.permissions;
+
+    if (!user[rule.owner] || !permissions.length || !hasPermission(user, permissions)) {
+      continue;
+    }
+
+    conditions.push(rule.condition(alias, `$${paramIndex + params.length}`));
+    params.push(user[rule.owner]);
+  }
+
+  return { condition: conditions.length ? `(${conditions.join(' OR ')})` : null, params };
+};
+
+// Restringir listagens aos registros do usuário (filtra em vez de bloquear).
+// Retorna o trecho a acrescentar ao WHERE e os parâmetros correspondentes.
+const ownershipScope = (user, resource, alias, paramIndex, { own } = {}) => {
+  if (hasPermission(user, OWNERSHIP_POLICIES[resource].permissions)) {
+    return { clause: '', params: [] };
+  }
+
+  const { condition, params } = getOwnershipConditions(user, resource, alias, paramIndex, own);
+
+  if (!condition) {
+    return { clause: ' AND FALSE', params: [] };
+  }
+
+  return { clause: ` AND ${condition}`, params };
+};
+
+// Exigir que o registro identificado em req.params pertença ao usuário.
+// `own` limita quais permissões "_own" permitem agir sobre os próprios registros; `permissions`
+// substitui as permissões que dão acesso a todos (ex.: bookings.manage em alterações).
+const requireOwnership = (resource, { param = 'id', own, permissions } = {}) => {
+  const policy = OWNERSHIP_POLICIES[resource];
+
+  return async (req, res, next) => {
+    if (hasPermission(req.user, permissions || policy.permissions)) {
+      return next();
+    }
+
+    try {
+      const { condition, params } = getOwnershipConditions(req.user, resource, 'r', 2, own);
+
+      const { rows } = await pool.query(
+        `SELECT ${condition || 'FALSE'} as is_owner FROM ${policy.table} r WHERE r.id = $1`,
+        [req.params[param], ...params]
+      );
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: policy.notFound
+        });
+      }
+
+      if (!rows[0].is_owner) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permissão negada'
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      // ID com formato inválido
+      if (error.code === '22P02') {
+        return res.status(404).json({
+          success: false,
+          message: policy.notFound
+        });
+      }
+
+      console.error('Erro ao verificar permissão:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  };
+};
+
+// Verificar se é usuário master (users.is_master)
 const requireMaster = (req, res, next) => {
-  if (req.user.email !== process.env.MASTER_EMAIL && req.user.id !== process.env.MASTER_USER_ID) {
+  if (!req.user.is_master) {
     return res.status(403).json({
       success: false,
       message: 'Acesso restrito ao usuário master'
@@ -86,4 +449,16 @@ const requireMaster = (req, res, next) => {
   next();
 };
 
-module.exports = { authenticateToken, requireRole, requireMaster };
\ No newline at end of file
+module.exports = {
+  authenticateToken,
+  authenticateTwoFactorSetup,
+  acceptApiKey,
+  requireRole,
+  hasPermission,
+  requirePermission,
+  blockImpersonation,
+  requireOwnership,
+  ownershipScope,
+  requireRecentTwoFactor,
+  requireMaster
+};
\ No newline at end of file
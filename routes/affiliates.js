@@ -1,41 +1,766 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { body, query, validationResult } = require('express-validator');
 const { pool, transaction } = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  acceptApiKey,
+  requirePermission,
+  requireOwnership,
+  ownershipScope,
+  blockImpersonation,
+  requireRecentTwoFactor
+} = require('../middleware/auth');
 const { generateReferralCode } = require('../utils/helpers');
+const { getSetting, saveAuditedSetting } = require('../utils/settings');
+const { MAX_COMMISSION_LEVELS } = require('../utils/commissions');
+const {
+  getAffiliateTierMetrics,
+  getActiveTiers,
+  findQualifyingTier,
+  evaluateAffiliateTiers
+} = require('../utils/tiers');
+const { PIX_KEY_TYPES, BANK_ACCOUNT_TYPES, getPayoutProfile, savePayoutProfile } = require('../utils/payoutProfiles');
+const { sendPayoutProfileChangedEmail, getAppUrl } = require('../utils/mailer');
+const {
+  MAX_SERIES_POINTS,
+  getAffiliateStats,
+  getAffiliateTimeSeries,
+  getRecentConversions,
+  getUpcomingPayouts
+} = require('../utils/affiliateDashboard');
+const { recordAudit } = require('../utils/audit');
+const {
+  ACCOUNT_LOCKED_MESSAGE,
+  isAccountLocked,
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
 const router = express.Router();
 
-// Listar afiliados
-router.get('/', 
+// Resolver o afiliado do usuário autenticado (rotas /me)
+async function loadCurrentAffiliate(req, res, next) {
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM affiliates WHERE user_id = $1',
+      [req.user.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Perfil de afiliado não encontrado'
+      });
+    }
+
+    req.affiliate = rows[0];
+    next();
+  } catch (error) {
+    console.error('Erro ao buscar afiliado do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+}
+
+const dateRangeValidators = [
+  query('date_from').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('date_to').optional().isISO8601().withMessage('Data final inválida')
+];
+
+// Listar afiliados
+router.get('/', 
+  acceptApiKey('affiliates:read'),
+  requirePermission(['affiliates.view', 'affiliates.view_linked']),
+  async (req, res) => {
+    try {
+      // Terapeutas veem apenas os afiliados que indicaram clientes para eles
+      const scope = ownershipScope(req.user, 'affiliate', 'a', 1);
+
+      const { rows } = await pool.query(
+        `SELECT 
+          a.*,
+          u.name,
+          u.email,
+          u.is_active,
+          COUNT(DISTINCT b.id) as total_bookings,
+          SUM(CASE WHEN b.status = 'completed' THEN b.total_amount ELSE 0 END) as total_revenue,
+          SUM(CASE WHEN c.status = 'paid' THEN c.amount ELSE 0 END) as total_commissions_paid,
+          SUM(CASE WHEN c.status = 'pending' THEN c.amount ELSE 0 END) as total_commissions_pending,
+          SUM(CASE WHEN c.status = 'approved' THEN c.amount ELSE 0 END) as total_commissions_approved
+        FROM affiliates a
+        LEFT JOIN users u ON a.user_id = u.id
+        LEFT JOIN bookings b ON a.id = b.affiliate_id
+        LEFT JOIN commissions c ON a.id = c.affiliate_id
+        WHERE 1=1${scope.clause}
+        GROUP BY a.id, u.name, u.email, u.is_active
+        ORDER BY a.created_at DESC`,
+        scope.params
+      );
+
+      res.json({
+        success: true,
+        data: rows
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar afiliados:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Listar níveis de desempenho
+router.get('/tiers', 
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT 
+          ct.*,
+          COUNT(a.id) as total_affiliates
+        FROM commission_tiers ct
+        LEFT JOIN affiliates a ON a.tier_id = ct.id
+        GROUP BY ct.id
+        ORDER BY ct.position ASC`
+      );
+
+      res.json({
+        success: true,
+        data: rows
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar níveis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Criar nível de desempenho
+router.post('/tiers', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Nome do nível obrigatório'),
+    body('position').isInt({ min: 0 }).withMessage('Posição inválida'),
+    body('min_completed_bookings').optional().isInt({ min: 0 }).withMessage('Mínimo de agendamentos inválido'),
+    body('min_revenue').optional().isFloat({ min: 0 }).withMessage('Receita mínima inválida'),
+    body('commission_rate').isFloat({ min: 0, max: 100 }).withMessage('Taxa de comissão inválida (0-100)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { name, position, min_completed_bookings = 0, min_revenue = 0, commission_rate } = req.body;
+
+      const rows = await transaction(async (client) => {
+        const { rows: createdRows } = await client.query(
+          `INSERT INTO commission_tiers (name, position, min_completed_bookings, min_revenue, commission_rate, is_active, created_at)
+           VALUES ($1, $2, $3, $4, $5, true, NOW())
+           RETURNING *`,
+          [name, position, min_completed_bookings, min_revenue, commission_rate]
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'commission_tier.create',
+          entityType: 'commission_tier',
+          entityId: createdRows[0].id,
+          after: createdRows[0],
+          status: 201
+        });
+
+        return createdRows;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Nível criado com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe um nível com este nome ou posição'
+        });
+      }
+
+      console.error('Erro ao criar nível:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Atualizar nível de desempenho
+router.put('/tiers/:tierId', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  [
+    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Nome do nível obrigatório'),
+    body('position').optional().isInt({ min: 0 }).withMessage('Posição inválida'),
+    body('min_completed_bookings').optional().isInt({ min: 0 }).withMessage('Mínimo de agendamentos inválido'),
+    body('min_revenue').optional().isFloat({ min: 0 }).withMessage('Receita mínima inválida'),
+    body('commission_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Taxa de comissão inválida (0-100)'),
+    body('is_active').optional().isBoolean().withMessage('Status ativo inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { tierId } = req.params;
+      const fields = ['name', 'position', 'min_completed_bookings', 'min_revenue', 'commission_rate', 'is_active'];
+
+      const updateFields = [];
+      const params = [];
+      let paramIndex = 1;
+
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateFields.push(`${field} = $${paramIndex}`);
+          params.push(req.body[field]);
+          paramIndex++;
+        }
+      });
+
+      if (updateFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum campo para atualizar'
+        });
+      }
+
+      updateFields.push(`updated_at = NOW()`);
+      params.push(tierId);
+
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM commission_tiers WHERE id = $1 FOR UPDATE',
+          [tierId]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(
+          `UPDATE commission_tiers 
+           SET ${updateFields.join(', ')}
+           WHERE id = $${paramIndex}
+           RETURNING *`,
+          params
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'commission_tier.update',
+          entityType: 'commission_tier',
+          entityId: tierId,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Nível não encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Nível atualizado com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(400).json({
+          success: false,
+          message: 'Já existe um nível com este nome ou posição'
+        });
+      }
+
+      console.error('Erro ao atualizar nível:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Reavaliar níveis de todos os afiliados agora
+router.post('/tiers/evaluate', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  async (req, res) => {
+    try {
+      const result = await evaluateAffiliateTiers(pool, { actorId: req.user.id });
+
+      if (result.skipped) {
+        return res.status(409).json({
+          success: false,
+          message: 'Avaliação de níveis já em andamento'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Níveis reavaliados com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Erro ao reavaliar níveis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Buscar janela de avaliação dos níveis
+router.get('/settings/tiers', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  async (req, res) => {
+    try {
+      const settings = await getSetting(pool, 'tiers');
+
+      res.json({
+        success: true,
+        data: settings
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar configuração de níveis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Atualizar janela de avaliação dos níveis
+router.put('/settings/tiers', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  [
+    body('window_days').isInt({ min: 1, max: 365 }).withMessage('Janela de avaliação inválida (1-365 dias)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const setting = await transaction((client) => saveAuditedSetting(
+        client,
+        req,
+        res,
+        'tiers',
+        { window_days: parseInt(req.body.window_days) }
+      ));
+
+      res.json({
+        success: true,
+        message: 'Configuração de níveis atualizada com sucesso',
+        data: setting.value
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar configuração de níveis:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Buscar configuração de atribuição
+router.get('/settings/attribution', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  async (req, res) => {
+    try {
+      const settings = await getSetting(pool, 'attribution');
+
+      res.json({
+        success: true,
+        data: settings
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar configuração de atribuição:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Atualizar configuração de atribuição (primeiro ou último clique e janela)
+router.put('/settings/attribution', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  [
+    body('model').isIn(['first_click', 'last_click']).withMessage('Modelo de atribuição inválido'),
+    body('window_days').isInt({ min: 1, max: 365 }).withMessage('Janela de atribuição inválida (1-365 dias)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { model, window_days } = req.body;
+
+      const setting = await transaction((client) => saveAuditedSetting(
+        client,
+        req,
+        res,
+        'attribution',
+        { model, window_days: parseInt(window_days) }
+      ));
+
+      res.json({
+        success: true,
+        message: 'Configuração de atribuição atualizada com sucesso',
+        data: setting.value
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar configuração de atribuição:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Buscar percentuais de override por nível
+router.get('/settings/commission-levels', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  async (req, res) => {
+    try {
+      const settings = await getSetting(pool, 'commission_levels');
+
+      res.json({
+        success: true,
+        data: settings
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar níveis de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Atualizar percentuais de override (posição 0 = nível 2, posição 1 = nível 3...)
+router.put('/settings/commission-levels', 
+  authenticateToken,
+  requirePermission('affiliates.manage'),
+  [
+    body('override_rates').isArray({ min: 1, max: MAX_COMMISSION_LEVELS - 1 }).withMessage(`Informe de 1 a ${MAX_COMMISSION_LEVELS - 1} níveis de override`),
+    body('override_rates.*').isFloat({ min: 0, max: 100 }).withMessage('Percentual de override inválido (0-100)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const overrideRates = req.body.override_rates.map(rate => parseFloat(rate));
+
+      const setting = await transaction((client) => saveAuditedSetting(
+        client,
+        req,
+        res,
+        'commission_levels',
+        { override_rates: overrideRates }
+      ));
+
+      res.json({
+        success: true,
+        message: 'Níveis de comissão atualizados com sucesso',
+        data: setting.value
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar níveis de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Perfil do afiliado autenticado
+router.get('/me', 
+  authenticateToken,
+  loadCurrentAffiliate,
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT 
+          a.*,
+          u.name,
+          u.email,
+          t.name as tier_name,
+          pa.referral_code as parent_referral_code
+        FROM affiliates a
+        JOIN users u ON a.user_id = u.id
+        LEFT JOIN commission_tiers t ON a.tier_id = t.id
+        LEFT JOIN affiliates pa ON a.parent_affiliate_id = pa.id
+        WHERE a.id = $1`,
+        [req.affiliate.id]
+      );
+
+      const payoutProfile = await getPayoutProfile(pool, req.affiliate.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...rows[0],
+          payout_profile: payoutProfile
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar perfil do afiliado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Estatísticas do afiliado autenticado em um período qualquer
+router.get('/me/stats', 
+  authenticateToken,
+  dateRangeValidators,
+  loadCurrentAffiliate,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const stats = await getAffiliateStats(pool, req.affiliate.id, {
+        dateFrom: req.query.date_from,
+        dateTo: req.query.date_to
+      });
+
+      res.json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar estatísticas do afiliado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Série diária/semanal de agendamentos e comissões (padrão: últimos 30 dias)
+router.get('/me/timeseries', 
   authenticateToken,
-  requireRole(['admin', 'therapist']),
+  [
+    ...dateRangeValidators,
+    query('interval').optional().isIn(['day', 'week']).withMessage('Intervalo inválido (day ou week)')
+  ],
+  loadCurrentAffiliate,
   async (req, res) => {
     try {
-      const { rows } = await pool.query(
-        `SELECT 
-          a.*,
-          u.name,
-          u.email,
-          u.is_active,
-          COUNT(DISTINCT b.id) as total_bookings,
-          SUM(CASE WHEN b.status = 'completed' THEN b.total_amount ELSE 0 END) as total_revenue,
-          SUM(CASE WHEN c.status = 'paid' THEN c.amount ELSE 0 END) as total_commissions_paid,
-          SUM(CASE WHEN c.status = 'pending' THEN c.amount ELSE 0 END) as total_commissions_pending
-        FROM affiliates a
-        LEFT JOIN users u ON a.user_id = u.id
-        LEFT JOIN bookings b ON a.id = b.affiliate_id
-        LEFT JOIN commissions c ON a.id = c.affiliate_id
-        GROUP BY a.id, u.name, u.email, u.is_active
-        ORDER BY a.created_at DESC`
-      );
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const interval = req.query.interval || 'day';
+      const dateTo = req.query.date_to ? new Date(req.query.date_to) : new Date();
+      const dateFrom = req.query.date_from
+        ? new Date(req.query.date_from)
+        : new Date(dateTo.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+      const days = Math.floor((dateTo - dateFrom) / (24 * 60 * 60 * 1000)) + 1;
+      const points = interval === 'week' ? Math.ceil(days / 7) : days;
+
+      if (days < 1 || points > MAX_SERIES_POINTS) {
+        return res.status(400).json({
+          success: false,
+          message: `Período inválido (máximo de ${MAX_SERIES_POINTS} pontos)`
+        });
+      }
+
+      const series = await getAffiliateTimeSeries(pool, req.affiliate.id, {
+        interval,
+        dateFrom: dateFrom.toISOString().slice(0, 10),
+        dateTo: dateTo.toISOString().slice(0, 10)
+      });
 
       res.json({
         success: true,
-        data: rows
+        data: {
+          interval,
+          date_from: dateFrom.toISOString().slice(0, 10),
+          date_to: dateTo.toISOString().slice(0, 10),
+          series
+        }
       });
 
     } catch (error) {
-      console.error('Erro ao buscar afiliados:', error);
+      console.error('Erro ao buscar série do afiliado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Links de indicação do afiliado autenticado
+router.get('/me/referral-links', 
+  authenticateToken,
+  loadCurrentAffiliate,
+  (req, res) => {
+    const code = encodeURIComponent(req.affiliate.referral_code);
+    const trackingLink = `${req.protocol}://${req.get('host')}/r/${code}`;
+
+    res.json({
+      success: true,
+      data: {
+        referral_code: req.affiliate.referral_code,
+        // Registra o clique e aplica a atribuição (aceita ?to=/caminho e parâmetros UTM)
+        tracking_link: trackingLink,
+        // Exemplo com página de destino e UTM
+        campaign_example: `${trackingLink}?to=/&utm_source=instagram&utm_medium=social&utm_campaign=divulgacao`,
+        // Link direto (sem registro de clique; o código é aplicado no agendamento)
+        direct_link: `${getAppUrl()}/?ref=${code}`
+      }
+    });
+  }
+);
+
+// Conversões recentes (dados do cliente mascarados)
+router.get('/me/conversions', 
+  authenticateToken,
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite inválido')
+  ],
+  loadCurrentAffiliate,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const conversions = await getRecentConversions(pool, req.affiliate.id, parseInt(req.query.limit) || 20);
+
+      res.json({
+        success: true,
+        data: conversions
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar conversões do afiliado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Estimativa dos próximos pagamentos
+router.get('/me/payouts/upcoming', 
+  authenticateToken,
+  loadCurrentAffiliate,
+  async (req, res) => {
+    try {
+      const upcoming = await getUpcomingPayouts(pool, req.affiliate.id);
+
+      res.json({
+        success: true,
+        data: upcoming
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar próximos pagamentos:', error);
       res.status(500).json({
         success: false,
         message: 'Erro interno do servidor'
@@ -46,7 +771,8 @@ router.get('/',
 
 // Buscar afiliado específico
 router.get('/:id', 
-  authenticateToken,
+  acceptApiKey('affiliates:read'),
+  requireOwnership('affiliate'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -88,11 +814,12 @@ router.get('/:id',
 // Criar afiliado
 router.post('/', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('affiliates.manage'),
   [
     body('user_id').isUUID().withMessage('ID do usuário inválido'),
     body('commission_rate').isFloat({ min: 0, max: 100 }).withMessage('Taxa de comissão inválida (0-100)'),
-    body('referral_code').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Código de referência inválido')
+    body('referral_code').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Código de referência inválido'),
+    body('parent_referral_code').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Código do recrutador inválido')
   ],
   async (req, res) => {
     try {
@@ -105,12 +832,12 @@ router.post('/',
         });
       }
 
-      const { user_id, commission_rate, referral_code } = req.body;
+      const { user_id, commission_rate, referral_code, parent_referral_code } = req.body;
 
       const result = await transaction(async (client) => {
         // Verificar se usuário existe
         const { rows: userRows } = await client.query(
-          'SELECT id, name, email FROM users WHERE id = $1',
+          'SELECT id, name, email, referred_by_affiliate_id FROM users WHERE id = $1',
           [user_id]
         );
 
@@ -118,6 +845,21 @@ router.post('/',
           throw new Error('Usuário não encontrado');
         }
 
+        // Recrutador: código informado ou o usado no cadastro do usuário
+        let parentAffiliateId = userRows[0].referred_by_affiliate_id;
+        if (parent_referral_code) {
+          const { rows: parentRows } = await client.query(
+            'SELECT id FROM affiliates WHERE referral_code = $1',
+            [parent_referral_code]
+          );
+
+          if (parentRows.length === 0) {
+            throw new Error('Código do recrutador não encontrado');
+          }
+
+          parentAffiliateId = parentRows[0].id;
+        }
+
         // Verificar se já é afiliado
         const { rows: existingRows } = await client.query(
           'SELECT id FROM affiliates WHERE user_id = $1',
@@ -146,10 +888,10 @@ router.post('/',
 
         // Criar afiliado
         const { rows: affiliateRows } = await client.query(
-          `INSERT INTO affiliates (user_id, referral_code, commission_rate, created_at)
-           VALUES ($1, $2, $3, NOW())
+          `INSERT INTO affiliates (user_id, referral_code, commission_rate, parent_affiliate_id, created_at)
+           VALUES ($1, $2, $3, $4, NOW())
            RETURNING *`,
-          [user_id, finalReferralCode, commission_rate]
+          [user_id, finalReferralCode, commission_rate, parentAffiliateId]
         );
 
         return affiliateRows[0];
@@ -174,9 +916,11 @@ router.post('/',
 // Atualizar afiliado
 router.put('/:id', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('affiliates.manage'),
+  requireRecentTwoFactor,
   [
     body('commission_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Taxa de comissão inválida (0-100)'),
+    body('commission_rate_locked').optional().isBoolean().withMessage('Trava de taxa inválida'),
     body('is_active').optional().isBoolean().withMessage('Status ativo inválido')
   ],
   async (req, res) => {
@@ -193,6 +937,11 @@ router.put('/:id',
       const { id } = req.params;
       const { commission_rate, is_active } = req.body;
 
+      // Taxa manual deixa de seguir o nível de desempenho, salvo se destravada
+      const commission_rate_locked = req.body.commission_rate_locked !== undefined
+        ? req.body.commission_rate_locked
+        : (commission_rate !== undefined ? true : undefined);
+
       const updateFields = [];
       const params = [];
       let paramIndex = 1;
@@ -203,6 +952,12 @@ router.put('/:id',
         paramIndex++;
       }
 
+      if (commission_rate_locked !== undefined) {
+        updateFields.push(`commission_rate_locked = $${paramIndex}`);
+        params.push(commission_rate_locked);
+        paramIndex++;
+      }
+
       if (is_active !== undefined) {
         updateFields.push(`is_active = $${paramIndex}`);
         params.push(is_active);
@@ -226,7 +981,29 @@ router.put('/:id',
         RETURNING *
       `;
 
-      const { rows } = await pool.query(query, params);
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM affiliates WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(query, params);
+
+        await recordAudit(client, req, res, {
+          action: 'affiliate.update',
+          entityType: 'affiliate',
+          entityId: id,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
 
       if (rows.length === 0) {
         return res.status(404).json({
@@ -251,19 +1028,295 @@ router.put('/:id',
   }
 );
 
+// Progresso do afiliado em direção ao próximo nível
+router.get('/:id/tier-progress', 
+  authenticateToken,
+  requireOwnership('affiliate', { own: ['affiliates.manage_own'] }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { rows: affiliateRows } = await pool.query(
+        `SELECT a.id, a.user_id, a.tier_id, a.tier_evaluated_at, a.commission_rate, a.commission_rate_locked
+         FROM affiliates a WHERE a.id = $1`,
+        [id]
+      );
+
+      if (affiliateRows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Afiliado não encontrado'
+        });
+      }
+
+      const affiliate = affiliateRows[0];
+
+      const { window_days } = await getSetting(pool, 'tiers');
+      const tiers = await getActiveTiers(pool);
+      const metrics = await getAffiliateTierMetrics(pool, id, window_days);
+
+      const currentTier = tiers.find(tier => tier.id === affiliate.tier_id) || null;
+      const qualifyingTier = findQualifyingTier(tiers, metrics);
+      const referenceTier = currentTier || qualifyingTier;
+      const nextTier = referenceTier
+        ? tiers.find(tier => tier.position > referenceTier.position) || null
+        : null;
+
+      res.json({
+        success: true,
+        data: {
+          window_days,
+          metrics,
+          commission_rate: affiliate.commission_rate,
+          commission_rate_locked: affiliate.commission_rate_locked,
+          current_tier: currentTier,
+          qualifies_for: qualifyingTier,
+          tier_evaluated_at: affiliate.tier_evaluated_at,
+          next_tier: nextTier,
+          remaining: nextTier ? {
+            completed_bookings: Math.max(nextTier.min_completed_bookings - metrics.completed_bookings, 0),
+            revenue: Math.max(Math.round((parseFloat(nextTier.min_revenue) - metrics.revenue) * 100) / 100, 0)
+          } : null
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar progresso de nível:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Dados de pagamento do afiliado (sempre mascarados)
+router.get('/:id/payout-profile', 
+  authenticateToken,
+  requireOwnership('affiliate', { own: ['affiliates.manage_own'], permissions: ['payouts.manage'] }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const profile = await getPayoutProfile(pool, id);
+
+      res.json({
+        success: true,
+        data: profile
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar dados de pagamento:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Cadastrar/alterar dados de pagamento (exige confirmação da senha)
+router.put('/:id/payout-profile', 
+  authenticateToken,
+  blockImpersonation,
+  requireOwnership('affiliate', { own: ['affiliates.manage_own'], permissions: ['payouts.manage'] }),
+  [
+    body('current_password').notEmpty().withMessage('Confirme sua senha para alterar os dados de pagamento'),
+    body('holder_name').trim().isLength({ min: 2, max: 255 }).withMessage('Nome do titular obrigatório'),
+    body('tax_id').notEmpty().withMessage('CPF/CNPJ obrigatório'),
+    body('pix_key_type').optional({ nullable: true }).isIn(PIX_KEY_TYPES).withMessage('Tipo de chave PIX inválido'),
+    body('pix_key').optional({ nullable: true }).isString().withMessage('Chave PIX inválida'),
+    body('bank_code').optional({ nullable: true }).isString().withMessage('Código do banco inválido'),
+    body('bank_branch').optional({ nullable: true }).isString().withMessage('Agência inválida'),
+    body('bank_account').optional({ nullable: true }).isString().withMessage('Conta bancária inválida'),
+    body('bank_account_type').optional({ nullable: true }).isIn(BANK_ACCOUNT_TYPES).withMessage('Tipo de conta inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+
+      const { rows: affiliateRows } = await pool.query(
+        `SELECT a.id, a.user_id, u.name, u.email
+         FROM affiliates a
+         JOIN users u ON a.user_id = u.id
+         WHERE a.id = $1`,
+        [id]
+      );
+
+      if (affiliateRows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Afiliado não encontrado'
+        });
+      }
+
+      const affiliate = affiliateRows[0];
+
+      // Reconfirmar a senha de quem está fazendo a alteração (falhas contam para o
+      // bloqueio da conta, como no login)
+      const { rows: userRows } = await pool.query(
+        'SELECT id, name, email, password_hash, locked_until FROM users WHERE id = $1',
+        [req.user.id]
+      );
+
+      const user = userRows[0];
+
+      if (isAccountLocked(user)) {
+        return res.status(423).json({
+          success: false,
+          message: ACCOUNT_LOCKED_MESSAGE
+        });
+      }
+
+      const isValidPassword = await bcrypt.compare(req.body.current_password, user.password_hash);
+
+      if (!isValidPassword) {
+        const { locked } = await registerFailedLogin(pool, user, req, { reason: 'payout_profile_password' });
+
+        return res.status(locked ? 423 : 401).json({
+          success: false,
+          message: locked ? ACCOUNT_LOCKED_MESSAGE : 'Senha incorreta'
+        });
+      }
+
+      await clearFailedLogins(pool, user.id);
+
+      const profile = await transaction(async (client) => {
+        await client.query(
+          'SELECT 1 FROM affiliate_payout_profiles WHERE affiliate_id = $1 FOR UPDATE',
+          [id]
+        );
+
+        // Perfis mascarados: o log não guarda os dados bancários completos
+        const previous = await getPayoutProfile(client, id);
+        const saved = await savePayoutProfile(client, id, req.body, req.user.id);
+
+        await recordAudit(client, req, res, {
+          action: 'affiliate.payout_profile_update',
+          entityType: 'affiliate',
+          entityId: id,
+          before: previous,
+          after: saved
+        });
+
+        return saved;
+      });
+
+      await sendPayoutProfileChangedEmail(affiliate, {
+        changedByAdmin: affiliate.user_id !== req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Dados de pagamento atualizados com sucesso',
+        data: profile
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar dados de pagamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Rede (downline) do afiliado em árvore
+router.get('/:id/downline', 
+  authenticateToken,
+  requireOwnership('affiliate', { own: ['affiliates.manage_own'] }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { rows } = await pool.query(
+        `WITH RECURSIVE downline AS (
+           SELECT id, parent_affiliate_id, 1 as depth
+           FROM affiliates WHERE parent_affiliate_id = $1
+           UNION ALL
+           SELECT a.id, a.parent_affiliate_id, d.depth + 1
+           FROM affiliates a
+           JOIN downline d ON a.parent_affiliate_id = d.id
+           WHERE d.depth < $2
+         )
+         SELECT 
+           d.id,
+           d.parent_affiliate_id,
+           d.depth,
+           a.referral_code,
+           a.is_active,
+           a.created_at,
+           u.name,
+           COALESCE(SUM(c.amount) FILTER (WHERE c.status <> 'cancelled'), 0) as override_earned
+         FROM downline d
+         JOIN affiliates a ON d.id = a.id
+         LEFT JOIN users u ON a.user_id = u.id
+         LEFT JOIN commissions c ON c.source_affiliate_id = d.id AND c.affiliate_id = $1
+         GROUP BY d.id, d.parent_affiliate_id, d.depth, a.referral_code, a.is_active, a.created_at, u.name
+         ORDER BY d.depth, a.created_at`,
+        [id, MAX_COMMISSION_LEVELS - 1]
+      );
+
+      // Montar árvore a partir da lista plana
+      const nodes = {};
+      rows.forEach(row => {
+        nodes[row.id] = { ...row, children: [] };
+      });
+
+      const tree = [];
+      rows.forEach(row => {
+        if (row.parent_affiliate_id === id) {
+          tree.push(nodes[row.id]);
+        } else if (nodes[row.parent_affiliate_id]) {
+          nodes[row.parent_affiliate_id].children.push(nodes[row.id]);
+        }
+      });
+
+      res.json({
+        success: true,
+        data: {
+          affiliate_id: id,
+          total_members: rows.length,
+          tree
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar rede do afiliado:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 // Estatísticas do afiliado
 router.get('/:id/stats', 
   authenticateToken,
+  requireOwnership('affiliate', { own: ['affiliates.manage_own'] }),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { month, year } = req.query;
 
       let dateFilter = '';
+      let clickDateFilter = '';
       const params = [id];
 
       if (month && year) {
         dateFilter = 'AND EXTRACT(MONTH FROM b.created_at) = $2 AND EXTRACT(YEAR FROM b.created_at) = $3';
+        clickDateFilter = 'AND EXTRACT(MONTH FROM rc.created_at) = $2 AND EXTRACT(YEAR FROM rc.created_at) = $3';
         params.push(month, year);
       }
 
@@ -276,7 +1329,11 @@ router.get('/:id/stats',
           SUM(CASE WHEN b.status = 'completed' THEN b.total_amount ELSE 0 END) as total_revenue,
           SUM(CASE WHEN c.status = 'paid' THEN c.amount ELSE 0 END) as commissions_paid,
           SUM(CASE WHEN c.status = 'pending' THEN c.amount ELSE 0 END) as commissions_pending,
-          AVG(CASE WHEN b.status = 'completed' THEN b.total_amount END) as avg_booking_value
+          SUM(CASE WHEN c.status = 'approved' THEN c.amount ELSE 0 END) as commissions_approved,
+          AVG(CASE WHEN b.status = 'completed' THEN b.total_amount END) as avg_booking_value,
+          (SELECT COUNT(*) FROM referral_clicks rc WHERE rc.affiliate_id = a.id ${clickDateFilter}) as total_clicks,
+          (SELECT COUNT(DISTINCT rc.attribution_token) FROM referral_clicks rc WHERE rc.affiliate_id = a.id ${clickDateFilter}) as unique_visitors,
+          COUNT(DISTINCT CASE WHEN b.referral_click_id IS NOT NULL THEN b.id END) as click_conversions
         FROM affiliates a
         LEFT JOIN bookings b ON a.id = b.affiliate_id ${dateFilter}
         LEFT JOIN commissions c ON a.id = c.affiliate_id
@@ -285,9 +1342,16 @@ router.get('/:id/stats',
         params
       );
 
+      const stats = rows[0];
+      if (stats) {
+        stats.conversion_rate = parseInt(stats.unique_visitors) > 0
+          ? Math.round((parseInt(stats.click_conversions) / parseInt(stats.unique_visitors)) * 10000) / 100
+          : 0;
+      }
+
       res.json({
         success: true,
-        data: rows[0] || {
+        data: stats || {
           total_bookings: 0,
           completed_bookings: 0,
           pending_bookings: 0,
@@ -295,7 +1359,12 @@ router.get('/:id/stats',
           total_revenue: 0,
           commissions_paid: 0,
           commissions_pending: 0,
-          avg_booking_value: 0
+          commissions_approved: 0,
+          avg_booking_value: 0,
+          total_clicks: 0,
+          unique_visitors: 0,
+          click_conversions: 0,
+          conversion_rate: 0
         }
       });
 
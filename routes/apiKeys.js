@@ -0,0 +1,168 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { pool, transaction } = require('../config/database');
+const { authenticateToken, blockImpersonation, requirePermission, requireRecentTwoFactor } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  API_KEY_FIELDS,
+  createApiKey,
+  revokeApiKey
+} = require('../utils/apiKeys');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Gestão de chaves de API é administrativa
+router.use(authenticateToken, blockImpersonation, requirePermission('api_keys.manage'));
+
+// Listar chaves (sem o valor da chave)
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${API_KEY_FIELDS} FROM api_keys ORDER BY created_at DESC`
+    );
+
+    res.json({
+      success: true,
+      data: {
+        keys: rows,
+        available_scopes: API_KEY_SCOPES
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar chaves de API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Criar chave (o valor é exibido apenas nesta resposta)
+router.post('/',
+  requireRecentTwoFactor,
+  [
+    body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Nome da chave obrigatório'),
+    body('scopes').isArray({ min: 1 }).withMessage('Informe ao menos um escopo'),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Escopo inválido'),
+    body('rate_limit_per_minute').optional().isInt({ min: 1, max: 10000 }).withMessage('Limite de requisições inválido'),
+    body('expires_at').optional().isISO8601().withMessage('Data de expiração inválida')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { name, scopes, rate_limit_per_minute, expires_at } = req.body;
+
+      if (expires_at && new Date(expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Data de expiração deve ser futura'
+        });
+      }
+
+      const apiKey = await transaction(async (client) => {
+        const created = await createApiKey(client, {
+          name,
+          scopes: [...new Set(scopes)],
+          rateLimitPerMinute: rate_limit_per_minute,
+          expiresAt: expires_at,
+          userId: req.user.id
+        });
+
+        // O valor da chave não vai para o log
+        const { key, ...stored } = created;
+
+        await recordAudit(client, req, res, {
+          action: 'api_key.create',
+          entityType: 'api_key',
+          entityId: created.id,
+          after: stored,
+          status: 201
+        });
+
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Chave criada. Guarde-a agora: ela não será exibida novamente',
+        data: apiKey
+      });
+
+    } catch (error) {
+      console.error('Erro ao criar chave de API:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Revogar chave
+router.delete('/:id', [
+  param('id').isUUID().withMessage('ID da chave inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parâmetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await transaction(async (client) => {
+      // Estado anterior, para o log de auditoria
+      const { rows: previousRows } = await client.query(
+        `SELECT ${API_KEY_FIELDS} FROM api_keys WHERE id = $1 FOR UPDATE`,
+        [req.params.id]
+      );
+
+      const revoked = await revokeApiKey(client, req.params.id, req.user.id);
+
+      if (revoked) {
+        await recordAudit(client, req, res, {
+          action: 'api_key.revoke',
+          entityType: 'api_key',
+          entityId: req.params.id,
+          before: previousRows[0],
+          after: revoked
+        });
+      }
+
+      return revoked;
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave não encontrada ou já revogada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Chave revogada com sucesso',
+      data: apiKey
+    });
+
+  } catch (error) {
+    console.error('Erro ao revogar chave de API:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
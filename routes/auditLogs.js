@@ -0,0 +1,212 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { pool } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { csvField } = require('../utils/helpers');
+const { AUDIT_CSV_HEADER, verifyAuditChain } = require('../utils/audit');
+const router = express.Router();
+
+router.use(authenticateToken, requirePermission('audit.view'));
+
+// Limite de linhas da exportação CSV
+const AUDIT_EXPORT_MAX_ROWS = 50000;
+
+const filterValidators = [
+  query('actor_id').optional().isUUID().withMessage('ID do autor inválido'),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Ação inválida'),
+  query('entity_type').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Entidade inválida'),
+  query('entity_id').optional().trim().isLength({ min: 1, max: 100 }).withMessage('ID da entidade inválido'),
+  query('date_from').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('date_to').optional().isISO8601().withMessage('Data final inválida')
+];
+
+// Filtros comuns à listagem e à exportação
+function buildAuditFilters(filters) {
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (filters.actor_id) {
+    whereClause += ` AND (al.actor_id = $${paramIndex} OR al.impersonator_id = $${paramIndex})`;
+    params.push(filters.actor_id);
+    paramIndex++;
+  }
+
+  if (filters.action) {
+    whereClause += ` AND al.action = $${paramIndex}`;
+    params.push(filters.action);
+    paramIndex++;
+  }
+
+  if (filters.entity_type) {
+    whereClause += ` AND al.entity_type = $${paramIndex}`;
+    params.push(filters.entity_type);
+    paramIndex++;
+  }
+
+  if (filters.entity_id) {
+    whereClause += ` AND al.entity_id = $${paramIndex}`;
+    params.push(filters.entity_id);
+    paramIndex++;
+  }
+
+  if (filters.date_from) {
+    whereClause += ` AND al.created_at >= $${paramIndex}`;
+    params.push(filters.date_from);
+    paramIndex++;
+  }
+
+  if (filters.date_to) {
+    whereClause += ` AND al.created_at <= $${paramIndex}`;
+    params.push(filters.date_to);
+    paramIndex++;
+  }
+
+  return { whereClause, params, paramIndex };
+}
+
+// Autor pode ser usuário, chave de API ou o sistema (rotinas agendadas, sem nome)
+const AUDIT_SELECT = `
+  SELECT
+    al.*,
+    COALESCE(u.name, k.name) as actor_name,
+    iu.name as impersonator_name
+  FROM audit_logs al
+  LEFT JOIN users u ON al.actor_type = 'user' AND al.actor_id = u.id
+  LEFT JOIN api_keys k ON al.actor_type = 'api_key' AND al.actor_id = k.id
+  LEFT JOIN users iu ON al.impersonator_id = iu.id`;
+
+// Consultar log de auditoria
+router.get('/',
+  [
+    ...filterValidators,
+    query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = (page - 1) * limit;
+
+      const { whereClause, params, paramIndex } = buildAuditFilters(req.query);
+
+      const { rows } = await pool.query(
+        `${AUDIT_SELECT}
+        ${whereClause}
+        ORDER BY al.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+        [...params, limit, offset]
+      );
+
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*) as total FROM audit_logs al ${whereClause}`,
+        params
+      );
+
+      const total = parseInt(countRows[0].total);
+
+      res.json({
+        success: true,
+        data: {
+          entries: rows,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar log de auditoria:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Exportar log de auditoria (CSV, mesmos filtros da consulta)
+router.get('/export', filterValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parâmetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { whereClause, params, paramIndex } = buildAuditFilters(req.query);
+
+    const { rows } = await pool.query(
+      `${AUDIT_SELECT}
+      ${whereClause}
+      ORDER BY al.id ASC
+      LIMIT $${paramIndex}`,
+      [...params, AUDIT_EXPORT_MAX_ROWS]
+    );
+
+    const lines = rows.map(row => [
+      row.id,
+      new Date(row.created_at).toISOString(),
+      row.actor_name || row.actor_id,
+      row.actor_type,
+      row.impersonator_name || row.impersonator_id,
+      row.action,
+      row.entity_type,
+      row.entity_id,
+      row.changes ? JSON.stringify(row.changes) : '',
+      row.ip_address,
+      row.hash
+    ].map(csvField).join(','));
+
+    const content = [AUDIT_CSV_HEADER.join(','), ...lines].join('\r\n') + '\r\n';
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="auditoria.csv"');
+    res.send(content);
+
+  } catch (error) {
+    console.error('Erro ao exportar log de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Verificar a integridade da cadeia de hashes
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await verifyAuditChain(pool);
+
+    res.json({
+      success: true,
+      message: result.valid ? 'Log de auditoria íntegro' : 'Log de auditoria adulterado',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar log de auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,17 +1,123 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
-const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { pool, transaction } = require('../config/database');
+const {
+  authenticateToken,
+  authenticateTwoFactorSetup,
+  requirePermission,
+  requireRecentTwoFactor,
+  blockImpersonation
+} = require('../middleware/auth');
+const { AUTH_TOKEN_TTL_MINUTES, createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const {
+  sendEmailVerificationEmail,
+  sendRegistrationAttemptEmail,
+  sendPasswordResetEmail
+} = require('../utils/mailer');
+const {
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const {
+  TWO_FACTOR_REQUIRED_ROLES,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  verifyTotpCode,
+  verifySecondFactor,
+  disableTwoFactor,
+  markSessionTwoFactorVerified,
+  signLoginChallenge,
+  verifyLoginChallenge
+} = require('../utils/twoFactor');
+const {
+  LOGIN_POLICY,
+  ACCOUNT_LOCKED_MESSAGE,
+  getLoginDelay,
+  isAccountLocked,
+  sleep,
+  recordAuthEvent,
+  getRecentIpFailures,
+  registerFailedLogin,
+  clearFailedLogins
+} = require('../utils/loginProtection');
 const router = express.Router();
 
+// Limite para pedidos que disparam email
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: { success: false, message: 'Muitas tentativas. Tente novamente mais tarde' }
+});
+
+// Limite para tentativas de redefinição com o token do email
+const resetPasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: { success: false, message: 'Muitas tentativas. Tente novamente mais tarde' }
+});
+
+// Limite para tentativas de código do segundo fator
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: { success: false, message: 'Muitas tentativas. Tente novamente mais tarde' }
+});
+
+const secondFactorValidators = [
+  body('code').optional().matches(/^\d{6}$/).withMessage('Código inválido'),
+  body('recovery_code').optional().trim().isLength({ min: 8, max: 20 }).withMessage('Código de recuperação inválido')
+];
+
+function formatUser(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+  };
+}
+
+// Papéis permitidos no cadastro público
+const SELF_REGISTRATION_ROLES = ['affiliate', 'therapist'];
+
+// Resposta idêntica exista ou não o email informado
+const EMAIL_SENT_MESSAGE = 'Se o email estiver cadastrado, você receberá as instruções em instantes';
+const REGISTRATION_MESSAGE = 'Cadastro recebido. Confirme seu email para acessar a conta';
+
+// Criar usuário (o acesso é liberado após a verificação do email)
+async function createRegisteredUser({ name, email, password, role, referredByAffiliateId }) {
+  const passwordHash = await bcrypt.hash(password, 12);
+
+  return transaction(async (client) => {
+    const { rows } = await client.query(
+      `INSERT INTO users (name, email, password_hash, role, is_active, referred_by_affiliate_id) 
+       VALUES ($1, $2, $3, $4, true, $5) 
+       RETURNING id, name, email, role, created_at`,
+      [name, email, passwordHash, role, referredByAffiliateId]
+    );
+
+    return {
+      user: rows[0],
+      verificationToken: await createAuthToken(client, rows[0].id, 'email_verification')
+    };
+  });
+}
+
 // Register
 router.post('/register', [
   body('name').trim().isLength({ min: 2 }).withMessage('Nome deve ter pelo menos 2 caracteres'),
   body('email').isEmail().withMessage('Email inválido'),
   body('password').isLength({ min: 6 }).withMessage('Senha deve ter pelo menos 6 caracteres'),
-  body('role').optional().isIn(['admin', 'therapist', 'affiliate']).withMessage('Role inválido')
+  // Cadastro público só cria afiliados e terapeutas; demais papéis são atribuídos em /api/users
+  body('role').optional().isIn(SELF_REGISTRATION_ROLES).withMessage('Role inválido'),
+  body('referral_code').optional().trim().isLength({ min: 3, max: 20 }).withMessage('Código de indicação inválido')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -23,56 +129,49 @@ router.post('/register', [
       });
     }
 
-    const { name, email, password, role = 'affiliate' } = req.body;
+    const { name, email, password, role = 'affiliate', referral_code } = req.body;
 
-    // Verificar se email já existe
-    const { rows: existingUsers } = await pool.query(
-      'SELECT id FROM users WHERE email = $1',
-      [email]
-    );
+    // Afiliado que indicou o cadastro (recrutador na rede)
+    let referredByAffiliateId = null;
+    if (referral_code) {
+      const { rows: referrerRows } = await pool.query(
+        'SELECT id FROM affiliates WHERE referral_code = $1 AND is_active = true',
+        [referral_code]
+      );
 
-    if (existingUsers.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email já cadastrado'
-      });
-    }
-
-    // Hash da senha
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // Criar usuário
-    const { rows } = await pool.query(
-      `INSERT INTO users (name, email, password_hash, role, is_active) 
-       VALUES ($1, $2, $3, $4, true) 
-       RETURNING id, name, email, role, created_at`,
-      [name, email, passwordHash, role]
-    );
+      if (referrerRows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Código de indicação inválido'
+        });
+      }
 
-    const user = rows[0];
+      referredByAffiliateId = referrerRows[0].id;
+    }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    const { rows: existingUsers } = await pool.query(
+      'SELECT id, name, email FROM users WHERE email = $1',
+      [email]
     );
 
+    // Responder antes de criar a conta e enviar o email: a resposta e o tempo
+    // não revelam se o email já está cadastrado
     res.status(201).json({
       success: true,
-      message: 'Usuário criado com sucesso',
-      data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
-      }
+      message: REGISTRATION_MESSAGE
     });
 
+    // Email já cadastrado: o dono da conta é avisado da tentativa
+    if (existingUsers.length > 0) {
+      sendRegistrationAttemptEmail(existingUsers[0])
+        .catch((error) => console.error('Erro ao avisar tentativa de cadastro:', error));
+      return;
+    }
+
+    createRegisteredUser({ name, email, password, role, referredByAffiliateId })
+      .then(({ user, verificationToken }) => sendEmailVerificationEmail(user, verificationToken))
+      .catch((error) => console.error('Erro no registro:', error));
+
   } catch (error) {
     console.error('Erro no registro:', error);
     res.status(500).json({
@@ -99,20 +198,50 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Muitas falhas a partir deste IP, independentemente da conta
+    const ipFailures = await getRecentIpFailures(pool, req);
+
+    if (ipFailures >= LOGIN_POLICY.ipMaxFailures) {
+      return res.status(429).json({
+        success: false,
+        message: 'Muitas tentativas. Tente novamente mais tarde'
+      });
+    }
+
     // Buscar usuário
     const { rows } = await pool.query(
-      'SELECT id, name, email, password_hash, role, is_active FROM users WHERE email = $1',
+      `SELECT id, name, email, password_hash, role, is_active, email_verified_at,
+       failed_login_attempts, locked_until
+       FROM users WHERE email = $1`,
       [email]
     );
 
-    if (rows.length === 0) {
+    const user = rows[0];
+
+    // Atraso progressivo conforme as falhas recentes da conta e do IP
+    await sleep(getLoginDelay(Math.max(ipFailures, user ? user.failed_login_attempts : 0)));
+
+    if (!user) {
+      await recordAuthEvent(pool, 'login_failure', req, { email, metadata: { reason: 'unknown_email' } });
+
       return res.status(401).json({
         success: false,
         message: 'Credenciais inválidas'
       });
     }
 
-    const user = rows[0];
+    if (isAccountLocked(user)) {
+      await recordAuthEvent(pool, 'login_failure', req, {
+        userId: user.id,
+        email: user.email,
+        metadata: { reason: 'account_locked' }
+      });
+
+      return res.status(423).json({
+        success: false,
+        message: ACCOUNT_LOCKED_MESSAGE
+      });
+    }
 
     if (!user.is_active) {
       return res.status(401).json({
@@ -125,30 +254,47 @@ router.post('/login', [
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
 
     if (!isValidPassword) {
-      return res.status(401).json({
+      const { locked } = await registerFailedLogin(pool, user, req, { reason: 'invalid_password' });
+
+      return res.status(locked ? 423 : 401).json({
         success: false,
-        message: 'Credenciais inválidas'
+        message: locked ? ACCOUNT_LOCKED_MESSAGE : 'Credenciais inválidas'
       });
     }
 
-    // Gerar token JWT
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (!user.email_verified_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Confirme seu email antes de entrar'
+      });
+    }
+
+    // Segundo passo: código do app autenticador
+    if (await isTwoFactorEnabled(pool, user.id)) {
+      return res.json({
+        success: true,
+        message: 'Informe o código de autenticação em dois fatores',
+        data: {
+          two_factor_required: true,
+          challenge_token: signLoginChallenge(user)
+        }
+      });
+    }
+
+    // Abrir sessão: access token curto + refresh token rotativo
+    const session = await createSession(pool, user, req);
+
+    await clearFailedLogins(pool, user.id);
+    await recordAuthEvent(pool, 'login_success', req, { userId: user.id, email: user.email });
 
     res.json({
       success: true,
       message: 'Login realizado com sucesso',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: formatUser(user),
+        ...session,
+        // Administradores sem 2FA recebem sessão restrita ao cadastro do segundo fator
+        two_factor_setup_required: TWO_FACTOR_REQUIRED_ROLES.includes(user.role)
       }
     });
 
@@ -161,25 +307,363 @@ router.post('/login', [
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Segundo passo do login com 2FA
+router.post('/login/2fa', twoFactorLimiter, [
+  body('challenge_token').notEmpty().withMessage('Desafio de login obrigatório'),
+  ...secondFactorValidators
+], async (req, res) => {
   try {
-    const user = req.user;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const userId = verifyLoginChallenge(req.body.challenge_token);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login expirado. Informe email e senha novamente'
+      });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id, name, email, role, is_active, locked_until FROM users WHERE id = $1',
+      [userId]
+    );
+
+    const user = rows[0];
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: ACCOUNT_LOCKED_MESSAGE
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      if (!(await verifySecondFactor(client, userId, req.body))) {
+        return null;
+      }
+
+      return {
+        user: formatUser(user),
+        ...(await createSession(client, user, req, { twoFactorVerified: true }))
+      };
+    });
+
+    // Códigos errados contam para o bloqueio da conta, como a senha
+    if (!result) {
+      const { locked } = await registerFailedLogin(pool, user, req, { reason: 'invalid_two_factor_code' });
+
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        message: locked ? ACCOUNT_LOCKED_MESSAGE : 'Código inválido'
+      });
+    }
+
+    await clearFailedLogins(pool, user.id);
+    await recordAuthEvent(pool, 'login_success', req, {
+      userId: user.id,
+      email: user.email,
+      metadata: { two_factor: true }
+    });
+
+    res.json({
+      success: true,
+      message: 'Login realizado com sucesso',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Erro no login com 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Iniciar cadastro do 2FA (segredo e URI otpauth para o app autenticador)
+router.post('/2fa/setup', authenticateTwoFactorSetup, blockImpersonation, async (req, res) => {
+  try {
+    const enrollment = await startEnrollment(pool, req.user);
+
+    res.json({
+      success: true,
+      message: 'Escaneie o QR code no app autenticador e confirme com um código',
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Erro ao iniciar 2FA:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erro interno do servidor'
+    });
+  }
+});
+
+// Confirmar cadastro do 2FA com o primeiro código
+router.post('/2fa/enable', authenticateTwoFactorSetup, blockImpersonation, twoFactorLimiter, [
+  body('code').matches(/^\d{6}$/).withMessage('Código inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await transaction(async (client) => {
+      const codes = await confirmEnrollment(client, req.user.id, req.body.code);
+      await markSessionTwoFactorVerified(client, req.user.session_id);
+      return codes;
+    });
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada. Guarde os códigos de recuperação',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Erro ao ativar 2FA:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erro interno do servidor'
+    });
+  }
+});
+
+// Confirmar o segundo fator na sessão atual (exigido em ações sensíveis)
+router.post('/2fa/verify', authenticateToken, blockImpersonation, twoFactorLimiter, secondFactorValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const verified = await transaction(async (client) => {
+      if (!(await verifySecondFactor(client, req.user.id, req.body))) {
+        return false;
+      }
+
+      await markSessionTwoFactorVerified(client, req.user.session_id);
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Código confirmado'
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Gerar novos códigos de recuperação
+router.post('/2fa/recovery-codes', authenticateToken, blockImpersonation, twoFactorLimiter, [
+  body('code').matches(/^\d{6}$/).withMessage('Código inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const recoveryCodes = await transaction(async (client) => {
+      if (!(await verifyTotpCode(client, req.user.id, req.body.code))) {
+        return null;
+      }
+
+      return generateRecoveryCodes(client, req.user.id);
+    });
+
+    if (!recoveryCodes) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Novos códigos de recuperação gerados',
+      data: { recovery_codes: recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Erro ao gerar códigos de recuperação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Desativar 2FA (senha + código; obrigatório para administradores)
+router.post('/2fa/disable', authenticateToken, blockImpersonation, twoFactorLimiter, [
+  body('password').notEmpty().withMessage('Senha é obrigatória'),
+  ...secondFactorValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    if (TWO_FACTOR_REQUIRED_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Autenticação em dois fatores é obrigatória para este perfil'
+      });
+    }
 
-    const token = jwt.sign(
-      { userId: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    const { rows } = await pool.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
     );
 
+    if (!(await bcrypt.compare(req.body.password, rows[0].password_hash))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Senha incorreta'
+      });
+    }
+
+    const disabled = await transaction(async (client) => {
+      if (!(await verifySecondFactor(client, req.user.id, req.body))) {
+        return false;
+      }
+
+      await disableTwoFactor(client, req.user.id);
+      return true;
+    });
+
+    if (!disabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Autenticação em dois fatores desativada'
+    });
+
+  } catch (error) {
+    console.error('Erro ao desativar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Renovar tokens (rotação do refresh token)
+router.post('/refresh', [
+  body('refresh_token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Refresh token inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const result = await transaction((client) => rotateRefreshToken(client, req.body.refresh_token, req));
+
+    if (result.reuseDetected) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reutilizado. A sessão foi encerrada por segurança'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Token renovado com sucesso',
-      data: { token }
+      data: result
     });
 
   } catch (error) {
     console.error('Erro ao renovar token:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erro interno do servidor'
+    });
+  }
+});
+
+// Encerrar sessão de impersonação, registrando o fim no log de autenticação
+async function endImpersonation(req) {
+  await revokeSession(pool, req.user.session_id, 'impersonation_ended');
+  await recordAuthEvent(pool, 'impersonation_ended', req, {
+    userId: req.user.id,
+    email: req.user.email,
+    metadata: { impersonator_id: req.user.impersonated_by, session_id: req.user.session_id }
+  });
+}
+
+// Logout (encerra a sessão atual)
+router.post('/logout', authenticateTwoFactorSetup, async (req, res) => {
+  try {
+    if (req.user.impersonated_by) {
+      await endImpersonation(req);
+    } else {
+      await revokeSession(pool, req.user.session_id, 'logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+
+  } catch (error) {
+    console.error('Erro no logout:', error);
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor'
@@ -187,16 +671,345 @@ router.post('/refresh', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout
-router.post('/logout', authenticateToken, async (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout realizado com sucesso'
-  });
+// Encerrar o acesso como outro usuário
+router.post('/impersonate/stop', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.impersonated_by) {
+      return res.status(400).json({
+        success: false,
+        message: 'A sessão atual não é de acesso como outro usuário'
+      });
+    }
+
+    await endImpersonation(req);
+
+    res.json({
+      success: true,
+      message: 'Acesso como usuário encerrado'
+    });
+
+  } catch (error) {
+    console.error('Erro ao encerrar impersonação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Acessar a conta de outro usuário para suporte (token curto, sem refresh)
+router.post('/impersonate/:userId',
+  authenticateToken,
+  blockImpersonation,
+  requirePermission('users.impersonate'),
+  requireRecentTwoFactor,
+  [
+    body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Informe o motivo do acesso')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { userId } = req.params;
+
+      if (userId === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Não é possível acessar a própria conta'
+        });
+      }
+
+      // Só é permitido acessar contas cujas permissões o administrador também tem
+      const { rows } = await pool.query(
+        `SELECT 
+          u.id, u.name, u.email, u.role, u.is_active, u.is_master,
+          EXISTS (
+            SELECT 1 FROM role_permissions rp
+            JOIN roles r ON rp.role_id = r.id
+            WHERE r.name = u.role AND rp.permission <> ALL($2::text[])
+          ) as has_extra_permissions
+        FROM users u
+        WHERE u.id = $1`,
+        [userId, req.user.permissions]
+      );
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuário não encontrado'
+        });
+      }
+
+      const target = rows[0];
+
+      if (!target.is_active) {
+        return res.status(400).json({
+          success: false,
+          message: 'Conta desativada'
+        });
+      }
+
+      if (target.is_master || target.has_extra_permissions) {
+        return res.status(403).json({
+          success: false,
+          message: 'Não é permitido acessar contas com permissões que você não possui'
+        });
+      }
+
+      const session = await transaction(async (client) => {
+        const created = await createImpersonationSession(client, target, req.user.id, req, req.body.reason);
+
+        await recordAuthEvent(client, 'impersonation_started', req, {
+          userId: target.id,
+          email: target.email,
+          metadata: {
+            impersonator_id: req.user.id,
+            session_id: created.session_id,
+            reason: req.body.reason
+          }
+        });
+
+        return created;
+      });
+
+      res.json({
+        success: true,
+        message: `Acessando como ${target.name}`,
+        data: {
+          impersonation: true,
+          impersonator: { id: req.user.id, name: req.user.name },
+          user: formatUser(target),
+          ...session
+        }
+      });
+
+    } catch (error) {
+      // ID com formato inválido
+      if (error.code === '22P02') {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuário não encontrado'
+        });
+      }
+
+      console.error('Erro ao iniciar impersonação:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Confirmar email pelo link enviado no cadastro
+router.post('/verify-email', [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Token inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const verified = await transaction(async (client) => {
+      const userId = await consumeAuthToken(client, req.body.token, 'email_verification');
+
+      if (!userId) {
+        return false;
+      }
+
+      await client.query(
+        `UPDATE users 
+         SET email_verified_at = COALESCE(email_verified_at, NOW()), updated_at = NOW() 
+         WHERE id = $1`,
+        [userId]
+      );
+
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de verificação inválido ou expirado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verificado com sucesso'
+    });
+
+  } catch (error) {
+    console.error('Erro ao verificar email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Reenviar link de verificação de email
+router.post('/resend-verification', emailLimiter, [
+  body('email').isEmail().withMessage('Email inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, name, email FROM users 
+       WHERE email = $1 AND is_active = true AND email_verified_at IS NULL`,
+      [req.body.email]
+    );
+
+    // Responder antes de gerar o token e enviar o email: o tempo de resposta
+    // não revela se o email está cadastrado
+    res.json({
+      success: true,
+      message: EMAIL_SENT_MESSAGE
+    });
+
+    if (rows.length > 0) {
+      createAuthToken(pool, rows[0].id, 'email_verification')
+        .then((token) => sendEmailVerificationEmail(rows[0], token))
+        .catch((error) => console.error('Erro ao reenviar verificação de email:', error));
+    }
+
+  } catch (error) {
+    console.error('Erro ao reenviar verificação de email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Solicitar redefinição de senha
+router.post('/forgot-password', emailLimiter, [
+  body('email').isEmail().withMessage('Email inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { rows } = await pool.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND is_active = true',
+      [req.body.email]
+    );
+
+    // Responder antes de gerar o token e enviar o email (mesmo tempo de resposta
+    // para emails cadastrados ou não)
+    res.json({
+      success: true,
+      message: EMAIL_SENT_MESSAGE
+    });
+
+    if (rows.length > 0) {
+      createAuthToken(pool, rows[0].id, 'password_reset')
+        .then((token) => sendPasswordResetEmail(rows[0], token, AUTH_TOKEN_TTL_MINUTES.password_reset))
+        .catch((error) => console.error('Erro ao solicitar redefinição de senha:', error));
+    }
+
+  } catch (error) {
+    console.error('Erro ao solicitar redefinição de senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Redefinir senha com o token recebido por email
+router.post('/reset-password', resetPasswordLimiter, [
+  body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Token inválido'),
+  body('password').isLength({ min: 6 }).withMessage('Senha deve ter pelo menos 6 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(req.body.password, 12);
+
+    const reset = await transaction(async (client) => {
+      const userId = await consumeAuthToken(client, req.body.token, 'password_reset');
+
+      if (!userId) {
+        return false;
+      }
+
+      // O link chegou pelo email, que fica confirmado
+      await client.query(
+        `UPDATE users 
+         SET password_hash = $2,
+             email_verified_at = COALESCE(email_verified_at, NOW()),
+             updated_at = NOW() 
+         WHERE id = $1`,
+        [userId, passwordHash]
+      );
+
+      // Encerrar todas as sessões abertas com a senha antiga
+      await revokeUserSessions(client, userId, 'password_reset');
+
+      // A nova senha libera a conta bloqueada por tentativas
+      await clearFailedLogins(client, userId);
+      await recordAuthEvent(client, 'password_reset', req, { userId });
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de redefinição inválido ou expirado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Senha redefinida com sucesso'
+    });
+
+  } catch (error) {
+    console.error('Erro ao redefinir senha:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
 });
 
 // Verificar token
-router.get('/verify', authenticateToken, async (req, res) => {
+router.get('/verify', authenticateTwoFactorSetup, async (req, res) => {
   res.json({
     success: true,
     message: 'Token válido',
@@ -205,8 +1018,11 @@ router.get('/verify', authenticateToken, async (req, res) => {
         id: req.user.id,
         name: req.user.name,
         email: req.user.email,
-        role: req.user.role
-      }
+        role: req.user.role,
+        permissions: req.user.permissions
+      },
+      impersonated_by: req.user.impersonated_by || null,
+      two_factor_setup_required: req.user.two_factor_setup_required
     }
   });
 });
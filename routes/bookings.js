@@ -1,12 +1,48 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const { pool, transaction } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  acceptApiKey,
+  hasPermission,
+  requirePermission,
+  requireOwnership,
+  ownershipScope,
+  blockImpersonation
+} = require('../middleware/auth');
+const { createHttpError } = require('../utils/helpers');
+const { reverseBookingCommissions } = require('../utils/commissions');
+const { assertSlotAvailable, isBookingOverlapError } = require('../utils/availability');
+const {
+  generateOccurrenceDates,
+  getActiveService,
+  createBooking,
+  assertRescheduleAllowed
+} = require('../utils/bookings');
+const { getAttributionToken, resolveAttribution } = require('../utils/attribution');
 const router = express.Router();
 
+// Séries são criadas pelo terapeuta que atende (bookings.manage_own), por quem gerencia
+// todos os agendamentos ou por integrações com o escopo bookings:write
+const requireSeriesTherapist = (req, res, next) => {
+  if (req.user.api_key_id || hasPermission(req.user, 'bookings.manage')) {
+    return next();
+  }
+
+  if (!req.user.therapist_id || req.user.therapist_id !== req.body.therapist_id ||
+      !hasPermission(req.user, 'bookings.manage_own')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Permissão negada'
+    });
+  }
+
+  next();
+};
+
 // Listar agendamentos
 router.get('/', 
-  authenticateToken,
+  acceptApiKey('bookings:read'),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
     query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite inválido'),
@@ -66,6 +102,12 @@ router.get('/',
         paramIndex++;
       }
 
+      // Afiliados e terapeutas veem apenas os próprios agendamentos
+      const scope = ownershipScope(req.user, 'booking', 'b', paramIndex);
+      whereClause += scope.clause;
+      params.push(...scope.params);
+      paramIndex += scope.params.length;
+
       // Query principal
       const query = `
         SELECT 
@@ -128,7 +170,7 @@ router.get('/',
 
 // Criar agendamento
 router.post('/', 
-  authenticateToken,
+  acceptApiKey('bookings:write'),
   [
     body('therapist_id').isUUID().withMessage('ID do terapeuta inválido'),
     body('service_id').isUUID().withMessage('ID do serviço inválido'),
@@ -138,6 +180,7 @@ router.post('/',
     body('scheduled_date').isISO8601().withMessage('Data inválida'),
     body('scheduled_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora inválida'),
     body('affiliate_code').optional().trim().isLength({ min: 1 }).withMessage('Código de afiliado inválido'),
+    body('attribution_token').optional().isHexadecimal().isLength({ max: 64 }).withMessage('Token de atribuição inválido'),
     body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas')
   ],
   async (req, res) => {
@@ -165,103 +208,506 @@ router.post('/',
 
       const result = await transaction(async (client) => {
         // Buscar serviço e preço
-        const { rows: serviceRows } = await client.query(
-          'SELECT * FROM services WHERE id = $1 AND therapist_id = $2 AND is_active = true',
-          [service_id, therapist_id]
-        );
+        const service = await getActiveService(client, service_id, therapist_id);
 
-        if (serviceRows.length === 0) {
-          throw new Error('Serviço não encontrado ou inativo');
-        }
+        // Atribuir afiliado pelo código ou pelo clique no link de indicação
+        const { affiliate_id, referral_click_id } = await resolveAttribution(client, {
+          affiliateCode: affiliate_code,
+          attributionToken: getAttributionToken(req)
+        });
 
-        const service = serviceRows[0];
+        return createBooking(client, service, {
+          therapist_id,
+          affiliate_id,
+          referral_click_id,
+          client_name,
+          client_email,
+          client_phone,
+          scheduled_date,
+          scheduled_time,
+          notes
+        });
+      });
 
-        // Verificar disponibilidade
-        const { rows: conflictRows } = await client.query(
-          `SELECT id FROM bookings 
-           WHERE therapist_id = $1 
-           AND scheduled_date = $2 
-           AND scheduled_time = $3 
-           AND status NOT IN ('cancelled', 'completed')`,
-          [therapist_id, scheduled_date, scheduled_time]
-        );
+      res.status(201).json({
+        success: true,
+        message: 'Agendamento criado com sucesso',
+        data: result
+      });
 
-        if (conflictRows.length > 0) {
-          throw new Error('Horário não disponível');
-        }
+    } catch (error) {
+      // Requisição concorrente reservou o mesmo período
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Horário não disponível'
+        });
+      }
 
-        // Buscar afiliado se código fornecido
-        let affiliate_id = null;
-        if (affiliate_code) {
-          const { rows: affiliateRows } = await client.query(
-            'SELECT id FROM affiliates WHERE referral_code = $1',
-            [affiliate_code]
-          );
+      console.error('Erro ao criar agendamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
 
-          if (affiliateRows.length > 0) {
-            affiliate_id = affiliateRows[0].id;
-          }
-        }
+// Criar série de agendamentos recorrentes
+router.post('/series', 
+  acceptApiKey('bookings:write'),
+  requireSeriesTherapist,
+  [
+    body('therapist_id').isUUID().withMessage('ID do terapeuta inválido'),
+    body('service_id').isUUID().withMessage('ID do serviço inválido'),
+    body('client_name').trim().isLength({ min: 2 }).withMessage('Nome do cliente obrigatório'),
+    body('client_email').isEmail().withMessage('Email inválido'),
+    body('client_phone').optional().trim().isLength({ min: 10 }).withMessage('Telefone inválido'),
+    body('start_date').isISO8601().withMessage('Data inicial inválida'),
+    body('scheduled_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora inválida'),
+    body('frequency').isIn(['weekly', 'biweekly', 'monthly']).withMessage('Frequência inválida'),
+    body('occurrences').optional().isInt({ min: 1, max: 52 }).withMessage('Número de ocorrências inválido (1-52)'),
+    body('until_date').optional().isISO8601().withMessage('Data limite inválida'),
+    body('skip_conflicts').optional().isBoolean().withMessage('Opção de conflitos inválida'),
+    body('affiliate_code').optional().trim().isLength({ min: 1 }).withMessage('Código de afiliado inválido'),
+    body('attribution_token').optional().isHexadecimal().isLength({ max: 64 }).withMessage('Token de atribuição inválido'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
 
-        // Criar agendamento
-        const { rows: bookingRows } = await client.query(
-          `INSERT INTO bookings (
-             service_id, therapist_id, affiliate_id,
+      const {
+        therapist_id,
+        service_id,
+        client_name,
+        client_email,
+        client_phone,
+        start_date,
+        scheduled_time,
+        frequency,
+        until_date,
+        notes,
+        affiliate_code
+      } = req.body;
+      const occurrences = req.body.occurrences ? parseInt(req.body.occurrences) : null;
+      const skipConflicts = req.body.skip_conflicts === true || req.body.skip_conflicts === 'true';
+
+      if (!occurrences && !until_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe o número de ocorrências ou a data limite'
+        });
+      }
+
+      const dates = generateOccurrenceDates({ start_date, frequency, occurrences, until_date });
+
+      if (dates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'A regra de recorrência não gera nenhuma ocorrência'
+        });
+      }
+
+      const result = await transaction(async (client) => {
+        const service = await getActiveService(client, service_id, therapist_id);
+        const { affiliate_id, referral_click_id } = await resolveAttribution(client, {
+          affiliateCode: affiliate_code,
+          attributionToken: getAttributionToken(req)
+        });
+
+        const { rows: seriesRows } = await client.query(
+          `INSERT INTO booking_series (
+             therapist_id, service_id, affiliate_id,
              client_name, client_email, client_phone,
-             scheduled_date, scheduled_time, notes,
-             total_amount, status, created_at
-           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW())
+             frequency, start_date, scheduled_time, occurrences, until_date,
+             notes, created_by, status, created_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'active', NOW())
            RETURNING *`,
           [
-            service_id, therapist_id, affiliate_id,
+            therapist_id, service_id, affiliate_id,
             client_name, client_email, client_phone,
-            scheduled_date, scheduled_time, notes,
-            service.price
+            frequency, start_date, scheduled_time, occurrences, until_date,
+            notes, req.user.id
           ]
         );
 
-        const booking = bookingRows[0];
+        const series = seriesRows[0];
+        const bookings = [];
+        const conflicts = [];
 
-        // Criar comissão se houver afiliado
-        if (affiliate_id) {
-          const { rows: affiliateRows } = await client.query(
-            'SELECT commission_rate FROM affiliates WHERE id = $1',
-            [affiliate_id]
-          );
+        // Cada ocorrência é validada e gera sua própria comissão
+        for (const [index, date] of dates.entries()) {
+          try {
+            const booking = await createBooking(client, service, {
+              therapist_id,
+              affiliate_id,
+              referral_click_id,
+              client_name,
+              client_email,
+              client_phone,
+              scheduled_date: date,
+              scheduled_time,
+              notes,
+              series_id: series.id,
+              series_index: index + 1
+            });
+            bookings.push(booking);
+          } catch (error) {
+            if (error.status !== 409) {
+              throw error;
+            }
+            conflicts.push({ scheduled_date: date, message: error.message });
+          }
+        }
 
-          if (affiliateRows.length > 0) {
-            const commissionRate = affiliateRows[0].commission_rate;
-            const commissionAmount = (service.price * commissionRate) / 100;
+        if (conflicts.length > 0 && (!skipConflicts || bookings.length === 0)) {
+          const error = createHttpError(409, 'Algumas ocorrências da série não estão disponíveis');
+          error.conflicts = conflicts;
+          throw error;
+        }
+
+        return { ...series, bookings, skipped: conflicts };
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Série de agendamentos criada com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Horário não disponível'
+        });
+      }
+
+      console.error('Erro ao criar série de agendamentos:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor',
+        conflicts: error.conflicts
+      });
+    }
+  }
+);
+
+// Buscar série de agendamentos
+router.get('/series/:seriesId', authenticateToken, requireOwnership('booking_series', { param: 'seriesId' }), async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    const { rows: seriesRows } = await pool.query(
+      `SELECT 
+        bs.*,
+        s.name as service_name,
+        tu.name as therapist_name
+      FROM booking_series bs
+      LEFT JOIN services s ON bs.service_id = s.id
+      LEFT JOIN therapists t ON bs.therapist_id = t.id
+      LEFT JOIN users tu ON t.user_id = tu.id
+      WHERE bs.id = $1`,
+      [seriesId]
+    );
+
+    if (seriesRows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Série não encontrada'
+      });
+    }
+
+    const { rows: bookings } = await pool.query(
+      `SELECT * FROM bookings 
+       WHERE series_id = $1 
+       ORDER BY scheduled_date ASC, scheduled_time ASC`,
+      [seriesId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...seriesRows[0],
+        bookings
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar série de agendamentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Buscar ocorrências ativas da série afetadas pelo escopo ('all' ou 'following')
+async function getSeriesOccurrences(client, seriesId, scope, bookingId) {
+  let fromDate = null;
+
+  if (scope === 'following') {
+    const { rows } = await client.query(
+      'SELECT scheduled_date FROM bookings WHERE id = $1 AND series_id = $2',
+      [bookingId, seriesId]
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Ocorrência não encontrada na série');
+    }
+
+    fromDate = rows[0].scheduled_date;
+  }
+
+  const { rows } = await client.query(
+    `SELECT * FROM bookings 
+     WHERE series_id = $1 
+     AND status IN ('pending', 'confirmed')
+     AND ($2::date IS NULL OR scheduled_date >= $2::date)
+     ORDER BY scheduled_date ASC, scheduled_time ASC
+     FOR UPDATE`,
+    [seriesId, fromDate]
+  );
+
+  return { occurrences: rows, fromDate };
+}
+
+// Atualizar série inteira ou "esta e as seguintes"
+router.put('/series/:seriesId', 
+  authenticateToken,
+  requireOwnership('booking_series', { param: 'seriesId', own: ['bookings.reschedule_own'], permissions: ['bookings.manage'] }),
+  [
+    body('scope').optional().isIn(['all', 'following']).withMessage('Escopo inválido'),
+    body('booking_id').optional().isUUID().withMessage('ID da ocorrência inválido'),
+    body('scheduled_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora inválida'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motivo muito longo')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { seriesId } = req.params;
+      const { scope = 'all', booking_id, scheduled_time, notes, reason } = req.body;
+
+      if (scope === 'following' && !booking_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe a ocorrência a partir da qual aplicar a alteração'
+        });
+      }
+
+      if (scheduled_time === undefined && notes === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum campo para atualizar'
+        });
+      }
+
+      const result = await transaction(async (client) => {
+        const { rows: seriesRows } = await client.query(
+          `SELECT * FROM booking_series WHERE id = $1 AND status = 'active' FOR UPDATE`,
+          [seriesId]
+        );
+
+        if (seriesRows.length === 0) {
+          throw createHttpError(404, 'Série não encontrada ou cancelada');
+        }
+
+        const { occurrences } = await getSeriesOccurrences(client, seriesId, scope, booking_id);
+
+        const { rows: serviceRows } = await client.query(
+          'SELECT * FROM services WHERE id = $1',
+          [seriesRows[0].service_id]
+        );
+        const service = serviceRows[0] || { duration_minutes: 60, buffer_before_minutes: 0, buffer_after_minutes: 0 };
+
+        const updated = [];
+        for (const occurrence of occurrences) {
+          if (scheduled_time !== undefined) {
+            // Cada ocorrência remarcada segue os limites de remarcação do agendamento
+            if (!hasPermission(req.user, 'bookings.manage')) {
+              await assertRescheduleAllowed(client, occurrence);
+            }
+
+            await assertSlotAvailable(
+              client, occurrence.therapist_id, service,
+              occurrence.scheduled_date, scheduled_time, occurrence.id
+            );
 
             await client.query(
-              `INSERT INTO commissions (affiliate_id, booking_id, amount, percentage, status, created_at)
-               VALUES ($1, $2, $3, $4, 'pending', NOW())`,
-              [affiliate_id, booking.id, commissionAmount, commissionRate]
+              `INSERT INTO booking_reschedules (
+                 booking_id, previous_date, previous_time, new_date, new_time, changed_by, reason, created_at
+               ) VALUES ($1, $2, $3, $2, $4, $5, $6, NOW())`,
+              [
+                occurrence.id, occurrence.scheduled_date, occurrence.scheduled_time,
+                scheduled_time, req.user.id, reason || 'Alteração da série'
+              ]
             );
           }
+
+          const { rows } = await client.query(
+            `UPDATE bookings 
+             SET scheduled_time = COALESCE($2, scheduled_time),
+                 notes = COALESCE($3, notes),
+                 reschedule_count = reschedule_count + CASE WHEN $2::time IS NULL THEN 0 ELSE 1 END,
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [occurrence.id, scheduled_time, notes]
+          );
+          updated.push(rows[0]);
         }
 
-        return booking;
+        // A regra da série só muda quando a alteração vale para todas as ocorrências
+        if (scope === 'all') {
+          await client.query(
+            `UPDATE booking_series 
+             SET scheduled_time = COALESCE($2, scheduled_time),
+                 notes = COALESCE($3, notes),
+                 updated_at = NOW()
+             WHERE id = $1`,
+            [seriesId, scheduled_time, notes]
+          );
+        }
+
+        return { series_id: seriesId, scope, bookings: updated };
       });
 
-      res.status(201).json({
+      res.json({
         success: true,
-        message: 'Agendamento criado com sucesso',
+        message: 'Série atualizada com sucesso',
         data: result
       });
 
     } catch (error) {
-      console.error('Erro ao criar agendamento:', error);
-      res.status(500).json({
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Horário não disponível'
+        });
+      }
+
+      console.error('Erro ao atualizar série de agendamentos:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Cancelar série inteira ou "esta e as seguintes"
+router.put('/series/:seriesId/cancel', 
+  authenticateToken,
+  blockImpersonation,
+  requireOwnership('booking_series', { param: 'seriesId', own: ['bookings.cancel_own'], permissions: ['bookings.manage'] }),
+  [
+    body('scope').optional().isIn(['all', 'following']).withMessage('Escopo inválido'),
+    body('booking_id').optional().isUUID().withMessage('ID da ocorrência inválido'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motivo muito longo')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { seriesId } = req.params;
+      const { scope = 'all', booking_id, reason } = req.body;
+
+      if (scope === 'following' && !booking_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe a ocorrência a partir da qual cancelar'
+        });
+      }
+
+      const result = await transaction(async (client) => {
+        const { rows: seriesRows } = await client.query(
+          `SELECT * FROM booking_series WHERE id = $1 AND status = 'active' FOR UPDATE`,
+          [seriesId]
+        );
+
+        if (seriesRows.length === 0) {
+          throw createHttpError(404, 'Série não encontrada ou já cancelada');
+        }
+
+        const { occurrences, fromDate } = await getSeriesOccurrences(client, seriesId, scope, booking_id);
+
+        const cancelled = [];
+        for (const occurrence of occurrences) {
+          const { rows } = await client.query(
+            `UPDATE bookings 
+             SET status = 'cancelled',
+                 cancellation_reason = $2,
+                 payment_status = 'cancelled',
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING *`,
+            [occurrence.id, reason]
+          );
+
+          await reverseBookingCommissions(client, occurrence.id, reason);
+          cancelled.push(rows[0]);
+        }
+
+        // "Esta e as seguintes" encerra a série na véspera da ocorrência escolhida
+        if (scope === 'all') {
+          await client.query(
+            `UPDATE booking_series SET status = 'cancelled', updated_at = NOW() WHERE id = $1`,
+            [seriesId]
+          );
+        } else {
+          await client.query(
+            `UPDATE booking_series 
+             SET until_date = $2::date - 1, updated_at = NOW() 
+             WHERE id = $1`,
+            [seriesId, fromDate]
+          );
+        }
+
+        return { series_id: seriesId, scope, cancelled_bookings: cancelled };
+      });
+
+      res.json({
+        success: true,
+        message: 'Série cancelada com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Erro ao cancelar série de agendamentos:', error);
+      res.status(error.status || 500).json({
         success: false,
-        message: error.message || 'Erro interno do servidor'
+        message: error.status ? error.message : 'Erro interno do servidor'
       });
     }
   }
 );
 
-// Confirmar agendamento
-router.put('/:id/confirm', authenticateToken, async (req, res) => {
+// Confirmar agendamento (terapeuta responsável ou admin)
+router.put('/:id/confirm', authenticateToken, requireOwnership('booking', { own: ['bookings.manage_own'], permissions: ['bookings.manage'] }), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -296,34 +742,229 @@ router.put('/:id/confirm', authenticateToken, async (req, res) => {
 });
 
 // Cancelar agendamento
-router.put('/:id/cancel', authenticateToken, async (req, res) => {
+router.put('/:id/cancel', authenticateToken, blockImpersonation, requireOwnership('booking', { own: ['bookings.cancel_own'], permissions: ['bookings.manage'] }), async (req, res) => {
   try {
     const { id } = req.params;
     const { reason } = req.body;
 
-    const { rows } = await pool.query(
-      `UPDATE bookings 
-       SET status = 'cancelled', cancellation_reason = $2, updated_at = NOW() 
-       WHERE id = $1 AND status IN ('pending', 'confirmed')
-       RETURNING *`,
-      [id, reason]
+    const result = await transaction(async (client) => {
+      const { rows: bookingRows } = await client.query(
+        'SELECT * FROM bookings WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (bookingRows.length === 0) {
+        throw createHttpError(404, 'Agendamento não encontrado ou não pode ser cancelado');
+      }
+
+      const booking = bookingRows[0];
+      const isRefund = booking.status === 'completed';
+
+      // Sessões concluídas só podem ser canceladas (reembolsadas) pela administração
+      if (isRefund && !hasPermission(req.user, 'bookings.manage')) {
+        throw createHttpError(403, 'Apenas administradores podem cancelar sessões concluídas');
+      }
+
+      if (!isRefund && !['pending', 'confirmed'].includes(booking.status)) {
+        throw createHttpError(404, 'Agendamento não encontrado ou não pode ser cancelado');
+      }
+
+      const { rows } = await client.query(
+        `UPDATE bookings 
+         SET status = 'cancelled',
+             cancellation_reason = $2,
+             payment_status = CASE WHEN $3 THEN 'refunded' ELSE 'cancelled' END,
+             updated_at = NOW() 
+         WHERE id = $1
+         RETURNING *`,
+        [id, reason, isRefund]
+      );
+
+      const { cancelled, clawbacks } = await reverseBookingCommissions(client, id, reason);
+
+      return {
+        ...rows[0],
+        cancelled_commissions: cancelled,
+        clawbacks
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Agendamento cancelado com sucesso',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Erro ao cancelar agendamento:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erro interno do servidor'
+    });
+  }
+});
+
+// Remarcar agendamento
+router.put('/:id/reschedule',
+  authenticateToken,
+  requireOwnership('booking', { own: ['bookings.reschedule_own'], permissions: ['bookings.manage'] }),
+  [
+    body('scheduled_date').isISO8601().withMessage('Data inválida'),
+    body('scheduled_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora inválida'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motivo muito longo')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { scheduled_date, scheduled_time, reason } = req.body;
+
+      const result = await transaction(async (client) => {
+        const { rows: bookingRows } = await client.query(
+          `SELECT 
+             b.*,
+             ($2::date + $3::time) <= NOW() as new_slot_in_past
+           FROM bookings b
+           WHERE b.id = $1
+           FOR UPDATE`,
+          [id, scheduled_date, scheduled_time]
+        );
+
+        if (bookingRows.length === 0) {
+          throw createHttpError(404, 'Agendamento não encontrado');
+        }
+
+        const booking = bookingRows[0];
+
+        if (!['pending', 'confirmed'].includes(booking.status)) {
+          throw createHttpError(409, 'Apenas agendamentos pendentes ou confirmados podem ser remarcados');
+        }
+
+        // Pedido público não confirmado no prazo: é expirado ao validar o novo horário
+        if (!booking.client_confirmed_at && booking.confirmation_expires_at &&
+            new Date(booking.confirmation_expires_at) < new Date()) {
+          throw createHttpError(409, 'Confirmação do cliente expirada');
+        }
+
+        if (booking.new_slot_in_past) {
+          throw createHttpError(400, 'A nova data deve ser futura');
+        }
+
+        // Limites de remarcação (quem gerencia todos os agendamentos pode ignorar)
+        if (!hasPermission(req.user, 'bookings.manage')) {
+          await assertRescheduleAllowed(client, booking);
+        }
+
+        const { rows: serviceRows } = await client.query(
+          'SELECT * FROM services WHERE id = $1',
+          [booking.service_id]
+        );
+
+        const service = serviceRows[0] || { duration_minutes: 60, buffer_before_minutes: 0, buffer_after_minutes: 0 };
+
+        // Validar novo horário contra a agenda e outros agendamentos
+        await assertSlotAvailable(client, booking.therapist_id, service, scheduled_date, scheduled_time, id);
+
+        const { rows: updatedRows } = await client.query(
+          `UPDATE bookings 
+           SET scheduled_date = $2,
+               scheduled_time = $3,
+               reschedule_count = reschedule_count + 1,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [id, scheduled_date, scheduled_time]
+        );
+
+        const { rows: historyRows } = await client.query(
+          `INSERT INTO booking_reschedules (
+             booking_id, previous_date, previous_time, new_date, new_time, changed_by, reason, created_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+           RETURNING *`,
+          [id, booking.scheduled_date, booking.scheduled_time, scheduled_date, scheduled_time, req.user.id, reason]
+        );
+
+        return {
+          ...updatedRows[0],
+          reschedule: historyRows[0]
+        };
+      });
+
+      res.json({
+        success: true,
+        message: 'Agendamento remarcado com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Horário não disponível'
+        });
+      }
+
+      console.error('Erro ao remarcar agendamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Histórico de remarcações
+router.get('/:id/reschedules', authenticateToken, requireOwnership('booking'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { rows: bookingRows } = await pool.query(
+      `SELECT id, reschedule_count, max_reschedules, reschedule_min_notice_hours
+       FROM bookings WHERE id = $1`,
+      [id]
     );
 
-    if (rows.length === 0) {
+    if (bookingRows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Agendamento não encontrado ou não pode ser cancelado'
+        message: 'Agendamento não encontrado'
       });
     }
 
+    const { rows } = await pool.query(
+      `SELECT 
+        r.*,
+        u.name as changed_by_name
+      FROM booking_reschedules r
+      LEFT JOIN users u ON r.changed_by = u.id
+      WHERE r.booking_id = $1
+      ORDER BY r.created_at ASC`,
+      [id]
+    );
+
+    const booking = bookingRows[0];
+
     res.json({
       success: true,
-      message: 'Agendamento cancelado com sucesso',
-      data: rows[0]
+      data: {
+        reschedule_count: booking.reschedule_count,
+        max_reschedules: booking.max_reschedules,
+        remaining_reschedules: Math.max(booking.max_reschedules - booking.reschedule_count, 0),
+        reschedule_min_notice_hours: booking.reschedule_min_notice_hours,
+        history: rows
+      }
     });
 
   } catch (error) {
-    console.error('Erro ao cancelar agendamento:', error);
+    console.error('Erro ao buscar histórico de remarcações:', error);
     res.status(500).json({
       success: false,
       message: 'Erro interno do servidor'
@@ -331,4 +972,105 @@ router.put('/:id/cancel', authenticateToken, async (req, res) => {
   }
 });
 
+// Concluir agendamento
+router.put('/:id/complete',
+  authenticateToken,
+  requirePermission(['bookings.manage', 'bookings.manage_own']),
+  requireOwnership('booking', { own: ['bookings.manage_own'], permissions: ['bookings.manage'] }),
+  [
+    body('completed_at').optional().isISO8601().withMessage('Data de realização inválida'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { notes } = req.body;
+      const completedAt = req.body.completed_at ? new Date(req.body.completed_at) : new Date();
+
+      if (completedAt > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A sessão não pode ser concluída com data futura'
+        });
+      }
+
+      const result = await transaction(async (client) => {
+        const { rows: bookingRows } = await client.query(
+          `SELECT 
+             b.*,
+             $2::timestamptz < (b.scheduled_date + b.scheduled_time) as before_start
+           FROM bookings b
+           WHERE b.id = $1
+           FOR UPDATE`,
+          [id, completedAt]
+        );
+
+        if (bookingRows.length === 0) {
+          throw createHttpError(404, 'Agendamento não encontrado');
+        }
+
+        const { before_start, ...booking } = bookingRows[0];
+
+        if (booking.status !== 'confirmed') {
+          throw createHttpError(409, 'Apenas agendamentos confirmados podem ser concluídos');
+        }
+
+        // A sessão só pode ser concluída a partir do horário agendado
+        if (before_start) {
+          throw createHttpError(409, 'A sessão não pode ser concluída antes do horário agendado');
+        }
+
+        const { rows: updatedRows } = await client.query(
+          `UPDATE bookings 
+           SET status = 'completed',
+               payment_status = 'paid',
+               completed_at = $2,
+               completed_by = $3,
+               notes = COALESCE($4, notes),
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [id, completedAt, req.user.id, notes]
+        );
+
+        // Liberar as comissões vinculadas (todos os níveis da rede) para pagamento
+        const { rows: commissionRows } = await client.query(
+          `UPDATE commissions 
+           SET status = 'approved', approved_at = NOW(), updated_at = NOW()
+           WHERE booking_id = $1 AND status = 'pending'
+           RETURNING *`,
+          [id]
+        );
+
+        return {
+          ...updatedRows[0],
+          commissions: commissionRows
+        };
+      });
+
+      res.json({
+        success: true,
+        message: 'Agendamento concluído com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Erro ao concluir agendamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,26 @@
 const express = require('express');
 const { query, body, validationResult } = require('express-validator');
 const { pool, transaction } = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  authenticateToken,
+  acceptApiKey,
+  requirePermission,
+  requireOwnership,
+  ownershipScope,
+  blockImpersonation,
+  requireRecentTwoFactor
+} = require('../middleware/auth');
+const { settleClawbacks } = require('../utils/commissions');
+const { createHttpError } = require('../utils/helpers');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
 // Listar comissões
 router.get('/', 
-  authenticateToken,
+  acceptApiKey('commissions:read'),
   [
     query('affiliate_id').optional().isUUID().withMessage('ID do afiliado inválido'),
-    query('status').optional().isIn(['pending', 'paid', 'cancelled']).withMessage('Status inválido'),
+    query('status').optional().isIn(['pending', 'approved', 'paid', 'cancelled']).withMessage('Status inválido'),
     query('date_from').optional().isISO8601().withMessage('Data inicial inválida'),
     query('date_to').optional().isISO8601().withMessage('Data final inválida')
   ],
@@ -53,6 +64,12 @@ router.get('/',
         paramIndex++;
       }
 
+      // Afiliados veem apenas as próprias comissões
+      const scope = ownershipScope(req.user, 'commission', 'c', paramIndex);
+      whereClause += scope.clause;
+      params.push(...scope.params);
+      paramIndex += scope.params.length;
+
       const { rows } = await pool.query(
         `SELECT 
           c.*,
@@ -65,7 +82,8 @@ router.get('/',
           b.scheduled_date,
           b.scheduled_time,
           s.name as service_name,
-          tu.name as therapist_name
+          tu.name as therapist_name,
+          cr.name as commission_rule_name
         FROM commissions c
         JOIN affiliates af ON c.affiliate_id = af.id
         JOIN users au ON af.user_id = au.id
@@ -73,6 +91,7 @@ router.get('/',
         JOIN services s ON b.service_id = s.id
         JOIN therapists t ON s.therapist_id = t.id
         JOIN users tu ON t.user_id = tu.id
+        LEFT JOIN commission_rules cr ON c.commission_rule_id = cr.id
         ${whereClause}
         ORDER BY c.created_at DESC`,
         params
@@ -93,8 +112,308 @@ router.get('/',
   }
 );
 
+// Listar regras de comissão
+router.get('/rules', 
+  authenticateToken,
+  requirePermission('commissions.manage'),
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        `SELECT 
+          cr.*,
+          s.name as service_name,
+          tu.name as therapist_name,
+          af.referral_code as affiliate_referral_code,
+          (SELECT COUNT(*) FROM commissions c WHERE c.commission_rule_id = cr.id) as times_applied
+        FROM commission_rules cr
+        LEFT JOIN services s ON cr.service_id = s.id
+        LEFT JOIN therapists t ON cr.therapist_id = t.id
+        LEFT JOIN users tu ON t.user_id = tu.id
+        LEFT JOIN affiliates af ON cr.affiliate_id = af.id
+        ORDER BY cr.is_active DESC, cr.priority DESC, cr.created_at DESC`
+      );
+
+      res.json({
+        success: true,
+        data: rows
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar regras de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+const ruleValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 255 }).withMessage('Nome da regra obrigatório'),
+    field('type').isIn(['percentage', 'fixed']).withMessage('Tipo de regra inválido'),
+    field('value').isFloat({ min: 0 }).withMessage('Valor da regra inválido'),
+    body('service_id').optional({ nullable: true }).isUUID().withMessage('ID do serviço inválido'),
+    body('therapist_id').optional({ nullable: true }).isUUID().withMessage('ID do terapeuta inválido'),
+    body('affiliate_id').optional({ nullable: true }).isUUID().withMessage('ID do afiliado inválido'),
+    body('starts_at').optional({ nullable: true }).isISO8601().withMessage('Data inicial inválida'),
+    body('ends_at').optional({ nullable: true }).isISO8601().withMessage('Data final inválida'),
+    body('first_booking_only').optional().isBoolean().withMessage('Opção de primeiro agendamento inválida'),
+    body('priority').optional().isInt({ min: -1000, max: 1000 }).withMessage('Prioridade inválida'),
+    body('is_active').optional().isBoolean().withMessage('Status ativo inválido')
+  ];
+};
+
+// Criar regra de comissão
+router.post('/rules', 
+  authenticateToken,
+  requirePermission('commissions.manage'),
+  ruleValidators(false),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        name,
+        type,
+        value,
+        service_id = null,
+        therapist_id = null,
+        affiliate_id = null,
+        starts_at = null,
+        ends_at = null,
+        first_booking_only = false,
+        priority = 0
+      } = req.body;
+
+      if (type === 'percentage' && parseFloat(value) > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Percentual deve estar entre 0 e 100'
+        });
+      }
+
+      const rows = await transaction(async (client) => {
+        const { rows: createdRows } = await client.query(
+          `INSERT INTO commission_rules (
+             name, type, value, service_id, therapist_id, affiliate_id,
+             starts_at, ends_at, first_booking_only, priority, is_active, created_by, created_at
+           ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, true, $11, NOW())
+           RETURNING *`,
+          [
+            name, type, value, service_id, therapist_id, affiliate_id,
+            starts_at, ends_at, first_booking_only, priority, req.user.id
+          ]
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'commission_rule.create',
+          entityType: 'commission_rule',
+          entityId: createdRows[0].id,
+          after: createdRows[0],
+          status: 201
+        });
+
+        return createdRows;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Regra de comissão criada com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      // Violação de chave estrangeira ou de CHECK (período, percentual)
+      if (error.code === '23503' || error.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados da regra inválidos'
+        });
+      }
+
+      console.error('Erro ao criar regra de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Atualizar regra de comissão
+router.put('/rules/:ruleId', 
+  authenticateToken,
+  requirePermission('commissions.manage'),
+  ruleValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { ruleId } = req.params;
+      const fields = [
+        'name', 'type', 'value', 'service_id', 'therapist_id', 'affiliate_id',
+        'starts_at', 'ends_at', 'first_booking_only', 'priority', 'is_active'
+      ];
+
+      const updateFields = [];
+      const params = [];
+      let paramIndex = 1;
+
+      fields.forEach(field => {
+        if (req.body[field] !== undefined) {
+          updateFields.push(`${field} = $${paramIndex}`);
+          params.push(req.body[field]);
+          paramIndex++;
+        }
+      });
+
+      if (updateFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Nenhum campo para atualizar'
+        });
+      }
+
+      updateFields.push(`updated_at = NOW()`);
+      params.push(ruleId);
+
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM commission_rules WHERE id = $1 FOR UPDATE',
+          [ruleId]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(
+          `UPDATE commission_rules 
+           SET ${updateFields.join(', ')}
+           WHERE id = $${paramIndex}
+           RETURNING *`,
+          params
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'commission_rule.update',
+          entityType: 'commission_rule',
+          entityId: ruleId,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Regra de comissão não encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Regra de comissão atualizada com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      if (error.code === '23503' || error.code === '23514') {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados da regra inválidos'
+        });
+      }
+
+      console.error('Erro ao atualizar regra de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Desativar regra de comissão (mantida para auditoria das comissões já geradas)
+router.delete('/rules/:ruleId', 
+  authenticateToken,
+  requirePermission('commissions.manage'),
+  async (req, res) => {
+    try {
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM commission_rules WHERE id = $1 FOR UPDATE',
+          [req.params.ruleId]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(
+          `UPDATE commission_rules 
+           SET is_active = false, updated_at = NOW() 
+           WHERE id = $1 
+           RETURNING *`,
+          [req.params.ruleId]
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'commission_rule.deactivate',
+          entityType: 'commission_rule',
+          entityId: req.params.ruleId,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Regra de comissão não encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Regra de comissão desativada com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao desativar regra de comissão:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 // Buscar comissão específica
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', acceptApiKey('commissions:read'), requireOwnership('commission'), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -110,7 +429,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
         b.scheduled_date,
         b.scheduled_time,
         s.name as service_name,
-        tu.name as therapist_name
+        tu.name as therapist_name,
+        cr.name as commission_rule_name
       FROM commissions c
       JOIN affiliates af ON c.affiliate_id = af.id
       JOIN users au ON af.user_id = au.id
@@ -118,6 +438,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
       JOIN services s ON b.service_id = s.id
       JOIN therapists t ON s.therapist_id = t.id
       JOIN users tu ON t.user_id = tu.id
+      LEFT JOIN commission_rules cr ON c.commission_rule_id = cr.id
       WHERE c.id = $1`,
       [id]
     );
@@ -146,7 +467,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Marcar comissão como paga
 router.post('/:id/pay', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('commissions.pay'),
+  blockImpersonation,
+  requireRecentTwoFactor,
   [
     body('payment_method').optional().trim().isLength({ min: 1 }).withMessage('Método de pagamento inválido'),
     body('payment_reference').optional().trim().isLength({ min: 1 }).withMessage('Referência de pagamento inválida'),
@@ -167,18 +490,19 @@ router.post('/:id/pay',
       const { payment_method, payment_reference, notes } = req.body;
 
       const result = await transaction(async (client) => {
-        // Verificar se comissão existe e está pendente
+        // Verificar se comissão existe e está liberada (sessão concluída)
         const { rows: commissionRows } = await client.query(
           `SELECT c.*, au.name as affiliate_name, au.email as affiliate_email
            FROM commissions c
            JOIN affiliates af ON c.affiliate_id = af.id
            JOIN users au ON af.user_id = au.id
-           WHERE c.id = $1 AND c.status = 'pending'`,
+           WHERE c.id = $1 AND c.type = 'commission' AND c.status = 'approved' AND c.batch_id IS NULL
+           FOR UPDATE OF c`,
           [id]
         );
 
         if (commissionRows.length === 0) {
-          throw new Error('Comissão não encontrada ou já processada');
+          throw createHttpError(400, 'Comissão não encontrada, não liberada, em lote de pagamento ou já processada');
         }
 
         const commission = commissionRows[0];
@@ -197,6 +521,14 @@ router.post('/:id/pay',
           [id, payment_method, payment_reference, notes]
         );
 
+        // Descontar estornos em aberto do afiliado
+        const { settled, netAmount } = await settleClawbacks(
+          client,
+          commission.affiliate_id,
+          commission.amount,
+          { payment_method, payment_reference }
+        );
+
         // Atualizar total de comissões do afiliado
         await client.query(
           `UPDATE affiliates 
@@ -206,10 +538,24 @@ router.post('/:id/pay',
           [commission.amount, commission.affiliate_id]
         );
 
+        await recordAudit(client, req, res, {
+          action: 'commission.pay',
+          entityType: 'commission',
+          entityId: id,
+          before: commission,
+          after: {
+            ...updatedRows[0],
+            affiliate_name: commission.affiliate_name,
+            affiliate_email: commission.affiliate_email
+          }
+        });
+
         return {
           ...updatedRows[0],
           affiliate_name: commission.affiliate_name,
-          affiliate_email: commission.affiliate_email
+          affiliate_email: commission.affiliate_email,
+          settled_clawbacks: settled,
+          net_amount: netAmount
         };
       });
 
@@ -221,9 +567,9 @@ router.post('/:id/pay',
 
     } catch (error) {
       console.error('Erro ao marcar comissão como paga:', error);
-      res.status(400).json({
+      res.status(error.status || 500).json({
         success: false,
-        message: error.message || 'Erro interno do servidor'
+        message: error.status ? error.message : 'Erro interno do servidor'
       });
     }
   }
@@ -232,7 +578,7 @@ router.post('/:id/pay',
 // Estatísticas de comissões
 router.get('/stats/summary', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('commissions.view'),
   async (req, res) => {
     try {
       const { month, year } = req.query;
@@ -249,11 +595,13 @@ router.get('/stats/summary',
         `SELECT 
           COUNT(*) as total_commissions,
           COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_commissions,
+          COUNT(CASE WHEN status = 'approved' THEN 1 END) as approved_commissions,
           COUNT(CASE WHEN status = 'paid' THEN 1 END) as paid_commissions,
           COUNT(CASE WHEN status = 'cancelled' THEN 1 END) as cancelled_commissions,
           SUM(amount) as total_amount,
           SUM(CASE WHEN status = 'paid' THEN amount ELSE 0 END) as paid_amount,
           SUM(CASE WHEN status = 'pending' THEN amount ELSE 0 END) as pending_amount,
+          SUM(CASE WHEN status = 'approved' THEN amount ELSE 0 END) as approved_amount,
           AVG(amount) as avg_commission_amount
         FROM commissions c
         ${dateFilter}`,
@@ -278,7 +626,7 @@ router.get('/stats/summary',
 // Estatísticas por afiliado
 router.get('/stats/by-affiliate', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('commissions.view'),
   async (req, res) => {
     try {
       const { rows } = await pool.query(
@@ -291,6 +639,7 @@ router.get('/stats/by-affiliate',
           SUM(c.amount) as total_amount,
           SUM(CASE WHEN c.status = 'paid' THEN c.amount ELSE 0 END) as paid_amount,
           SUM(CASE WHEN c.status = 'pending' THEN c.amount ELSE 0 END) as pending_amount,
+          SUM(CASE WHEN c.status = 'approved' THEN c.amount ELSE 0 END) as approved_amount,
           AVG(c.amount) as avg_commission_amount
         FROM affiliates af
         JOIN users au ON af.user_id = au.id
@@ -0,0 +1,395 @@
+const express = require('express');
+const { query, body, validationResult } = require('express-validator');
+const { pool, transaction } = require('../config/database');
+const { authenticateToken, blockImpersonation, requirePermission, requireRecentTwoFactor } = require('../middleware/auth');
+const { getSetting, saveAuditedSetting } = require('../utils/settings');
+const {
+  createPayoutBatch,
+  lockPayoutBatch,
+  markBatchExported,
+  markBatchPaid,
+  cancelPayoutBatch,
+  getPayoutBatchItems,
+  buildPayoutCsv,
+  buildPixBatchFile
+} = require('../utils/payouts');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Todas as rotas de lotes de pagamento são administrativas
+router.use(authenticateToken, blockImpersonation, requirePermission('payouts.manage'));
+
+// Listar lotes de pagamento
+router.get('/',
+  [
+    query('status').optional().isIn(['draft', 'exported', 'paid', 'cancelled']).withMessage('Status inválido'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { status, page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { rows } = await pool.query(
+        `SELECT
+          pb.*,
+          cu.name as created_by_name,
+          pu.name as paid_by_name
+        FROM payout_batches pb
+        LEFT JOIN users cu ON pb.created_by = cu.id
+        LEFT JOIN users pu ON pb.paid_by = pu.id
+        WHERE ($1::text IS NULL OR pb.status = $1)
+        ORDER BY pb.created_at DESC
+        LIMIT $2 OFFSET $3`,
+        [status || null, limit, offset]
+      );
+
+      const { rows: countRows } = await pool.query(
+        'SELECT COUNT(*) as total FROM payout_batches WHERE ($1::text IS NULL OR status = $1)',
+        [status || null]
+      );
+
+      const total = parseInt(countRows[0].total);
+
+      res.json({
+        success: true,
+        data: {
+          batches: rows,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar lotes de pagamento:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Configuração dos lotes de pagamento
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await getSetting(pool, 'payouts');
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar configuração de pagamentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+router.put('/settings',
+  [
+    body('min_amount').isFloat({ min: 0 }).withMessage('Valor mínimo inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const setting = await transaction((client) => saveAuditedSetting(
+        client,
+        req,
+        res,
+        'payouts',
+        { min_amount: parseFloat(req.body.min_amount) }
+      ));
+
+      res.json({
+        success: true,
+        message: 'Configuração de pagamentos atualizada com sucesso',
+        data: setting.value
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar configuração de pagamentos:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Criar lote com as comissões liberadas dos afiliados selecionados e/ou período
+router.post('/',
+  [
+    body('affiliate_ids').optional().isArray({ max: 1000 }).withMessage('Lista de afiliados inválida'),
+    body('affiliate_ids.*').isUUID().withMessage('ID do afiliado inválido'),
+    body('date_from').optional().isISO8601().withMessage('Data inicial inválida'),
+    body('date_to').optional().isISO8601().withMessage('Data final inválida'),
+    body('min_amount').optional().isFloat({ min: 0 }).withMessage('Valor mínimo inválido'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { affiliate_ids, date_from, date_to, notes } = req.body;
+      let { min_amount } = req.body;
+
+      if (min_amount === undefined) {
+        min_amount = (await getSetting(pool, 'payouts')).min_amount;
+      }
+
+      const batch = await transaction(async (client) => {
+        const created = await createPayoutBatch(client, {
+          affiliateIds: affiliate_ids,
+          dateFrom: date_from,
+          dateTo: date_to,
+          minAmount: min_amount,
+          notes,
+          userId: req.user.id
+        });
+
+        // Itens por afiliado ficam no lote; a entrada registra só o cabeçalho
+        const { items, skipped, ...header } = created;
+
+        await recordAudit(client, req, res, {
+          action: 'payout_batch.create',
+          entityType: 'payout_batch',
+          entityId: created.id,
+          after: header,
+          status: 201
+        });
+
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Lote de pagamento criado com sucesso',
+        data: batch
+      });
+
+    } catch (error) {
+      console.error('Erro ao criar lote de pagamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Buscar lote com os itens por afiliado
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { rows } = await pool.query(
+      'SELECT * FROM payout_batches WHERE id = $1',
+      [id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lote de pagamento não encontrado'
+      });
+    }
+
+    const items = await getPayoutBatchItems(pool, id);
+
+    res.json({
+      success: true,
+      data: {
+        ...rows[0],
+        items
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar lote de pagamento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Gerar arquivo do lote para o banco (CSV de conferência ou layout PIX)
+router.post('/:id/export',
+  requireRecentTwoFactor,
+  [
+    query('format').optional().isIn(['csv', 'pix']).withMessage('Formato inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const format = req.query.format || 'csv';
+
+      const { batch, items } = await transaction(async (client) => {
+        const previous = await lockPayoutBatch(client, id);
+        const exported = await markBatchExported(client, id);
+
+        // Exportar o layout PIX revela os dados bancários completos
+        await recordAudit(client, req, res, {
+          action: 'payout_batch.export',
+          entityType: 'payout_batch',
+          entityId: id,
+          before: previous,
+          after: exported
+        });
+
+        return {
+          batch: exported,
+          items: await getPayoutBatchItems(client, id, { reveal: format === 'pix' })
+        };
+      });
+
+      const content = format === 'pix'
+        ? buildPixBatchFile(batch, items)
+        : buildPayoutCsv(batch, items);
+
+      res.setHeader('Content-Type', format === 'pix' ? 'text/plain; charset=utf-8' : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="lote-${id}.${format === 'pix' ? 'txt' : 'csv'}"`);
+      res.send(content);
+
+    } catch (error) {
+      console.error('Erro ao exportar lote de pagamento:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Confirmar pagamento do lote após retorno do banco
+router.post('/:id/pay',
+  requireRecentTwoFactor,
+  [
+    body('payment_method').optional().trim().isLength({ min: 1, max: 50 }).withMessage('Método de pagamento inválido'),
+    body('payment_reference').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Referência de pagamento inválida')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { payment_method = 'pix', payment_reference } = req.body;
+
+      const batch = await transaction(async (client) => {
+        const previous = await lockPayoutBatch(client, req.params.id);
+        const paid = await markBatchPaid(
+          client,
+          req.params.id,
+          { payment_method, payment_reference },
+          req.user.id
+        );
+
+        await recordAudit(client, req, res, {
+          action: 'payout_batch.pay',
+          entityType: 'payout_batch',
+          entityId: req.params.id,
+          before: previous,
+          after: paid
+        });
+
+        return paid;
+      });
+
+      res.json({
+        success: true,
+        message: 'Lote de pagamento marcado como pago com sucesso',
+        data: batch
+      });
+
+    } catch (error) {
+      console.error('Erro ao pagar lote:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Cancelar lote não pago
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const batch = await transaction(async (client) => {
+      const previous = await lockPayoutBatch(client, req.params.id);
+      const cancelled = await cancelPayoutBatch(client, req.params.id);
+
+      await recordAudit(client, req, res, {
+        action: 'payout_batch.cancel',
+        entityType: 'payout_batch',
+        entityId: req.params.id,
+        before: previous,
+        after: cancelled
+      });
+
+      return cancelled;
+    });
+
+    res.json({
+      success: true,
+      message: 'Lote de pagamento cancelado com sucesso',
+      data: batch
+    });
+
+  } catch (error) {
+    console.error('Erro ao cancelar lote:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, query, validationResult } = require('express-validator');
+const { pool, transaction } = require('../config/database');
+const { generateSecureToken, hashToken, createHttpError } = require('../utils/helpers');
+const { getAvailability, isBookingOverlapError } = require('../utils/availability');
+const { getActiveService, createBooking } = require('../utils/bookings');
+const { getAttributionToken, resolveAttribution } = require('../utils/attribution');
+const { generateFormToken, consumeFormToken } = require('../utils/formToken');
+const { sendBookingConfirmationRequestEmail } = require('../utils/mailer');
+const router = express.Router();
+
+// Prazo para o cliente confirmar o agendamento pelo link do email
+const CONFIRMATION_MINUTES = parseInt(process.env.PUBLIC_BOOKING_CONFIRMATION_MINUTES) || 60;
+
+// Rate limiting próprio da API pública
+const readLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 60,
+  message: { success: false, message: 'Muitas tentativas' }
+});
+
+const bookingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5,
+  message: { success: false, message: 'Muitas tentativas de agendamento. Tente novamente mais tarde' }
+});
+
+// Confirmações têm limite próprio: não consomem as tentativas de agendamento
+const confirmLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10,
+  message: { success: false, message: 'Muitas tentativas de confirmação. Tente novamente mais tarde' }
+});
+
+router.use(readLimiter);
+
+// Listar terapeutas ativos
+router.get('/therapists', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT
+        t.id,
+        u.name,
+        t.specialty,
+        t.bio
+      FROM therapists t
+      JOIN users u ON t.user_id = u.id
+      WHERE t.is_available = true AND u.is_active = true
+      ORDER BY u.name ASC`
+    );
+
+    res.json({
+      success: true,
+      data: rows
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar terapeutas (público):', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Listar serviços ativos
+router.get('/services',
+  [
+    query('therapist_id').optional().isUUID().withMessage('ID do terapeuta inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      let sql = `
+        SELECT
+          s.id,
+          s.therapist_id,
+          s.name,
+          s.description,
+          s.price,
+          s.duration_minutes,
+          u.name as therapist_name,
+          t.specialty
+        FROM services s
+        JOIN therapists t ON s.therapist_id = t.id
+        JOIN users u ON t.user_id = u.id
+        WHERE s.is_active = true AND t.is_available = true AND u.is_active = true
+      `;
+
+      const params = [];
+      if (req.query.therapist_id) {
+        sql += ' AND s.therapist_id = $1';
+        params.push(req.query.therapist_id);
+      }
+
+      sql += ' ORDER BY s.name ASC';
+
+      const { rows } = await pool.query(sql, params);
+
+      res.json({
+        success: true,
+        data: rows
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar serviços (público):', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Disponibilidade do terapeuta para um serviço
+router.get('/therapists/:id/availability',
+  [
+    query('date').isISO8601().withMessage('Data inválida'),
+    query('service_id').isUUID().withMessage('ID do serviço inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { date, service_id } = req.query;
+
+      const availability = await getAvailability(pool, id, date, service_id);
+
+      // Não expor a agenda ocupada do terapeuta publicamente
+      res.json({
+        success: true,
+        data: {
+          date: availability.date,
+          service_id: availability.service_id,
+          duration_minutes: availability.duration_minutes,
+          available_slots: availability.available_slots
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar disponibilidade (público):', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Token de formulário (proteção contra bots)
+router.get('/form-token', (req, res) => {
+  res.json({
+    success: true,
+    data: { form_token: generateFormToken() }
+  });
+});
+
+// Criar agendamento público
+router.post('/bookings',
+  bookingLimiter,
+  [
+    body('therapist_id').isUUID().withMessage('ID do terapeuta inválido'),
+    body('service_id').isUUID().withMessage('ID do serviço inválido'),
+    body('client_name').trim().isLength({ min: 2, max: 255 }).withMessage('Nome obrigatório'),
+    body('client_email').isEmail().normalizeEmail().withMessage('Email inválido'),
+    body('client_phone').optional().trim().isLength({ min: 10, max: 20 }).withMessage('Telefone inválido'),
+    body('scheduled_date').isISO8601().withMessage('Data inválida'),
+    body('scheduled_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Hora inválida'),
+    body('affiliate_code').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Código de afiliado inválido'),
+    body('attribution_token').optional().isHexadecimal().isLength({ max: 64 }).withMessage('Token de atribuição inválido'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Observações muito longas'),
+    body('form_token').notEmpty().withMessage('Token do formulário obrigatório')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        therapist_id,
+        service_id,
+        client_name,
+        client_email,
+        client_phone,
+        scheduled_date,
+        scheduled_time,
+        notes,
+        affiliate_code,
+        form_token,
+        website
+      } = req.body;
+
+      const pendingResponse = {
+        success: true,
+        message: 'Enviamos um link de confirmação para o seu email',
+        data: {
+          scheduled_date,
+          scheduled_time,
+          status: 'awaiting_confirmation',
+          confirmation_expires_in_minutes: CONFIRMATION_MINUTES
+        }
+      };
+
+      // Honeypot: campo invisível preenchido indica bot (resposta idêntica, nada é criado)
+      if (website) {
+        return res.status(201).json(pendingResponse);
+      }
+
+      const token = generateSecureToken();
+
+      const booking = await transaction(async (client) => {
+        // Token de formulário de uso único (reenvios do mesmo formulário são recusados)
+        if (!(await consumeFormToken(client, form_token))) {
+          throw createHttpError(400, 'Formulário expirado ou inválido. Recarregue a página e tente novamente');
+        }
+
+        // Apenas terapeutas disponíveis, com conta ativa, recebem agendamentos públicos
+        const { rows: therapistRows } = await client.query(
+          `SELECT t.id FROM therapists t
+           JOIN users u ON t.user_id = u.id
+           WHERE t.id = $1 AND t.is_available = true AND u.is_active = true`,
+          [therapist_id]
+        );
+
+        if (therapistRows.length === 0) {
+          throw createHttpError(404, 'Terapeuta não encontrado ou indisponível');
+        }
+
+        const { rows: timeRows } = await client.query(
+          'SELECT ($1::date + $2::time) > NOW() as is_future',
+          [scheduled_date, scheduled_time]
+        );
+
+        if (!timeRows[0].is_future) {
+          throw createHttpError(400, 'O horário escolhido já passou');
+        }
+
+        const service = await getActiveService(client, service_id, therapist_id);
+        const { affiliate_id, referral_click_id } = await resolveAttribution(client, {
+          affiliateCode: affiliate_code,
+          attributionToken: getAttributionToken(req)
+        });
+
+        return createBooking(client, service, {
+          therapist_id,
+          affiliate_id,
+          referral_click_id,
+          client_name,
+          client_email,
+          client_phone,
+          scheduled_date,
+          scheduled_time,
+          notes,
+          source: 'public',
+          confirmation_token_hash: hashToken(token),
+          confirmation_expires_at: new Date(Date.now() + CONFIRMATION_MINUTES * 60 * 1000)
+        });
+      });
+
+      await sendBookingConfirmationRequestEmail(booking, token);
+
+      res.status(201).json(pendingResponse);
+
+    } catch (error) {
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Horário não disponível'
+        });
+      }
+
+      console.error('Erro ao criar agendamento (público):', error);
+      res.status(error.status || 500).json({
+        success: false,
+        message: error.status ? error.message : 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Confirmar agendamento pelo link enviado por email
+router.post('/bookings/confirm',
+  confirmLimiter,
+  [
+    body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Token inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { rows } = await pool.query(
+        `UPDATE bookings
+         SET client_confirmed_at = NOW(),
+             confirmation_token_hash = NULL,
+             updated_at = NOW()
+         WHERE confirmation_token_hash = $1
+         AND client_confirmed_at IS NULL
+         AND confirmation_expires_at >= NOW()
+         AND status = 'pending'
+         RETURNING id, scheduled_date, scheduled_time, status, client_confirmed_at`,
+        [hashToken(req.body.token)]
+      );
+
+      if (rows.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Link de confirmação inválido ou expirado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Agendamento confirmado com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      console.error('Erro ao confirmar agendamento (público):', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { pool } = require('../config/database');
+const { generateSecureToken } = require('../utils/helpers');
+const { getAppUrl } = require('../utils/mailer');
+const { getSetting } = require('../utils/settings');
+const { ATTRIBUTION_COOKIE, getCookie } = require('../utils/attribution');
+const router = express.Router();
+
+const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+const clickLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 30,
+  message: { success: false, message: 'Muitas tentativas' }
+});
+
+// Aceitar apenas caminhos relativos como destino (evita open redirect)
+function getLandingPage(to) {
+  if (typeof to === 'string' && to.startsWith('/') && !to.startsWith('//')) {
+    return to;
+  }
+  return '/';
+}
+
+function getQueryString(value) {
+  return typeof value === 'string' ? value.substring(0, 255) : null;
+}
+
+// Link de indicação: registra o clique, grava o token de atribuição e redireciona
+router.get('/:referral_code', clickLimiter, async (req, res) => {
+  const landingPage = getLandingPage(req.query.to);
+  const redirectUrl = new URL(landingPage, getAppUrl());
+
+  try {
+    const { referral_code } = req.params;
+
+    const { rows: affiliateRows } = await pool.query(
+      'SELECT id FROM affiliates WHERE referral_code = $1 AND is_active = true',
+      [referral_code]
+    );
+
+    if (affiliateRows.length === 0) {
+      return res.redirect(302, redirectUrl.toString());
+    }
+
+    const { window_days } = await getSetting(pool, 'attribution');
+
+    // Reaproveitar o token do visitante para permitir atribuição por primeiro/último clique
+    const existingToken = getCookie(req, ATTRIBUTION_COOKIE);
+    const attributionToken = /^[a-f0-9]{32,64}$/.test(existingToken || '')
+      ? existingToken
+      : generateSecureToken(16);
+
+    const utm = UTM_PARAMS.map(param => getQueryString(req.query[param]));
+
+    await pool.query(
+      `INSERT INTO referral_clicks (
+         affiliate_id, attribution_token, landing_page, referrer, user_agent, ip_address,
+         utm_source, utm_medium, utm_campaign, utm_term, utm_content, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())`,
+      [
+        affiliateRows[0].id,
+        attributionToken,
+        landingPage,
+        req.get('referer') || null,
+        req.get('user-agent') || null,
+        req.ip,
+        ...utm
+      ]
+    );
+
+    res.cookie(ATTRIBUTION_COOKIE, attributionToken, {
+      maxAge: window_days * 24 * 60 * 60 * 1000,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production'
+    });
+
+    // Frontend em outro domínio recebe o código e o token para enviar no agendamento
+    redirectUrl.searchParams.set('ref', referral_code);
+    redirectUrl.searchParams.set('attribution_token', attributionToken);
+    UTM_PARAMS.forEach((param, index) => {
+      if (utm[index]) {
+        redirectUrl.searchParams.set(param, utm[index]);
+      }
+    });
+
+    res.redirect(302, redirectUrl.toString());
+
+  } catch (error) {
+    console.error('Erro ao registrar clique de indicação:', error);
+    res.redirect(302, redirectUrl.toString());
+  }
+});
+
+module.exports = router;
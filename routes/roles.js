@@ -0,0 +1,225 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { pool, transaction } = require('../config/database');
+const { authenticateToken, blockImpersonation, requirePermission } = require('../middleware/auth');
+const {
+  getPermissions,
+  getRoles,
+  getRole,
+  getEditableRole,
+  createRole,
+  updateRole,
+  deleteRole
+} = require('../utils/permissions');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+router.use(authenticateToken, blockImpersonation, requirePermission('roles.manage'));
+
+const roleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    body('description').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Descrição muito longa'),
+    field('permissions').isArray().withMessage('Permissões inválidas'),
+    body('permissions.*').isString().withMessage('Permissão inválida')
+  ];
+};
+
+function handleRoleError(error, res, logMessage) {
+  if (error.code === '23505') {
+    return res.status(409).json({
+      success: false,
+      message: 'Já existe um papel com este nome'
+    });
+  }
+
+  // Permissão fora do catálogo
+  if (error.code === '23503') {
+    return res.status(400).json({
+      success: false,
+      message: 'Permissão inválida'
+    });
+  }
+
+  console.error(logMessage, error);
+  res.status(error.status || 500).json({
+    success: false,
+    message: error.status ? error.message : 'Erro interno do servidor'
+  });
+}
+
+// Catálogo de permissões
+router.get('/permissions', async (req, res) => {
+  try {
+    const permissions = await getPermissions(pool);
+
+    res.json({
+      success: true,
+      data: permissions
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar permissões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Listar papéis com suas permissões
+router.get('/', async (req, res) => {
+  try {
+    const roles = await getRoles(pool);
+
+    res.json({
+      success: true,
+      data: roles
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar papéis:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Buscar papel
+router.get('/:id', async (req, res) => {
+  try {
+    const role = await getRole(pool, req.params.id);
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Papel não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: role
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar papel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Criar papel personalizado
+router.post('/',
+  [
+    body('name').trim().matches(/^[a-z][a-z0-9_]{1,49}$/).withMessage('Nome inválido (letras minúsculas, números e _)'),
+    ...roleValidators(false)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const role = await transaction(async (client) => {
+        const created = await createRole(client, req.body);
+
+        await recordAudit(client, req, res, {
+          action: 'role.create',
+          entityType: 'role',
+          entityId: created.id,
+          after: created,
+          status: 201
+        });
+
+        return created;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Papel criado com sucesso',
+        data: role
+      });
+
+    } catch (error) {
+      handleRoleError(error, res, 'Erro ao criar papel:');
+    }
+  }
+);
+
+// Atualizar descrição e permissões do papel (o nome não muda)
+router.put('/:id', roleValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const role = await transaction(async (client) => {
+      // Bloquear o papel antes de ler o estado anterior
+      await getEditableRole(client, req.params.id);
+      const previous = await getRole(client, req.params.id);
+      const updated = await updateRole(client, req.params.id, req.body);
+
+      await recordAudit(client, req, res, {
+        action: 'role.update',
+        entityType: 'role',
+        entityId: req.params.id,
+        before: previous,
+        after: updated
+      });
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Papel atualizado com sucesso',
+      data: role
+    });
+
+  } catch (error) {
+    handleRoleError(error, res, 'Erro ao atualizar papel:');
+  }
+});
+
+// Remover papel personalizado sem usuários
+router.delete('/:id', async (req, res) => {
+  try {
+    await transaction(async (client) => {
+      await getEditableRole(client, req.params.id);
+      const previous = await getRole(client, req.params.id);
+      await deleteRole(client, req.params.id);
+
+      await recordAudit(client, req, res, {
+        action: 'role.delete',
+        entityType: 'role',
+        entityId: req.params.id,
+        before: previous
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Papel removido com sucesso'
+    });
+
+  } catch (error) {
+    handleRoleError(error, res, 'Erro ao remover papel:');
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { pool } = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { pool, transaction } = require('../config/database');
+const { authenticateToken, hasPermission, requirePermission, requireOwnership } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { isBookingOverlapError } = require('../utils/availability');
 const router = express.Router();
 
 // Listar serviços
@@ -87,13 +89,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Criar serviço
 router.post('/', 
   authenticateToken,
-  requireRole(['admin', 'therapist']),
+  requirePermission(['services.manage', 'services.manage_own']),
   [
     body('therapist_id').isUUID().withMessage('ID do terapeuta inválido'),
     body('name').trim().isLength({ min: 2 }).withMessage('Nome do serviço obrigatório'),
     body('description').optional().trim().isLength({ max: 1000 }).withMessage('Descrição muito longa'),
     body('price').isFloat({ min: 0.01 }).withMessage('Preço inválido'),
-    body('duration_minutes').isInt({ min: 15, max: 480 }).withMessage('Duração inválida (15-480 minutos)')
+    body('duration_minutes').isInt({ min: 15, max: 480 }).withMessage('Duração inválida (15-480 minutos)'),
+    body('buffer_before_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Intervalo anterior inválido (0-240 minutos)'),
+    body('buffer_after_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Intervalo posterior inválido (0-240 minutos)')
   ],
   async (req, res) => {
     try {
@@ -106,7 +110,23 @@ router.post('/',
         });
       }
 
-      const { therapist_id, name, description, price, duration_minutes } = req.body;
+      const {
+        therapist_id,
+        name,
+        description,
+        price,
+        duration_minutes,
+        buffer_before_minutes = 0,
+        buffer_after_minutes = 0
+      } = req.body;
+
+      // Terapeutas só cadastram serviços para si mesmos
+      if (!hasPermission(req.user, 'services.manage') && therapist_id !== req.user.therapist_id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permissão negada'
+        });
+      }
 
       // Verificar se terapeuta existe
       const { rows: therapistRows } = await pool.query(
@@ -123,10 +143,12 @@ router.post('/',
 
       // Criar serviço
       const { rows } = await pool.query(
-        `INSERT INTO services (therapist_id, name, description, price, duration_minutes, is_active, created_at)
-         VALUES ($1, $2, $3, $4, $5, true, NOW())
+        `INSERT INTO services (
+           therapist_id, name, description, price, duration_minutes,
+           buffer_before_minutes, buffer_after_minutes, is_active, created_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, true, NOW())
          RETURNING *`,
-        [therapist_id, name, description, price, duration_minutes]
+        [therapist_id, name, description, price, duration_minutes, buffer_before_minutes, buffer_after_minutes]
       );
 
       res.status(201).json({
@@ -148,12 +170,15 @@ router.post('/',
 // Atualizar serviço
 router.put('/:id', 
   authenticateToken,
-  requireRole(['admin', 'therapist']),
+  requirePermission(['services.manage', 'services.manage_own']),
+  requireOwnership('service'),
   [
     body('name').optional().trim().isLength({ min: 2 }).withMessage('Nome do serviço obrigatório'),
     body('description').optional().trim().isLength({ max: 1000 }).withMessage('Descrição muito longa'),
     body('price').optional().isFloat({ min: 0.01 }).withMessage('Preço inválido'),
     body('duration_minutes').optional().isInt({ min: 15, max: 480 }).withMessage('Duração inválida (15-480 minutos)'),
+    body('buffer_before_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Intervalo anterior inválido (0-240 minutos)'),
+    body('buffer_after_minutes').optional().isInt({ min: 0, max: 240 }).withMessage('Intervalo posterior inválido (0-240 minutos)'),
     body('is_active').optional().isBoolean().withMessage('Status ativo inválido')
   ],
   async (req, res) => {
@@ -168,7 +193,15 @@ router.put('/:id',
       }
 
       const { id } = req.params;
-      const { name, description, price, duration_minutes, is_active } = req.body;
+      const {
+        name,
+        description,
+        price,
+        duration_minutes,
+        buffer_before_minutes,
+        buffer_after_minutes,
+        is_active
+      } = req.body;
 
       const updateFields = [];
       const params = [];
@@ -198,6 +231,18 @@ router.put('/:id',
         paramIndex++;
       }
 
+      if (buffer_before_minutes !== undefined) {
+        updateFields.push(`buffer_before_minutes = $${paramIndex}`);
+        params.push(buffer_before_minutes);
+        paramIndex++;
+      }
+
+      if (buffer_after_minutes !== undefined) {
+        updateFields.push(`buffer_after_minutes = $${paramIndex}`);
+        params.push(buffer_after_minutes);
+        paramIndex++;
+      }
+
       if (is_active !== undefined) {
         updateFields.push(`is_active = $${paramIndex}`);
         params.push(is_active);
@@ -221,7 +266,29 @@ router.put('/:id',
         RETURNING *
       `;
 
-      const { rows } = await pool.query(query, params);
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM services WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(query, params);
+
+        await recordAudit(client, req, res, {
+          action: 'service.update',
+          entityType: 'service',
+          entityId: id,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
 
       if (rows.length === 0) {
         return res.status(404).json({
@@ -237,6 +304,14 @@ router.put('/:id',
       });
 
     } catch (error) {
+      // Nova duração ou buffers fariam agendamentos ativos do terapeuta se sobreporem
+      if (isBookingOverlapError(error)) {
+        return res.status(409).json({
+          success: false,
+          message: 'A nova duração ou os intervalos do serviço conflitam com agendamentos ativos'
+        });
+      }
+
       console.error('Erro ao atualizar serviço:', error);
       res.status(500).json({
         success: false,
@@ -249,7 +324,8 @@ router.put('/:id',
 // Excluir serviço
 router.delete('/:id', 
   authenticateToken,
-  requireRole(['admin', 'therapist']),
+  requirePermission(['services.manage', 'services.manage_own']),
+  requireOwnership('service'),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -1,9 +1,13 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { pool, transaction } = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, hasPermission, requirePermission, requireOwnership } = require('../middleware/auth');
+const { timeToMinutes, getAvailability } = require('../utils/availability');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
 // Listar terapeutas
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -79,7 +83,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Criar terapeuta
 router.post('/', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('therapists.manage'),
   [
     body('user_id').isUUID().withMessage('ID do usuário inválido'),
     body('specialty').trim().isLength({ min: 2 }).withMessage('Especialidade obrigatória'),
@@ -150,7 +154,8 @@ router.post('/',
 // Atualizar terapeuta
 router.put('/:id', 
   authenticateToken,
-  requireRole(['admin', 'therapist']),
+  requirePermission(['therapists.manage', 'therapists.manage_own']),
+  requireOwnership('therapist'),
   [
     body('specialty').optional().trim().isLength({ min: 2 }).withMessage('Especialidade obrigatória'),
     body('bio').optional().trim().isLength({ max: 1000 }).withMessage('Biografia muito longa'),
@@ -171,6 +176,14 @@ router.put('/:id',
       const { id } = req.params;
       const { specialty, bio, commission_rate, is_available } = req.body;
 
+      // A taxa de comissão do terapeuta é definida pela administração
+      if (commission_rate !== undefined && !hasPermission(req.user, 'therapists.manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Apenas administradores podem alterar a taxa de comissão'
+        });
+      }
+
       const updateFields = [];
       const params = [];
       let paramIndex = 1;
@@ -216,7 +229,29 @@ router.put('/:id',
         RETURNING *
       `;
 
-      const { rows } = await pool.query(query, params);
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: previousRows } = await client.query(
+          'SELECT * FROM therapists WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        if (previousRows.length === 0) {
+          return previousRows;
+        }
+
+        const { rows: updatedRows } = await client.query(query, params);
+
+        await recordAudit(client, req, res, {
+          action: 'therapist.update',
+          entityType: 'therapist',
+          entityId: id,
+          before: previousRows[0],
+          after: updatedRows[0]
+        });
+
+        return updatedRows;
+      });
 
       if (rows.length === 0) {
         return res.status(404).json({
@@ -241,11 +276,261 @@ router.put('/:id',
   }
 );
 
+// Buscar agenda semanal e exceções futuras
+router.get('/:id/schedule', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { rows: weekly } = await pool.query(
+      `SELECT id, weekday, start_time, end_time
+       FROM therapist_schedules
+       WHERE therapist_id = $1
+       ORDER BY weekday, start_time`,
+      [id]
+    );
+
+    const { rows: exceptions } = await pool.query(
+      `SELECT id, type, start_date, end_date, start_time, end_time, reason
+       FROM therapist_schedule_exceptions
+       WHERE therapist_id = $1 AND end_date >= CURRENT_DATE
+       ORDER BY start_date, start_time`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        weekly,
+        exceptions,
+        is_default: weekly.length === 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar agenda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Substituir agenda semanal
+router.put('/:id/schedule', 
+  authenticateToken,
+  requirePermission(['therapists.manage', 'therapists.manage_own']),
+  requireOwnership('therapist'),
+  [
+    body('intervals').isArray().withMessage('Intervalos inválidos'),
+    body('intervals.*.weekday').isInt({ min: 0, max: 6 }).withMessage('Dia da semana inválido (0-6)'),
+    body('intervals.*.start_time').matches(TIME_REGEX).withMessage('Hora inicial inválida'),
+    body('intervals.*.end_time').matches(TIME_REGEX).withMessage('Hora final inválida')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { intervals } = req.body;
+
+      // Validar intervalos e sobreposições no mesmo dia
+      const byWeekday = {};
+      for (const interval of intervals) {
+        const start = timeToMinutes(interval.start_time);
+        const end = timeToMinutes(interval.end_time);
+
+        if (end <= start) {
+          return res.status(400).json({
+            success: false,
+            message: 'Hora final deve ser posterior à hora inicial'
+          });
+        }
+
+        const weekday = parseInt(interval.weekday);
+        byWeekday[weekday] = byWeekday[weekday] || [];
+
+        if (byWeekday[weekday].some(other => start < other.end && end > other.start)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Intervalos sobrepostos no mesmo dia'
+          });
+        }
+
+        byWeekday[weekday].push({ start, end });
+      }
+
+      const result = await transaction(async (client) => {
+        const { rows: therapistRows } = await client.query(
+          'SELECT id FROM therapists WHERE id = $1',
+          [id]
+        );
+
+        if (therapistRows.length === 0) {
+          throw new Error('Terapeuta não encontrado');
+        }
+
+        await client.query('DELETE FROM therapist_schedules WHERE therapist_id = $1', [id]);
+
+        const inserted = [];
+        for (const interval of intervals) {
+          const { rows } = await client.query(
+            `INSERT INTO therapist_schedules (therapist_id, weekday, start_time, end_time, created_at)
+             VALUES ($1, $2, $3, $4, NOW())
+             RETURNING id, weekday, start_time, end_time`,
+            [id, interval.weekday, interval.start_time, interval.end_time]
+          );
+          inserted.push(rows[0]);
+        }
+
+        return inserted;
+      });
+
+      res.json({
+        success: true,
+        message: 'Agenda atualizada com sucesso',
+        data: result
+      });
+
+    } catch (error) {
+      console.error('Erro ao atualizar agenda:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Criar exceção na agenda (férias, feriado, horário extra)
+router.post('/:id/schedule/exceptions', 
+  authenticateToken,
+  requirePermission(['therapists.manage', 'therapists.manage_own']),
+  requireOwnership('therapist'),
+  [
+    body('type').isIn(['unavailable', 'available']).withMessage('Tipo de exceção inválido'),
+    body('start_date').isISO8601().withMessage('Data inicial inválida'),
+    body('end_date').optional().isISO8601().withMessage('Data final inválida'),
+    body('start_time').optional().matches(TIME_REGEX).withMessage('Hora inicial inválida'),
+    body('end_time').optional().matches(TIME_REGEX).withMessage('Hora final inválida'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Motivo muito longo')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Dados inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { type, start_date, start_time, end_time, reason } = req.body;
+      const end_date = req.body.end_date || start_date;
+
+      if (end_date < start_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Data final deve ser igual ou posterior à data inicial'
+        });
+      }
+
+      if (!start_time !== !end_time) {
+        return res.status(400).json({
+          success: false,
+          message: 'Informe hora inicial e final, ou nenhuma para o dia inteiro'
+        });
+      }
+
+      if (start_time && timeToMinutes(end_time) <= timeToMinutes(start_time)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Hora final deve ser posterior à hora inicial'
+        });
+      }
+
+      if (type === 'available' && !start_time) {
+        return res.status(400).json({
+          success: false,
+          message: 'Horários extras exigem hora inicial e final'
+        });
+      }
+
+      const { rows } = await pool.query(
+        `INSERT INTO therapist_schedule_exceptions (
+           therapist_id, type, start_date, end_date, start_time, end_time, reason, created_at
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+         RETURNING *`,
+        [id, type, start_date, end_date, start_time || null, end_time || null, reason]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Exceção criada com sucesso',
+        data: rows[0]
+      });
+
+    } catch (error) {
+      console.error('Erro ao criar exceção na agenda:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Remover exceção da agenda
+router.delete('/:id/schedule/exceptions/:exceptionId', 
+  authenticateToken,
+  requirePermission(['therapists.manage', 'therapists.manage_own']),
+  requireOwnership('therapist'),
+  async (req, res) => {
+    try {
+      const { id, exceptionId } = req.params;
+
+      const { rows } = await pool.query(
+        `DELETE FROM therapist_schedule_exceptions 
+         WHERE id = $1 AND therapist_id = $2
+         RETURNING id`,
+        [exceptionId, id]
+      );
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Exceção não encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Exceção removida com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao remover exceção da agenda:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 // Buscar disponibilidade do terapeuta
 router.get('/:id/availability', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { date } = req.query;
+    const { date, service_id } = req.query;
 
     if (!date) {
       return res.status(400).json({
@@ -254,53 +539,18 @@ router.get('/:id/availability', authenticateToken, async (req, res) => {
       });
     }
 
-    // Buscar horários ocupados
-    const { rows: busySlots } = await pool.query(
-      `SELECT scheduled_time, s.duration_minutes
-       FROM bookings b
-       JOIN services s ON b.service_id = s.id
-       WHERE b.therapist_id = $1 
-       AND b.scheduled_date = $2 
-       AND b.status NOT IN ('cancelled', 'completed')`,
-      [id, date]
-    );
-
-    // Horários padrão (8h às 18h)
-    const defaultSlots = [];
-    for (let hour = 8; hour < 18; hour++) {
-      defaultSlots.push(`${hour.toString().padStart(2, '0')}:00`);
-      defaultSlots.push(`${hour.toString().padStart(2, '0')}:30`);
-    }
-
-    // Filtrar horários disponíveis
-    const availableSlots = defaultSlots.filter(slot => {
-      return !busySlots.some(busy => {
-        const busyStart = busy.scheduled_time;
-        const busyEnd = new Date(`2000-01-01T${busyStart}`);
-        busyEnd.setMinutes(busyEnd.getMinutes() + busy.duration_minutes);
-        
-        const slotTime = new Date(`2000-01-01T${slot}`);
-        const slotEnd = new Date(slotTime);
-        slotEnd.setMinutes(slotEnd.getMinutes() + 60); // Assumindo 60 min por slot
-        
-        return slotTime < busyEnd && slotEnd > new Date(`2000-01-01T${busyStart}`);
-      });
-    });
+    const availability = await getAvailability(pool, id, date, service_id);
 
     res.json({
       success: true,
-      data: {
-        date,
-        available_slots: availableSlots,
-        busy_slots: busySlots.map(slot => slot.scheduled_time)
-      }
+      data: availability
     });
 
   } catch (error) {
     console.error('Erro ao buscar disponibilidade:', error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
-      message: 'Erro interno do servidor'
+      message: error.status ? error.message : 'Erro interno do servidor'
     });
   }
 });
@@ -1,10 +1,37 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const { body, validationResult } = require('express-validator');
-const { pool } = require('../config/database');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { query, body, validationResult } = require('express-validator');
+const { pool, transaction } = require('../config/database');
+const { authenticateToken, hasPermission, requirePermission, blockImpersonation } = require('../middleware/auth');
+const { revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { recordAuthEvent, clearFailedLogins } = require('../utils/loginProtection');
+const { invalidateAuthTokens } = require('../utils/authTokens');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
+// Papel com mais acesso que o usuário (admin ou alguma permissão que ele não tem).
+// Só o master ou quem gerencia papéis pode atribuir esses papéis ou alterar quem os possui.
+async function exceedsUserPermissions(user, roleName) {
+  if (user.is_master || hasPermission(user, 'roles.manage')) {
+    return false;
+  }
+
+  if (roleName === 'admin') {
+    return true;
+  }
+
+  const { rows } = await pool.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM role_permissions rp
+       JOIN roles r ON rp.role_id = r.id
+       WHERE r.name = $1 AND NOT (rp.permission = ANY($2::text[]))
+     ) as exceeds`,
+    [roleName, user.permissions || []]
+  );
+
+  return rows[0].exceeds;
+}
+
 // Buscar perfil do usuário
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -63,6 +90,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // Atualizar perfil
 router.put('/profile', 
   authenticateToken,
+  blockImpersonation,
   [
     body('name').optional().trim().isLength({ min: 2 }).withMessage('Nome deve ter pelo menos 2 caracteres'),
     body('email').optional().isEmail().withMessage('Email inválido')
@@ -146,6 +174,7 @@ router.put('/profile',
 // Alterar senha
 router.put('/password', 
   authenticateToken,
+  blockImpersonation,
   [
     body('current_password').notEmpty().withMessage('Senha atual é obrigatória'),
     body('new_password').isLength({ min: 6 }).withMessage('Nova senha deve ter pelo menos 6 caracteres')
@@ -190,15 +219,23 @@ router.put('/password',
       const saltRounds = 12;
       const newPasswordHash = await bcrypt.hash(new_password, saltRounds);
 
-      // Atualizar senha
-      await pool.query(
-        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
-        [newPasswordHash, req.user.id]
-      );
+      const revokedSessions = await transaction(async (client) => {
+        await client.query(
+          'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+          [newPasswordHash, req.user.id]
+        );
+
+        // Links de redefinição pedidos antes da troca deixam de valer
+        await invalidateAuthTokens(client, req.user.id, 'password_reset');
+
+        // Encerrar as demais sessões (a atual continua ativa)
+        return revokeUserSessions(client, req.user.id, 'password_change', req.user.session_id);
+      });
 
       res.json({
         success: true,
-        message: 'Senha alterada com sucesso'
+        message: 'Senha alterada com sucesso',
+        data: { revoked_sessions: revokedSessions }
       });
 
     } catch (error) {
@@ -211,15 +248,90 @@ router.put('/password',
   }
 );
 
+// Listar sessões ativas do usuário
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at,
+       impersonated_by IS NOT NULL as is_impersonation
+       FROM user_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: rows.map(session => ({
+        ...session,
+        is_current: session.id === req.user.session_id
+      }))
+    });
+
+  } catch (error) {
+    console.error('Erro ao buscar sessões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Encerrar todas as outras sessões
+router.delete('/sessions', authenticateToken, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(pool, req.user.id, 'revoked_by_user', req.user.session_id);
+
+    res.json({
+      success: true,
+      message: 'Outras sessões encerradas com sucesso',
+      data: { revoked_sessions: revoked }
+    });
+
+  } catch (error) {
+    console.error('Erro ao encerrar sessões:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Encerrar uma sessão
+router.delete('/sessions/:sessionId', authenticateToken, blockImpersonation, async (req, res) => {
+  try {
+    const revoked = await revokeSession(pool, req.params.sessionId, 'revoked_by_user', req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sessão não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+
+  } catch (error) {
+    console.error('Erro ao encerrar sessão:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // Listar usuários (admin)
 router.get('/', 
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('users.manage'),
   async (req, res) => {
     try {
       const { rows } = await pool.query(
         `SELECT 
-          id, name, email, role, is_active, created_at, updated_at
+          id, name, email, role, is_active, failed_login_attempts, locked_until, created_at, updated_at
         FROM users 
         ORDER BY created_at DESC`
       );
@@ -239,14 +351,128 @@ router.get('/',
   }
 );
 
+// Eventos de autenticação: logins, falhas, bloqueios e redefinições (admin)
+router.get('/auth-events',
+  authenticateToken,
+  requirePermission('users.manage'),
+  [
+    query('user_id').optional().isUUID().withMessage('ID de usuário inválido'),
+    query('event_type').optional().isIn([
+      'login_success', 'login_failure', 'account_locked', 'account_unlocked', 'password_reset',
+      'impersonation_started', 'impersonation_ended'
+    ]).withMessage('Tipo de evento inválido'),
+    query('ip_address').optional().isIP().withMessage('IP inválido'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Página inválida'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limite inválido')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Parâmetros inválidos',
+          errors: errors.array()
+        });
+      }
+
+      const { user_id, event_type, ip_address, page = 1, limit = 50 } = req.query;
+      const offset = (page - 1) * limit;
+      const filters = [user_id || null, event_type || null, ip_address || null];
+      const whereClause = `WHERE ($1::uuid IS NULL OR ae.user_id = $1)
+        AND ($2::text IS NULL OR ae.event_type = $2)
+        AND ($3::text IS NULL OR ae.ip_address = $3)`;
+
+      const { rows } = await pool.query(
+        `SELECT ae.*, u.name as user_name
+        FROM auth_events ae
+        LEFT JOIN users u ON ae.user_id = u.id
+        ${whereClause}
+        ORDER BY ae.created_at DESC
+        LIMIT $4 OFFSET $5`,
+        [...filters, limit, offset]
+      );
+
+      const { rows: countRows } = await pool.query(
+        `SELECT COUNT(*) as total FROM auth_events ae ${whereClause}`,
+        filters
+      );
+
+      const total = parseInt(countRows[0].total);
+
+      res.json({
+        success: true,
+        data: {
+          events: rows,
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Erro ao buscar eventos de autenticação:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
+// Desbloquear conta bloqueada por tentativas de login (admin)
+router.post('/:id/unlock',
+  authenticateToken,
+  blockImpersonation,
+  requirePermission('users.manage'),
+  async (req, res) => {
+    try {
+      const { rows } = await pool.query(
+        'SELECT id, email FROM users WHERE id = $1',
+        [req.params.id]
+      );
+
+      if (rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuário não encontrado'
+        });
+      }
+
+      await clearFailedLogins(pool, rows[0].id);
+      await recordAuthEvent(pool, 'account_unlocked', req, {
+        userId: rows[0].id,
+        email: rows[0].email,
+        metadata: { unlocked_by: req.user.id }
+      });
+
+      res.json({
+        success: true,
+        message: 'Conta desbloqueada com sucesso'
+      });
+
+    } catch (error) {
+      console.error('Erro ao desbloquear conta:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor'
+      });
+    }
+  }
+);
+
 // Atualizar usuário (admin)
 router.put('/:id', 
   authenticateToken,
-  requireRole(['admin']),
+  blockImpersonation,
+  requirePermission('users.manage'),
   [
     body('name').optional().trim().isLength({ min: 2 }).withMessage('Nome deve ter pelo menos 2 caracteres'),
     body('email').optional().isEmail().withMessage('Email inválido'),
-    body('role').optional().isIn(['admin', 'therapist', 'affiliate']).withMessage('Role inválido'),
+    body('role').optional().matches(/^[a-z][a-z0-9_]*$/).withMessage('Role inválido'),
     body('is_active').optional().isBoolean().withMessage('Status ativo inválido')
   ],
   async (req, res) => {
@@ -263,6 +489,28 @@ router.put('/:id',
       const { id } = req.params;
       const { name, email, role, is_active } = req.body;
 
+      // Papel atual, para a verificação de escalada
+      const { rows: previousRows } = await pool.query(
+        'SELECT id, role FROM users WHERE id = $1',
+        [id]
+      );
+
+      if (previousRows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Usuário não encontrado'
+        });
+      }
+
+      // Impedir escalada de privilégio por quem só gerencia usuários
+      if (await exceedsUserPermissions(req.user, previousRows[0].role) ||
+          (role && await exceedsUserPermissions(req.user, role))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Sem permissão para atribuir este papel ou alterar este usuário'
+        });
+      }
+
       const updateFields = [];
       const params = [];
       let paramIndex = 1;
@@ -321,7 +569,27 @@ router.put('/:id',
         RETURNING id, name, email, role, is_active, updated_at
       `;
 
-      const { rows } = await pool.query(query, params);
+      const rows = await transaction(async (client) => {
+        // Estado anterior, para o log de auditoria
+        const { rows: lockedRows } = await client.query(
+          'SELECT id, name, email, role, is_active FROM users WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+
+        const { rows: updatedRows } = await client.query(query, params);
+
+        if (updatedRows.length > 0) {
+          await recordAudit(client, req, res, {
+            action: 'user.update',
+            entityType: 'user',
+            entityId: id,
+            before: lockedRows[0],
+            after: updatedRows[0]
+          });
+        }
+
+        return updatedRows;
+      });
 
       if (rows.length === 0) {
         return res.status(404).json({
@@ -337,6 +605,14 @@ router.put('/:id',
       });
 
     } catch (error) {
+      // Papel inexistente (users.role referencia roles.name)
+      if (error.code === '23503') {
+        return res.status(400).json({
+          success: false,
+          message: 'Role inválido'
+        });
+      }
+
       console.error('Erro ao atualizar usuário:', error);
       res.status(500).json({
         success: false,
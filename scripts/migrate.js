@@ -0,0 +1,405 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+
+/**
+ * Script para executar as migrações do banco PostgreSQL
+ * As migrações ficam em supabase/migrations (<versão>_<nome>.sql) e as reversões
+ * em supabase/migrations/down, com o mesmo nome de arquivo.
+ *
+ * Uso:
+ *   npm run migrate                            Aplica as migrações pendentes
+ *   npm run migrate -- up --to <versão>        Aplica até a versão informada
+ *   npm run migrate -- down [--steps <n>]      Reverte as últimas n migrações (padrão 1)
+ *   npm run migrate -- down --to <versão>      Reverte as migrações posteriores à versão
+ *   npm run migrate -- status                  Lista migrações aplicadas e pendentes
+ *   npm run migrate -- baseline [--to <versão>] Marca como aplicadas sem executar
+ *                                              (banco criado antes com supabase db push)
+ *
+ * --dry-run (up, down e baseline) executa tudo em uma única transação desfeita ao
+ * final: valida o SQL sem alterar o banco.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+const DOWN_DIR = path.join(MIGRATIONS_DIR, 'down');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.sql$/;
+
+const COMMANDS = ['up', 'down', 'status', 'baseline'];
+
+// Tempo máximo de espera pelo lock quando outra migração está em andamento
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_SECONDS) || 60;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parseArgs(argv) {
+  const args = [...argv];
+  const options = { command: 'up', dryRun: false, steps: null, to: null };
+
+  if (args[0] && !args[0].startsWith('--')) {
+    options.command = args.shift();
+  }
+
+  if (!COMMANDS.includes(options.command)) {
+    throw new Error(`Comando desconhecido: ${options.command} (use ${COMMANDS.join(', ')})`);
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--steps') {
+      options.steps = parseInt(args.shift());
+
+      if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error('--steps deve ser um número inteiro positivo');
+      }
+    } else if (arg === '--to') {
+      options.to = args.shift();
+
+      if (!/^\d+$/.test(options.to || '')) {
+        throw new Error('--to deve ser a versão (timestamp) de uma migração');
+      }
+    } else {
+      throw new Error(`Opção desconhecida: ${arg}`);
+    }
+  }
+
+  if (options.steps && options.to) {
+    throw new Error('Use --steps ou --to, não os dois');
+  }
+
+  return options;
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+// Migrações do diretório, em ordem de versão
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => MIGRATION_FILE.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      const downPath = path.join(DOWN_DIR, file);
+
+      return {
+        version,
+        name,
+        file,
+        sql,
+        checksum: checksum(sql),
+        downSql: fs.existsSync(downPath) ? fs.readFileSync(downPath, 'utf8') : null
+      };
+    });
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`Versão de migração duplicada: ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(50) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      execution_ms INTEGER,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+// A migração inicial usa auth.uid() (Supabase) nas políticas RLS. Em um PostgreSQL
+// comum, cria uma função equivalente que lê o "sub" do JWT da sessão (NULL fora do
+// Supabase); no Supabase a função original é mantida.
+async function ensureSupabaseCompat(client) {
+  const { rows } = await client.query(
+    "SELECT to_regprocedure('auth.uid()') IS NOT NULL as exists"
+  );
+
+  if (rows[0].exists) {
+    return;
+  }
+
+  await client.query('CREATE SCHEMA IF NOT EXISTS auth');
+  await client.query(`
+    CREATE OR REPLACE FUNCTION auth.uid()
+    RETURNS UUID AS $$
+      SELECT NULLIF(COALESCE(
+        current_setting('request.jwt.claim.sub', true),
+        NULLIF(current_setting('request.jwt.claims', true), '')::jsonb ->> 'sub'
+      ), '')::uuid
+    $$ LANGUAGE sql STABLE
+  `);
+
+  console.log('🔧 Função auth.uid() criada (compatibilidade com o Supabase)');
+}
+
+// Lock de sessão: impede que dois deploys migrem o banco ao mesmo tempo
+async function acquireLock(client) {
+  const deadline = Date.now() + LOCK_TIMEOUT_SECONDS * 1000;
+  let waiting = false;
+
+  for (;;) {
+    const { rows } = await client.query(
+      "SELECT pg_try_advisory_lock(hashtext('schema_migrations')) as locked"
+    );
+
+    if (rows[0].locked) {
+      return;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Outra migração está em andamento (aguardado ${LOCK_TIMEOUT_SECONDS}s)`);
+    }
+
+    if (!waiting) {
+      console.log('⏳ Outra migração está em andamento, aguardando...');
+      waiting = true;
+    }
+
+    await sleep(1000);
+  }
+}
+
+async function releaseLock(client) {
+  await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))");
+}
+
+async function getAppliedMigrations(client) {
+  const { rows } = await client.query(
+    'SELECT * FROM schema_migrations ORDER BY version ASC'
+  );
+
+  return rows;
+}
+
+// Executa os passos, cada um na sua transação. No dry run, a transação única
+// aberta em migrate() envolve todos os passos e é desfeita ao final.
+async function runSteps(client, steps, dryRun) {
+  for (const step of steps) {
+    const startedAt = Date.now();
+
+    if (!dryRun) {
+      await client.query('BEGIN');
+    }
+
+    try {
+      await step.run();
+
+      if (!dryRun) {
+        await client.query('COMMIT');
+      }
+    } catch (error) {
+      if (!dryRun) {
+        await client.query('ROLLBACK');
+      }
+      error.message = `${step.label}: ${error.message}`;
+      throw error;
+    }
+
+    console.log(`${dryRun ? '🧪' : '✅'} ${step.label} (${Date.now() - startedAt}ms)`);
+  }
+}
+
+function warnChangedMigrations(migrations, applied) {
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  for (const row of applied) {
+    const migration = byVersion.get(row.version);
+
+    if (!migration) {
+      console.log(`⚠️  Migração aplicada sem arquivo: ${row.version}_${row.name}`);
+    } else if (migration.checksum !== row.checksum) {
+      console.log(`⚠️  Migração alterada depois de aplicada: ${migration.file}`);
+    }
+  }
+}
+
+async function migrateUp(client, migrations, options) {
+  const applied = await getAppliedMigrations(client);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  warnChangedMigrations(migrations, applied);
+
+  const pending = migrations.filter(migration =>
+    !appliedVersions.has(migration.version) && (!options.to || migration.version <= options.to)
+  );
+
+  if (pending.length === 0) {
+    console.log('✅ Nenhuma migração pendente');
+    return;
+  }
+
+  console.log(`🚀 ${pending.length} migração(ões) pendente(s)${options.dryRun ? ' (dry run)' : ''}`);
+
+  await runSteps(client, pending.map(migration => ({
+    label: migration.file,
+    run: async () => {
+      const startedAt = Date.now();
+      await client.query(migration.sql);
+      await client.query(
+        `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+    }
+  })), options.dryRun);
+}
+
+async function migrateDown(client, migrations, options) {
+  const applied = (await getAppliedMigrations(client)).reverse();
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  const targets = options.to
+    ? applied.filter(row => row.version > options.to)
+    : applied.slice(0, options.steps || 1);
+
+  if (targets.length === 0) {
+    console.log('✅ Nenhuma migração para reverter');
+    return;
+  }
+
+  // Conferir todas antes de reverter qualquer uma
+  const reversions = targets.map(row => {
+    const migration = byVersion.get(row.version);
+
+    if (!migration) {
+      throw new Error(`Arquivo da migração ${row.version}_${row.name} não encontrado`);
+    }
+
+    if (!migration.downSql) {
+      throw new Error(`A migração ${migration.file} não tem reversão (crie supabase/migrations/down/${migration.file})`);
+    }
+
+    return migration;
+  });
+
+  console.log(`↩️  Revertendo ${reversions.length} migração(ões)${options.dryRun ? ' (dry run)' : ''}`);
+
+  await runSteps(client, reversions.map(migration => ({
+    label: `down ${migration.file}`,
+    run: async () => {
+      await client.query(migration.downSql);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+  })), options.dryRun);
+}
+
+async function baseline(client, migrations, options) {
+  const applied = await getAppliedMigrations(client);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  const pending = migrations.filter(migration =>
+    !appliedVersions.has(migration.version) && (!options.to || migration.version <= options.to)
+  );
+
+  await runSteps(client, pending.map(migration => ({
+    label: `baseline ${migration.file}`,
+    run: () => client.query(
+      `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+       VALUES ($1, $2, $3, NULL)`,
+      [migration.version, migration.name, migration.checksum]
+    )
+  })), options.dryRun);
+
+  console.log(`✅ ${pending.length} migração(ões) marcada(s) como aplicada(s)`);
+}
+
+async function showStatus(client, migrations) {
+  const { rows: tableRows } = await client.query(
+    "SELECT to_regclass('schema_migrations') IS NOT NULL as exists"
+  );
+  const applied = tableRows[0].exists ? await getAppliedMigrations(client) : [];
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  for (const migration of migrations) {
+    const row = appliedByVersion.get(migration.version);
+    const flags = [
+      !migration.downSql && 'sem reversão',
+      row && row.checksum !== migration.checksum && 'alterada depois de aplicada'
+    ].filter(Boolean);
+
+    console.log(
+      `${row ? '✅' : '⏳'} ${migration.file}` +
+      (row ? ` - aplicada em ${new Date(row.applied_at).toISOString()}` : ' - pendente') +
+      (flags.length > 0 ? ` (${flags.join(', ')})` : '')
+    );
+  }
+
+  for (const row of applied) {
+    if (!migrations.some(migration => migration.version === row.version)) {
+      console.log(`⚠️  Migração aplicada sem arquivo: ${row.version}_${row.name}`);
+    }
+  }
+
+  const pendingCount = migrations.filter(migration => !appliedByVersion.has(migration.version)).length;
+  console.log(`\n📋 ${applied.length} aplicada(s), ${pendingCount} pendente(s)`);
+}
+
+async function migrate(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const migrations = loadMigrations();
+  const client = await pool.connect();
+
+  try {
+    if (options.command === 'status') {
+      await showStatus(client, migrations);
+      return;
+    }
+
+    await acquireLock(client);
+
+    // No dry run, até a tabela de controle e a compatibilidade ficam na transação desfeita
+    if (options.dryRun) {
+      await client.query('BEGIN');
+    }
+
+    try {
+      await ensureMigrationsTable(client);
+
+      if (options.command === 'up') {
+        await ensureSupabaseCompat(client);
+        await migrateUp(client, migrations, options);
+      } else if (options.command === 'down') {
+        await migrateDown(client, migrations, options);
+      } else {
+        await baseline(client, migrations, options);
+      }
+    } finally {
+      if (options.dryRun) {
+        await client.query('ROLLBACK');
+      }
+      await releaseLock(client);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  migrate()
+    .catch(error => {
+      console.error('❌ Erro na migração:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { migrate, loadMigrations };
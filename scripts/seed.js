@@ -0,0 +1,661 @@
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const { pool, transaction } = require('../config/database');
+const { createBookingCommissions } = require('../utils/commissions');
+
+/**
+ * Script para gerar dados de demonstração para desenvolvimento local
+ * Cria terapeutas com agenda e serviços, rede de afiliados, cliques de indicação,
+ * agendamentos dos últimos meses e das próximas semanas e as comissões de cada um.
+ *
+ * Uso:
+ *   npm run seed                  Gera os dados (não faz nada se já existirem)
+ *   npm run seed -- --reset       Remove os dados de demonstração e gera de novo
+ *   npm run seed -- --seed 123    Semente dos dados aleatórios (padrão 42)
+ *
+ * Os usuários de demonstração usam emails @demo.lunara.local e a senha
+ * SEED_PASSWORD (padrão Demo123!). Execute npm run migrate antes.
+ */
+
+const DEMO_EMAIL_DOMAIN = 'demo.lunara.local';
+const DEMO_PASSWORD = process.env.SEED_PASSWORD || 'Demo123!';
+
+// Período dos agendamentos gerados, em dias a partir de hoje
+const PAST_DAYS = 120;
+const FUTURE_DAYS = 21;
+
+// Comissões aprovadas há mais tempo que isso aparecem como pagas
+const PAID_AFTER_DAYS = 30;
+
+const STAFF = [
+  { name: 'Helena Prado', email: 'admin', role: 'admin' },
+  { name: 'Otávio Mendes', email: 'financeiro', role: 'finance' },
+  { name: 'Larissa Campos', email: 'recepcao', role: 'receptionist' }
+];
+
+// Agenda: dias da semana (0 = domingo) e horário de atendimento
+const THERAPISTS = [
+  {
+    name: 'Ana Beatriz Lima',
+    specialty: 'Reiki e Terapia Energética',
+    bio: 'Mestre em Reiki Usui, atende há 12 anos com foco em ansiedade e equilíbrio emocional.',
+    commission_rate: 30,
+    schedule: { weekdays: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' },
+    services: [
+      { name: 'Sessão de Reiki', price: 150, duration_minutes: 60, buffer_after_minutes: 15 },
+      { name: 'Reiki à distância', price: 120, duration_minutes: 45 }
+    ]
+  },
+  {
+    name: 'Carlos Eduardo Souza',
+    specialty: 'Acupuntura',
+    bio: 'Acupunturista formado em Medicina Tradicional Chinesa, especialista em dores crônicas.',
+    commission_rate: 25,
+    schedule: { weekdays: [1, 3, 5, 6], start: '08:00', end: '14:00' },
+    services: [
+      { name: 'Acupuntura sistêmica', price: 180, duration_minutes: 60, buffer_before_minutes: 10 },
+      { name: 'Auriculoterapia', price: 90, duration_minutes: 30 }
+    ]
+  },
+  {
+    name: 'Juliana Martins',
+    specialty: 'Aromaterapia e Massoterapia',
+    bio: 'Massoterapeuta e aromaterapeuta, combina óleos essenciais e técnicas de relaxamento profundo.',
+    commission_rate: 30,
+    schedule: { weekdays: [2, 3, 4, 5, 6], start: '10:00', end: '19:00' },
+    services: [
+      { name: 'Massagem relaxante com óleos essenciais', price: 200, duration_minutes: 90, buffer_after_minutes: 15 },
+      { name: 'Consulta de aromaterapia', price: 130, duration_minutes: 50 }
+    ]
+  },
+  {
+    name: 'Rafael Nogueira',
+    specialty: 'Constelação Familiar',
+    bio: 'Constelador sistêmico e psicólogo, conduz atendimentos individuais e em grupo.',
+    commission_rate: 35,
+    schedule: { weekdays: [2, 4], start: '13:00', end: '20:00' },
+    services: [
+      { name: 'Constelação familiar individual', price: 250, duration_minutes: 120, buffer_after_minutes: 30 },
+      { name: 'Terapia breve sistêmica', price: 160, duration_minutes: 60 }
+    ]
+  },
+  {
+    name: 'Mariana Costa',
+    specialty: 'Meditação e Mindfulness',
+    bio: 'Instrutora de mindfulness certificada, trabalha com gestão de estresse e qualidade do sono.',
+    commission_rate: 30,
+    schedule: { weekdays: [1, 2, 3, 4], start: '07:00', end: '12:00' },
+    services: [
+      { name: 'Meditação guiada', price: 100, duration_minutes: 45 },
+      { name: 'Sessão de mindfulness', price: 140, duration_minutes: 60 }
+    ]
+  }
+];
+
+// parent: índice do afiliado que recrutou (rede multinível)
+const AFFILIATES = [
+  { name: 'Paula Ribeiro', commission_rate: 20, weight: 5 },
+  { name: 'Fernando Alves', commission_rate: 15, weight: 4 },
+  { name: 'Camila Rocha', commission_rate: 15, weight: 3, parent: 0 },
+  { name: 'Diego Ferreira', commission_rate: 12, weight: 2, parent: 0 },
+  { name: 'Letícia Barbosa', commission_rate: 15, weight: 3, parent: 1 },
+  { name: 'Bruno Carvalho', commission_rate: 10, weight: 1, parent: 2 },
+  { name: 'Renata Gomes', commission_rate: 12, weight: 2, parent: 4 },
+  { name: 'Thiago Pereira', commission_rate: 10, weight: 1, is_active: false }
+];
+
+const CLIENT_FIRST_NAMES = [
+  'Adriana', 'Aline', 'André', 'Beatriz', 'Bianca', 'Caio', 'Cláudia', 'Daniela', 'Eduardo',
+  'Elaine', 'Fábio', 'Gabriela', 'Gustavo', 'Isabela', 'Joana', 'João', 'Júlia', 'Leonardo',
+  'Lucas', 'Luana', 'Marcelo', 'Marina', 'Natália', 'Patrícia', 'Pedro', 'Priscila',
+  'Ricardo', 'Sandra', 'Sofia', 'Tatiana', 'Vanessa', 'Vinícius'
+];
+
+const CLIENT_LAST_NAMES = [
+  'Almeida', 'Andrade', 'Araújo', 'Batista', 'Cardoso', 'Castro', 'Dias', 'Freitas', 'Lopes',
+  'Machado', 'Moreira', 'Nascimento', 'Oliveira', 'Pinto', 'Ramos', 'Santos', 'Silva', 'Teixeira'
+];
+
+const UTM_SOURCES = [
+  { utm_source: 'instagram', utm_medium: 'social', referrer: 'https://www.instagram.com/' },
+  { utm_source: 'whatsapp', utm_medium: 'mensagem', referrer: null },
+  { utm_source: 'facebook', utm_medium: 'social', referrer: 'https://www.facebook.com/' },
+  { utm_source: 'youtube', utm_medium: 'video', referrer: 'https://www.youtube.com/' },
+  { utm_source: 'newsletter', utm_medium: 'email', referrer: null }
+];
+
+const CANCELLATION_REASONS = [
+  'Cliente desmarcou por imprevisto',
+  'Cliente não compareceu',
+  'Terapeuta indisponível',
+  'Remarcado para outra data'
+];
+
+// Gerador pseudoaleatório com semente (mulberry32): o mesmo seed gera os mesmos dados
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    chance: (probability) => next() < probability,
+    pick: (items) => items[Math.floor(next() * items.length)],
+    weighted: (items) => {
+      const total = items.reduce((sum, item) => sum + item.weight, 0);
+      let target = next() * total;
+
+      for (const item of items) {
+        target -= item.weight;
+        if (target < 0) {
+          return item;
+        }
+      }
+
+      return items[items.length - 1];
+    },
+    hex: (bytes) => Array.from({ length: bytes }, () => Math.floor(next() * 256).toString(16).padStart(2, '0')).join('')
+  };
+}
+
+function parseArgs(argv) {
+  const options = { reset: false, seed: 42 };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--reset') {
+      options.reset = true;
+    } else if (argv[i] === '--seed') {
+      options.seed = parseInt(argv[++i]);
+
+      if (!Number.isInteger(options.seed)) {
+        throw new Error('--seed deve ser um número inteiro');
+      }
+    } else {
+      throw new Error(`Opção desconhecida: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+// "Letícia Barbosa" -> "leticia.barbosa"
+function slugify(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, '.')
+    .replace(/^\.|\.$/g, '');
+}
+
+function demoEmail(name) {
+  return `${slugify(name)}@${DEMO_EMAIL_DOMAIN}`;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 24 * 60 * 60 * 1000);
+}
+
+// Datas e horários dos agendamentos no fuso local (colunas DATE e TIME)
+function toDateString(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function toTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Horário ocupado pelo serviço, incluindo os buffers, arredondado para 30 minutos
+function getSlotMinutes(service) {
+  const total = (service.buffer_before_minutes || 0) + service.duration_minutes + (service.buffer_after_minutes || 0);
+  return Math.ceil(total / 30) * 30;
+}
+
+async function hasDemoData(client) {
+  const { rows } = await client.query(
+    'SELECT COUNT(*) as total FROM users WHERE email LIKE $1',
+    [`%@${DEMO_EMAIL_DOMAIN}`]
+  );
+
+  return parseInt(rows[0].total) > 0;
+}
+
+// Agendamentos ficam com o terapeuta nulo ao remover o usuário, então saem antes
+async function removeDemoData(client) {
+  await client.query(
+    `DELETE FROM bookings
+     WHERE therapist_id IN (
+       SELECT t.id FROM therapists t
+       JOIN users u ON t.user_id = u.id
+       WHERE u.email LIKE $1
+     )`,
+    [`%@${DEMO_EMAIL_DOMAIN}`]
+  );
+
+  const { rowCount } = await client.query(
+    'DELETE FROM users WHERE email LIKE $1',
+    [`%@${DEMO_EMAIL_DOMAIN}`]
+  );
+
+  return rowCount;
+}
+
+async function createUser(client, { name, email, role, passwordHash, referredBy }) {
+  const { rows } = await client.query(
+    `INSERT INTO users (name, email, password_hash, role, referred_by_affiliate_id, email_verified_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW() - INTERVAL '${PAST_DAYS + 30} days')
+     RETURNING *`,
+    [name, email, passwordHash, role, referredBy || null]
+  );
+
+  return rows[0];
+}
+
+async function seedStaff(client, passwordHash) {
+  for (const member of STAFF) {
+    await createUser(client, {
+      name: member.name,
+      email: `${member.email}@${DEMO_EMAIL_DOMAIN}`,
+      role: member.role,
+      passwordHash
+    });
+  }
+}
+
+async function seedTherapists(client, passwordHash) {
+  const therapists = [];
+
+  for (const data of THERAPISTS) {
+    const user = await createUser(client, {
+      name: data.name,
+      email: demoEmail(data.name),
+      role: 'therapist',
+      passwordHash
+    });
+
+    const { rows } = await client.query(
+      `INSERT INTO therapists (user_id, specialty, bio, commission_rate, is_available)
+       VALUES ($1, $2, $3, $4, true)
+       RETURNING *`,
+      [user.id, data.specialty, data.bio, data.commission_rate]
+    );
+
+    const therapist = { ...rows[0], user, schedule: data.schedule, services: [] };
+
+    for (const weekday of data.schedule.weekdays) {
+      await client.query(
+        `INSERT INTO therapist_schedules (therapist_id, weekday, start_time, end_time)
+         VALUES ($1, $2, $3, $4)`,
+        [therapist.id, weekday, data.schedule.start, data.schedule.end]
+      );
+    }
+
+    for (const serviceData of data.services) {
+      const { rows: serviceRows } = await client.query(
+        `INSERT INTO services (
+           therapist_id, name, description, price, duration_minutes,
+           buffer_before_minutes, buffer_after_minutes
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [
+          therapist.id,
+          serviceData.name,
+          `${serviceData.name} com ${data.name.split(' ')[0]} (${serviceData.duration_minutes} minutos)`,
+          serviceData.price,
+          serviceData.duration_minutes,
+          serviceData.buffer_before_minutes || 0,
+          serviceData.buffer_after_minutes || 0
+        ]
+      );
+
+      therapist.services.push(serviceRows[0]);
+    }
+
+    therapists.push(therapist);
+  }
+
+  return therapists;
+}
+
+async function seedAffiliates(client, passwordHash, random) {
+  const affiliates = [];
+
+  for (const data of AFFILIATES) {
+    const parent = data.parent !== undefined ? affiliates[data.parent] : null;
+
+    const user = await createUser(client, {
+      name: data.name,
+      email: demoEmail(data.name),
+      role: 'affiliate',
+      passwordHash,
+      referredBy: parent ? parent.id : null
+    });
+
+    const referralCode = `${slugify(data.name).split('.')[0].toUpperCase().slice(0, 8)}${random.int(1000, 9999)}`;
+
+    const { rows } = await client.query(
+      `INSERT INTO affiliates (user_id, referral_code, commission_rate, parent_affiliate_id, is_active)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [user.id, referralCode, data.commission_rate, parent ? parent.id : null, data.is_active !== false]
+    );
+
+    affiliates.push({ ...rows[0], weight: data.weight });
+  }
+
+  return affiliates;
+}
+
+// Campanha de exemplo: comissão maior na sessão de Reiki
+async function seedCommissionRules(client, therapists) {
+  const service = therapists[0].services[0];
+
+  await client.query(
+    `INSERT INTO commission_rules (name, type, value, service_id, priority)
+     VALUES ($1, 'percentage', 20, $2, 10)`,
+    [`Campanha ${service.name}`, service.id]
+  );
+}
+
+async function seedReferralClick(client, random, affiliate, clickedAt) {
+  const source = random.pick(UTM_SOURCES);
+
+  const { rows } = await client.query(
+    `INSERT INTO referral_clicks (
+       affiliate_id, attribution_token, landing_page, referrer, user_agent, ip_address,
+       utm_source, utm_medium, utm_campaign, created_at
+     ) VALUES ($1, $2, '/agendar', $3, 'Mozilla/5.0 (demo)', $4, $5, $6, 'demo', $7)
+     RETURNING id`,
+    [
+      affiliate.id,
+      random.hex(32),
+      source.referrer,
+      `10.0.${random.int(0, 255)}.${random.int(1, 254)}`,
+      source.utm_source,
+      source.utm_medium,
+      clickedAt
+    ]
+  );
+
+  return rows[0].id;
+}
+
+function buildCustomer(random) {
+  const firstName = random.pick(CLIENT_FIRST_NAMES);
+  const lastName = random.pick(CLIENT_LAST_NAMES);
+
+  return {
+    client_name: `${firstName} ${lastName}`,
+    client_email: `${slugify(`${firstName} ${lastName}`)}@exemplo.com.br`,
+    client_phone: `(11) 9${random.int(1000, 9999)}-${random.int(1000, 9999)}`
+  };
+}
+
+// Status do agendamento conforme a data: passados concluídos ou cancelados,
+// futuros pendentes ou confirmados
+function pickStatus(random, isPast) {
+  if (random.chance(0.1)) {
+    return 'cancelled';
+  }
+
+  if (isPast) {
+    return 'completed';
+  }
+
+  return random.chance(0.6) ? 'confirmed' : 'pending';
+}
+
+async function seedBooking(client, random, { therapist, service, affiliate, date, time, now }) {
+  const scheduledAt = new Date(`${date}T${time}:00`);
+  const isPast = scheduledAt < now;
+  const status = pickStatus(random, isPast);
+  const createdAt = new Date(Math.min(addDays(scheduledAt, -random.int(1, 14)).getTime(), now.getTime()));
+  const isPublic = affiliate && random.chance(0.7);
+
+  let referralClickId = null;
+  if (isPublic) {
+    referralClickId = await seedReferralClick(client, random, affiliate, addDays(createdAt, -random.next()));
+  }
+
+  const customer = buildCustomer(random);
+
+  const { rows } = await client.query(
+    `INSERT INTO bookings (
+       service_id, therapist_id, affiliate_id,
+       client_name, client_email, client_phone,
+       scheduled_date, scheduled_time, total_amount, status,
+       payment_status, cancellation_reason, source, client_confirmed_at,
+       referral_click_id, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING *`,
+    [
+      service.id, therapist.id, affiliate ? affiliate.id : null,
+      customer.client_name, customer.client_email, customer.client_phone,
+      date, time, service.price, status,
+      status === 'cancelled' ? 'cancelled' : 'pending',
+      status === 'cancelled' ? random.pick(CANCELLATION_REASONS) : null,
+      isPublic ? 'public' : 'internal',
+      isPublic ? createdAt : null,
+      referralClickId,
+      createdAt
+    ]
+  );
+
+  const booking = rows[0];
+
+  if (status === 'cancelled') {
+    return booking;
+  }
+
+  const commissions = await createBookingCommissions(client, booking);
+
+  await client.query(
+    'UPDATE commissions SET created_at = $2 WHERE booking_id = $1',
+    [booking.id, createdAt]
+  );
+
+  if (status !== 'completed') {
+    return booking;
+  }
+
+  const completedAt = new Date(scheduledAt.getTime() + service.duration_minutes * 60 * 1000);
+
+  await client.query(
+    `UPDATE bookings
+     SET payment_status = 'paid', completed_at = $2, completed_by = $3
+     WHERE id = $1`,
+    [booking.id, completedAt, therapist.user.id]
+  );
+
+  if (commissions.length === 0) {
+    return booking;
+  }
+
+  // Comissões liberadas na conclusão; as mais antigas já foram pagas
+  const paymentDate = addDays(completedAt, PAID_AFTER_DAYS);
+  const isPaid = paymentDate < now;
+
+  await client.query(
+    `UPDATE commissions
+     SET status = $2,
+         approved_at = $3,
+         payment_date = $4,
+         payment_method = $5,
+         payment_reference = $6
+     WHERE booking_id = $1`,
+    [
+      booking.id,
+      isPaid ? 'paid' : 'approved',
+      completedAt,
+      isPaid ? paymentDate : null,
+      isPaid ? 'pix' : null,
+      isPaid ? `DEMO-${toDateString(paymentDate).replace(/-/g, '')}` : null
+    ]
+  );
+
+  return booking;
+}
+
+async function seedBookings(client, random, therapists, affiliates) {
+  const now = new Date();
+  const activeAffiliates = affiliates.filter(affiliate => affiliate.is_active);
+  let total = 0;
+
+  for (const therapist of therapists) {
+    for (let offset = -PAST_DAYS; offset <= FUTURE_DAYS; offset++) {
+      const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+
+      if (!therapist.schedule.weekdays.includes(day.getDay())) {
+        continue;
+      }
+
+      // Percorre o expediente do dia encaixando sessões sem sobreposição
+      const dayEnd = toMinutes(therapist.schedule.end);
+      let cursor = toMinutes(therapist.schedule.start);
+
+      while (cursor < dayEnd) {
+        const service = random.pick(therapist.services);
+        const start = cursor + (service.buffer_before_minutes || 0);
+        const slot = getSlotMinutes(service);
+
+        if (cursor + slot > dayEnd) {
+          break;
+        }
+
+        // Agenda mais cheia no passado recente do que nas próximas semanas
+        if (random.chance(offset < 0 ? 0.45 : 0.3)) {
+          await seedBooking(client, random, {
+            therapist,
+            service,
+            affiliate: random.chance(0.65) ? random.weighted(activeAffiliates) : null,
+            date: toDateString(day),
+            time: toTime(start),
+            now
+          });
+          total++;
+        }
+
+        cursor += slot;
+      }
+    }
+  }
+
+  return total;
+}
+
+// Cliques que não viraram agendamento (para as taxas de conversão)
+async function seedUnconvertedClicks(client, random, affiliates) {
+  const now = new Date();
+  let total = 0;
+
+  for (const affiliate of affiliates) {
+    const clicks = random.int(10, 40) * affiliate.weight;
+
+    for (let i = 0; i < clicks; i++) {
+      await seedReferralClick(client, random, affiliate, addDays(now, -random.next() * PAST_DAYS));
+      total++;
+    }
+  }
+
+  return total;
+}
+
+// Totais desnormalizados usados nas listagens de afiliados
+async function updateAffiliateTotals(client, affiliates) {
+  await client.query(
+    `UPDATE affiliates a
+     SET total_referrals = (
+           SELECT COUNT(*) FROM bookings b
+           WHERE b.affiliate_id = a.id AND b.status <> 'cancelled'
+         ),
+         total_commission = COALESCE((
+           SELECT SUM(c.amount) FROM commissions c
+           WHERE c.affiliate_id = a.id AND c.status = 'paid'
+         ), 0)
+     WHERE a.id = ANY($1)`,
+    [affiliates.map(affiliate => affiliate.id)]
+  );
+}
+
+async function seed(argv = process.argv.slice(2)) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('O seed de demonstração não pode ser executado em produção');
+  }
+
+  const options = parseArgs(argv);
+  const random = createRandom(options.seed);
+
+  const summary = await transaction(async (client) => {
+    if (options.reset) {
+      const removed = await removeDemoData(client);
+      console.log(`🧹 ${removed} usuário(s) de demonstração removido(s)`);
+    } else if (await hasDemoData(client)) {
+      return null;
+    }
+
+    const passwordHash = await bcrypt.hash(DEMO_PASSWORD, 12);
+
+    await seedStaff(client, passwordHash);
+    const therapists = await seedTherapists(client, passwordHash);
+    const affiliates = await seedAffiliates(client, passwordHash, random);
+    await seedCommissionRules(client, therapists);
+
+    const bookings = await seedBookings(client, random, therapists, affiliates);
+    const clicks = await seedUnconvertedClicks(client, random, affiliates);
+    await updateAffiliateTotals(client, affiliates);
+
+    const { rows } = await client.query(
+      `SELECT COUNT(*) as total FROM commissions WHERE affiliate_id = ANY($1)`,
+      [affiliates.map(affiliate => affiliate.id)]
+    );
+
+    return {
+      therapists: therapists.length,
+      services: therapists.reduce((sum, therapist) => sum + therapist.services.length, 0),
+      affiliates: affiliates.length,
+      bookings,
+      commissions: parseInt(rows[0].total),
+      clicks
+    };
+  });
+
+  if (!summary) {
+    console.log('ℹ️  Dados de demonstração já existem (use --reset para gerar de novo)');
+    return;
+  }
+
+  console.log('✅ Dados de demonstração gerados:');
+  console.log(`   ${summary.therapists} terapeutas, ${summary.services} serviços, ${summary.affiliates} afiliados`);
+  console.log(`   ${summary.bookings} agendamentos, ${summary.commissions} comissões, ${summary.clicks} cliques sem conversão`);
+  console.log(`\n🔑 Acesso: admin@${DEMO_EMAIL_DOMAIN}, financeiro@${DEMO_EMAIL_DOMAIN}, recepcao@${DEMO_EMAIL_DOMAIN}`);
+  console.log(`   ou terapeutas e afiliados pelo nome (ex.: ${demoEmail(AFFILIATES[0].name)}), senha ${DEMO_PASSWORD}`);
+}
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  seed()
+    .catch(error => {
+      console.error('❌ Erro ao gerar dados de demonstração:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = { seed };
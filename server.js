@@ -6,6 +6,8 @@ const compression = require('compression');
 const morgan = require('morgan');
 const path = require('path');
 require('dotenv').config();
+const { pool } = require('./config/database');
+const { getRequestApiKey, findActiveApiKey } = require('./utils/apiKeys');
 
 const app = express();
 
@@ -24,7 +26,12 @@ app.use(cors({
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutos
   max: 100,
-  message: { success: false, message: 'Muitas tentativas' }
+  message: { success: false, message: 'Muitas tentativas' },
+  // Requisições com chave de API válida seguem apenas o limite da própria chave (acceptApiKey)
+  skip: async (req) => {
+    const key = getRequestApiKey(req);
+    return Boolean(key && await findActiveApiKey(pool, key).catch(() => null));
+  }
 });
 app.use('/api/', limiter);
 
@@ -33,6 +40,9 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('dev'));
 
+// Log de auditoria das alterações
+app.use('/api/', require('./middleware/audit').auditMutations);
+
 // Rotas API
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
@@ -41,6 +51,14 @@ app.use('/api/therapists', require('./routes/therapists'));
 app.use('/api/services', require('./routes/services'));
 app.use('/api/bookings', require('./routes/bookings'));
 app.use('/api/commissions', require('./routes/commissions'));
+app.use('/api/payouts', require('./routes/payouts'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/roles', require('./routes/roles'));
+app.use('/api/audit-logs', require('./routes/auditLogs'));
+app.use('/api/public', require('./routes/public'));
+
+// Links de indicação
+app.use('/r', require('./routes/referrals'));
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -76,4 +94,33 @@ app.listen(PORT, () => {
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
 });
 
+// Reavaliação periódica dos níveis de afiliados (0 desativa), com uma execução na subida
+// do servidor. O intervalo é limitado ao máximo aceito por setInterval (~596 horas).
+const MAX_TIMER_MS = 2 ** 31 - 1;
+const tierIntervalHours = parseFloat(process.env.TIER_EVALUATION_INTERVAL_HOURS ?? 24);
+
+if (Number.isNaN(tierIntervalHours) || tierIntervalHours < 0) {
+  console.warn('⚠️  TIER_EVALUATION_INTERVAL_HOURS inválido; reavaliação periódica de níveis desativada');
+} else if (tierIntervalHours > 0) {
+  const { evaluateAffiliateTiers } = require('./utils/tiers');
+  const tierIntervalMs = Math.min(tierIntervalHours * 60 * 60 * 1000, MAX_TIMER_MS);
+
+  if (tierIntervalMs < tierIntervalHours * 60 * 60 * 1000) {
+    console.warn(`⚠️  TIER_EVALUATION_INTERVAL_HOURS acima do máximo; usando ${Math.floor(MAX_TIMER_MS / 3600000)} horas`);
+  }
+
+  const runTierEvaluation = () => {
+    evaluateAffiliateTiers(pool)
+      .then(result => {
+        if (!result.skipped) {
+          console.log(`🏅 Níveis de afiliados reavaliados (${result.changes.length} mudanças)`);
+        }
+      })
+      .catch(error => console.error('Erro ao reavaliar níveis de afiliados:', error));
+  };
+
+  runTierEvaluation();
+  setInterval(runTierEvaluation, tierIntervalMs).unref();
+}
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,25 @@
+/*
+# Conclusão de agendamentos
+
+1. Agendamentos
+   - completed_at: data/hora em que a sessão realmente aconteceu
+   - completed_by: usuário que registrou a conclusão
+
+2. Comissões
+   - Novo status 'approved' (liberada para pagamento após a sessão concluída)
+   - approved_at: momento da liberação
+*/
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS completed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE commissions DROP CONSTRAINT IF EXISTS commissions_status_check;
+ALTER TABLE commissions
+    ADD CONSTRAINT commissions_status_check
+    CHECK (status IN ('pending', 'approved', 'paid', 'cancelled'));
+
+ALTER TABLE commissions
+    ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_commissions_booking_id ON commissions(booking_id);
@@ -0,0 +1,16 @@
+/*
+# Estorno de comissões (clawback)
+
+1. Comissões
+   - type: 'commission' (comissão normal) ou 'clawback' (estorno de comissão já paga)
+   - reversed_commission_id: comissão paga que originou o estorno
+   - Estornos têm valor negativo e são descontados no próximo pagamento do afiliado
+*/
+
+ALTER TABLE commissions
+    ADD COLUMN IF NOT EXISTS type VARCHAR(20) DEFAULT 'commission' CHECK (type IN ('commission', 'clawback')),
+    ADD COLUMN IF NOT EXISTS reversed_commission_id UUID REFERENCES commissions(id) ON DELETE SET NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_commissions_reversed_commission_id
+    ON commissions(reversed_commission_id)
+    WHERE reversed_commission_id IS NOT NULL;
@@ -0,0 +1,50 @@
+/*
+# Agenda semanal e exceções dos terapeutas
+
+1. therapist_schedules
+   - Intervalos de atendimento por dia da semana (0 = domingo ... 6 = sábado)
+   - Vários intervalos por dia (turnos divididos)
+
+2. therapist_schedule_exceptions
+   - 'unavailable': férias, feriados e bloqueios (dia inteiro quando sem horário)
+   - 'available': horários extras pontuais
+*/
+
+CREATE TABLE IF NOT EXISTS therapist_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    therapist_id UUID NOT NULL REFERENCES therapists(id) ON DELETE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (end_time > start_time)
+);
+
+CREATE TABLE IF NOT EXISTS therapist_schedule_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    therapist_id UUID NOT NULL REFERENCES therapists(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('unavailable', 'available')),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (end_date >= start_date),
+    CHECK ((start_time IS NULL AND end_time IS NULL) OR (start_time IS NOT NULL AND end_time > start_time)),
+    CHECK (type = 'unavailable' OR start_time IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_therapist_schedules_therapist_weekday ON therapist_schedules(therapist_id, weekday);
+CREATE INDEX IF NOT EXISTS idx_therapist_schedule_exceptions_therapist_dates ON therapist_schedule_exceptions(therapist_id, start_date, end_date);
+
+ALTER TABLE therapist_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE therapist_schedule_exceptions ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_therapist_schedules_updated_at BEFORE UPDATE ON therapist_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_therapist_schedule_exceptions_updated_at BEFORE UPDATE ON therapist_schedule_exceptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
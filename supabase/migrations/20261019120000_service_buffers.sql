@@ -0,0 +1,11 @@
+/*
+# Intervalos de preparação dos serviços
+
+1. Serviços
+   - buffer_before_minutes: tempo reservado antes da sessão
+   - buffer_after_minutes: tempo reservado após a sessão
+*/
+
+ALTER TABLE services
+    ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_before_minutes BETWEEN 0 AND 240),
+    ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0 CHECK (buffer_after_minutes BETWEEN 0 AND 240);
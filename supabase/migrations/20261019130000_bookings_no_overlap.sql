@@ -0,0 +1,99 @@
+/*
+# Proteção contra agendamentos sobrepostos no banco
+
+1. Agendamentos
+   - blocked_range: período ocupado pela sessão, incluindo os buffers do serviço
+   - Preenchido por trigger a partir da data, hora e serviço do agendamento
+   - Recalculado para os agendamentos ativos quando a duração ou os buffers do serviço mudam
+
+2. Restrição de exclusão
+   - bookings_no_overlap: impede dois agendamentos ativos (pending/confirmed)
+     do mesmo terapeuta com períodos sobrepostos, mesmo em requisições concorrentes
+   - Sobreposições já existentes interrompem a migração com a lista dos agendamentos
+     em conflito; devem ser resolvidas manualmente antes de aplicá-la novamente
+*/
+
+CREATE EXTENSION IF NOT EXISTS "btree_gist";
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS blocked_range TSRANGE;
+
+CREATE OR REPLACE FUNCTION set_booking_blocked_range()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_duration INTEGER := 60;
+    v_before INTEGER := 0;
+    v_after INTEGER := 0;
+    v_start TIMESTAMP;
+BEGIN
+    SELECT duration_minutes, buffer_before_minutes, buffer_after_minutes
+    INTO v_duration, v_before, v_after
+    FROM services
+    WHERE id = NEW.service_id;
+
+    v_duration := COALESCE(v_duration, 60);
+    v_before := COALESCE(v_before, 0);
+    v_after := COALESCE(v_after, 0);
+    v_start := NEW.scheduled_date + NEW.scheduled_time;
+
+    NEW.blocked_range := tsrange(
+        v_start - make_interval(mins => v_before),
+        v_start + make_interval(mins => v_duration + v_after),
+        '[)'
+    );
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_bookings_blocked_range
+    BEFORE INSERT OR UPDATE OF scheduled_date, scheduled_time, service_id, status ON bookings
+    FOR EACH ROW EXECUTE FUNCTION set_booking_blocked_range();
+
+-- Alteração de duração ou buffers do serviço: recalcular os agendamentos ativos
+-- (uma nova sobreposição faz a alteração do serviço falhar)
+CREATE OR REPLACE FUNCTION refresh_service_blocked_ranges()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE bookings SET service_id = service_id
+    WHERE service_id = NEW.id AND status IN ('pending', 'confirmed');
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER refresh_services_blocked_ranges
+    AFTER UPDATE OF duration_minutes, buffer_before_minutes, buffer_after_minutes ON services
+    FOR EACH ROW
+    WHEN (OLD.duration_minutes IS DISTINCT FROM NEW.duration_minutes
+       OR OLD.buffer_before_minutes IS DISTINCT FROM NEW.buffer_before_minutes
+       OR OLD.buffer_after_minutes IS DISTINCT FROM NEW.buffer_after_minutes)
+    EXECUTE FUNCTION refresh_service_blocked_ranges();
+
+-- Preencher agendamentos existentes
+UPDATE bookings SET scheduled_time = scheduled_time WHERE blocked_range IS NULL;
+
+-- Sobreposições existentes: interromper e listar os agendamentos em conflito
+DO $$
+DECLARE
+    v_conflicts TEXT;
+BEGIN
+    SELECT string_agg(b.id::text || ' x ' || o.id::text, ', ' ORDER BY b.id, o.id)
+    INTO v_conflicts
+    FROM bookings b
+    JOIN bookings o ON o.therapist_id = b.therapist_id
+        AND o.id > b.id
+        AND o.status IN ('pending', 'confirmed')
+        AND o.blocked_range && b.blocked_range
+    WHERE b.status IN ('pending', 'confirmed') AND b.therapist_id IS NOT NULL;
+
+    IF v_conflicts IS NOT NULL THEN
+        RAISE EXCEPTION 'Agendamentos ativos com horários sobrepostos: %', v_conflicts
+            USING HINT = 'Remarque ou cancele um dos agendamentos de cada par antes de aplicar esta migração';
+    END IF;
+END $$;
+
+ALTER TABLE bookings
+    ADD CONSTRAINT bookings_no_overlap
+    EXCLUDE USING gist (therapist_id WITH =, blocked_range WITH &&)
+    WHERE (status IN ('pending', 'confirmed'));
@@ -0,0 +1,32 @@
+/*
+# Remarcação de agendamentos
+
+1. Agendamentos
+   - reschedule_count: quantidade de remarcações já realizadas
+   - max_reschedules: limite de remarcações permitidas
+   - reschedule_min_notice_hours: antecedência mínima (em horas) para remarcar
+
+2. booking_reschedules
+   - Histórico de cada remarcação: data/hora anterior e nova, autor e motivo
+*/
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS max_reschedules INTEGER NOT NULL DEFAULT 2 CHECK (max_reschedules >= 0),
+    ADD COLUMN IF NOT EXISTS reschedule_min_notice_hours INTEGER NOT NULL DEFAULT 24 CHECK (reschedule_min_notice_hours >= 0);
+
+CREATE TABLE IF NOT EXISTS booking_reschedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    previous_date DATE NOT NULL,
+    previous_time TIME NOT NULL,
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_reschedules_booking_id ON booking_reschedules(booking_id);
+
+ALTER TABLE booking_reschedules ENABLE ROW LEVEL SECURITY;
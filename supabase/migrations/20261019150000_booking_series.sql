@@ -0,0 +1,44 @@
+/*
+# Séries de agendamentos recorrentes
+
+1. booking_series
+   - Regra de recorrência: semanal, quinzenal ou mensal
+   - Término por quantidade de ocorrências ou data limite
+
+2. Agendamentos
+   - series_id: série à qual a ocorrência pertence
+   - series_index: posição da ocorrência na série (1, 2, 3...)
+*/
+
+CREATE TABLE IF NOT EXISTS booking_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    therapist_id UUID REFERENCES therapists(id) ON DELETE SET NULL,
+    service_id UUID REFERENCES services(id) ON DELETE SET NULL,
+    affiliate_id UUID REFERENCES affiliates(id) ON DELETE SET NULL,
+    client_name VARCHAR(255) NOT NULL,
+    client_email VARCHAR(255) NOT NULL,
+    client_phone VARCHAR(20),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    start_date DATE NOT NULL,
+    scheduled_time TIME NOT NULL,
+    occurrences INTEGER CHECK (occurrences > 0),
+    until_date DATE,
+    status VARCHAR(50) DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (occurrences IS NOT NULL OR until_date IS NOT NULL)
+);
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES booking_series(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS series_index INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_bookings_series_id ON bookings(series_id);
+CREATE INDEX IF NOT EXISTS idx_booking_series_therapist_id ON booking_series(therapist_id);
+
+ALTER TABLE booking_series ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_booking_series_updated_at BEFORE UPDATE ON booking_series
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
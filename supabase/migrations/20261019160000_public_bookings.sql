@@ -0,0 +1,19 @@
+/*
+# Agendamento público (funil de afiliados)
+
+1. Agendamentos
+   - source: origem do agendamento ('internal' ou 'public')
+   - client_confirmed_at: confirmação do cliente pelo link enviado por email
+   - confirmation_token_hash: hash SHA-256 do token de confirmação
+   - confirmation_expires_at: prazo para confirmação; após ele o horário é liberado
+*/
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'internal' CHECK (source IN ('internal', 'public')),
+    ADD COLUMN IF NOT EXISTS client_confirmed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS confirmation_token_hash VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS confirmation_expires_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bookings_confirmation_token_hash
+    ON bookings(confirmation_token_hash)
+    WHERE confirmation_token_hash IS NOT NULL;
@@ -0,0 +1,55 @@
+/*
+# Rastreamento de cliques em links de indicação
+
+1. referral_clicks
+   - Cada acesso a /r/:referral_code com página de destino, user agent, IP e UTMs
+   - attribution_token: token do visitante gravado em cookie, usado para atribuir
+     agendamentos posteriores ao afiliado dentro da janela de atribuição
+
+2. settings
+   - Configurações do sistema em JSON (ex.: modelo e janela de atribuição)
+
+3. Agendamentos
+   - referral_click_id: clique que originou a atribuição (conversão)
+*/
+
+CREATE TABLE IF NOT EXISTS referral_clicks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+    attribution_token VARCHAR(64) NOT NULL,
+    landing_page TEXT,
+    referrer TEXT,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    utm_source VARCHAR(255),
+    utm_medium VARCHAR(255),
+    utm_campaign VARCHAR(255),
+    utm_term VARCHAR(255),
+    utm_content VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE bookings
+    ADD COLUMN IF NOT EXISTS referral_click_id UUID REFERENCES referral_clicks(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_referral_clicks_affiliate_id ON referral_clicks(affiliate_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_referral_clicks_attribution_token ON referral_clicks(attribution_token, created_at);
+CREATE INDEX IF NOT EXISTS idx_bookings_referral_click_id ON bookings(referral_click_id);
+
+ALTER TABLE referral_clicks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE settings ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_settings_updated_at BEFORE UPDATE ON settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO settings (key, value) VALUES
+('attribution', '{"model": "last_click", "window_days": 30}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,35 @@
+/*
+# Comissões em múltiplos níveis (rede de afiliados)
+
+1. Afiliados
+   - parent_affiliate_id: afiliado que recrutou este afiliado
+
+2. Usuários
+   - referred_by_affiliate_id: afiliado cujo código foi usado no cadastro
+
+3. Comissões
+   - level: 1 = venda direta, 2 = override do recrutador, 3 = recrutador do recrutador...
+   - source_affiliate_id: afiliado que realizou a venda
+
+4. Configuração 'commission_levels'
+   - override_rates: percentuais de override a partir do nível 2
+*/
+
+ALTER TABLE affiliates
+    ADD COLUMN IF NOT EXISTS parent_affiliate_id UUID REFERENCES affiliates(id) ON DELETE SET NULL,
+    ADD CONSTRAINT affiliates_parent_not_self CHECK (parent_affiliate_id IS NULL OR parent_affiliate_id <> id);
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS referred_by_affiliate_id UUID REFERENCES affiliates(id) ON DELETE SET NULL;
+
+ALTER TABLE commissions
+    ADD COLUMN IF NOT EXISTS level SMALLINT NOT NULL DEFAULT 1 CHECK (level >= 1),
+    ADD COLUMN IF NOT EXISTS source_affiliate_id UUID REFERENCES affiliates(id) ON DELETE SET NULL;
+
+UPDATE commissions SET source_affiliate_id = affiliate_id WHERE source_affiliate_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_affiliates_parent_affiliate_id ON affiliates(parent_affiliate_id);
+
+INSERT INTO settings (key, value) VALUES
+('commission_levels', '{"override_rates": [5, 2]}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,42 @@
+/*
+# Níveis de desempenho dos afiliados (bronze, prata, ouro...)
+
+1. commission_tiers
+   - Requisitos mínimos de agendamentos concluídos e receita na janela móvel
+   - Percentual de comissão aplicado aos afiliados do nível
+   - position: ordem do nível (maior = melhor)
+
+2. Afiliados
+   - tier_id: nível atual, reavaliado periodicamente
+   - tier_evaluated_at: última avaliação
+   - commission_rate_locked: taxa definida manualmente pelo admin (não segue o nível)
+
+3. Configuração 'tiers'
+   - window_days: janela móvel usada na avaliação
+*/
+
+CREATE TABLE IF NOT EXISTS commission_tiers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    position INTEGER NOT NULL UNIQUE,
+    min_completed_bookings INTEGER NOT NULL DEFAULT 0 CHECK (min_completed_bookings >= 0),
+    min_revenue DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_revenue >= 0),
+    commission_rate DECIMAL(5,2) NOT NULL CHECK (commission_rate BETWEEN 0 AND 100),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE affiliates
+    ADD COLUMN IF NOT EXISTS tier_id UUID REFERENCES commission_tiers(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS tier_evaluated_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS commission_rate_locked BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE commission_tiers ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_commission_tiers_updated_at BEFORE UPDATE ON commission_tiers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO settings (key, value) VALUES
+('tiers', '{"window_days": 90}')
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,45 @@
+/*
+# Regras de comissão
+
+1. commission_rules
+   - Comissão percentual ou valor fixo para o afiliado que realizou a venda
+   - Filtros opcionais: serviço, terapeuta, afiliado, período (campanha) e
+     apenas primeiro agendamento do cliente
+   - Precedência: priority (maior primeiro), depois a regra mais específica
+     (afiliado > serviço > terapeuta > período > primeiro agendamento),
+     depois a mais recente. Sem regra aplicável vale a taxa do afiliado.
+
+2. Comissões
+   - commission_rule_id: regra usada no cálculo (auditoria de pagamentos)
+*/
+
+CREATE TABLE IF NOT EXISTS commission_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('percentage', 'fixed')),
+    value DECIMAL(10,2) NOT NULL CHECK (value >= 0),
+    service_id UUID REFERENCES services(id) ON DELETE CASCADE,
+    therapist_id UUID REFERENCES therapists(id) ON DELETE CASCADE,
+    affiliate_id UUID REFERENCES affiliates(id) ON DELETE CASCADE,
+    starts_at DATE,
+    ends_at DATE,
+    first_booking_only BOOLEAN NOT NULL DEFAULT FALSE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (type <> 'percentage' OR value <= 100),
+    CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at >= starts_at)
+);
+
+ALTER TABLE commissions
+    ADD COLUMN IF NOT EXISTS commission_rule_id UUID REFERENCES commission_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_commission_rules_active ON commission_rules(is_active);
+CREATE INDEX IF NOT EXISTS idx_commissions_commission_rule_id ON commissions(commission_rule_id);
+
+ALTER TABLE commission_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_commission_rules_updated_at BEFORE UPDATE ON commission_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,60 @@
+/*
+# Lotes de pagamento de comissões
+
+1. payout_batches
+   - Agrupa as comissões liberadas de vários afiliados em um único pagamento
+   - Fluxo: draft (criado) -> exported (arquivo enviado ao banco) -> paid
+   - Lotes ainda não pagos podem ser cancelados, liberando as comissões
+
+2. payout_batch_items
+   - Um item por afiliado: valor bruto, estornos descontados e valor líquido
+
+3. Comissões
+   - batch_id: lote em que a comissão (ou estorno) foi incluída
+*/
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'exported', 'paid', 'cancelled')),
+    date_from DATE,
+    date_to DATE,
+    min_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+    affiliates_count INTEGER NOT NULL DEFAULT 0,
+    commissions_count INTEGER NOT NULL DEFAULT 0,
+    payment_method VARCHAR(50),
+    payment_reference VARCHAR(255),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    exported_at TIMESTAMP,
+    paid_at TIMESTAMP,
+    paid_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS payout_batch_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+    gross_amount DECIMAL(10,2) NOT NULL,
+    clawback_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    net_amount DECIMAL(10,2) NOT NULL CHECK (net_amount > 0),
+    commissions_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (batch_id, affiliate_id)
+);
+
+ALTER TABLE commissions
+    ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_status ON payout_batches(status);
+CREATE INDEX IF NOT EXISTS idx_payout_batch_items_batch_id ON payout_batch_items(batch_id);
+CREATE INDEX IF NOT EXISTS idx_commissions_batch_id ON commissions(batch_id);
+
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payout_batch_items ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_payout_batches_updated_at BEFORE UPDATE ON payout_batches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,33 @@
+/*
+# Dados de pagamento dos afiliados
+
+1. affiliate_payout_profiles
+   - Chave PIX (CPF, CNPJ, email, telefone ou aleatória) e conta bancária
+     como alternativa
+   - CPF/CNPJ do titular
+   - Chave PIX, documento e conta são gravados criptografados (AES-256-GCM)
+     pela aplicação; a API devolve apenas valores mascarados
+*/
+
+CREATE TABLE IF NOT EXISTS affiliate_payout_profiles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    affiliate_id UUID NOT NULL UNIQUE REFERENCES affiliates(id) ON DELETE CASCADE,
+    holder_name VARCHAR(255) NOT NULL,
+    tax_id_type VARCHAR(10) NOT NULL CHECK (tax_id_type IN ('cpf', 'cnpj')),
+    tax_id_encrypted TEXT NOT NULL,
+    pix_key_type VARCHAR(10) CHECK (pix_key_type IN ('cpf', 'cnpj', 'email', 'phone', 'random')),
+    pix_key_encrypted TEXT,
+    bank_code VARCHAR(3),
+    bank_account_type VARCHAR(10) CHECK (bank_account_type IN ('checking', 'savings')),
+    bank_account_encrypted TEXT,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK ((pix_key_type IS NULL) = (pix_key_encrypted IS NULL)),
+    CHECK (pix_key_encrypted IS NOT NULL OR bank_account_encrypted IS NOT NULL)
+);
+
+ALTER TABLE affiliate_payout_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_affiliate_payout_profiles_updated_at BEFORE UPDATE ON affiliate_payout_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
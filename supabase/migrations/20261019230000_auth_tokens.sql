@@ -0,0 +1,32 @@
+/*
+# Recuperação de senha e verificação de email
+
+1. auth_tokens
+   - Tokens de uso único enviados por email (redefinição de senha e
+     verificação de email)
+   - Apenas o hash SHA-256 do token é armazenado
+   - Expiram em expires_at e são invalidados ao serem usados (used_at)
+
+2. Usuários
+   - email_verified_at: data da verificação do email; o login exige email verificado
+   - Usuários existentes são considerados verificados
+*/
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS auth_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('password_reset', 'email_verification')),
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_tokens_user_type ON auth_tokens(user_id, type);
+
+ALTER TABLE auth_tokens ENABLE ROW LEVEL SECURITY;
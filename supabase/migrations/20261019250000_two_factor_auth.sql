@@ -0,0 +1,44 @@
+/*
+# Autenticação em dois fatores (TOTP)
+
+1. user_two_factor
+   - Segredo TOTP criptografado pela aplicação (AES-256-GCM)
+   - enabled_at: preenchido após a confirmação do primeiro código
+   - last_used_step: último passo de tempo aceito (impede reuso do mesmo código)
+   - Obrigatória para administradores, opcional para os demais papéis
+
+2. two_factor_recovery_codes
+   - Códigos de recuperação de uso único, armazenados apenas como hash
+
+3. Sessões
+   - two_factor_verified_at: última confirmação do segundo fator na sessão,
+     exigida (recente) em ações sensíveis como pagamentos
+*/
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    secret_encrypted TEXT NOT NULL,
+    enabled_at TIMESTAMP,
+    last_used_step BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE user_sessions
+    ADD COLUMN IF NOT EXISTS two_factor_verified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+
+ALTER TABLE user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE two_factor_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
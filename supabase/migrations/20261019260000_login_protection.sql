@@ -0,0 +1,37 @@
+/*
+# Proteção contra força bruta no login
+
+1. Usuários
+   - failed_login_attempts / last_failed_login_at: falhas consecutivas de login
+   - locked_until: bloqueio temporário após atingir o limite de falhas
+   - Desbloqueio automático ao expirar, pela redefinição de senha ou por um administrador
+
+2. auth_events
+   - Registro de eventos de autenticação (sucesso, falha, bloqueio, desbloqueio,
+     redefinição de senha) com IP e user agent
+   - Também usado para contar as falhas recentes por IP
+*/
+
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS auth_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    event_type VARCHAR(30) NOT NULL CHECK (event_type IN (
+        'login_success', 'login_failure', 'account_locked', 'account_unlocked', 'password_reset'
+    )),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_events_user_id ON auth_events(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_auth_events_ip_failures ON auth_events(ip_address, created_at)
+    WHERE event_type = 'login_failure';
+
+ALTER TABLE auth_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,34 @@
+/*
+# Chaves de API para integrações
+
+1. api_keys
+   - Emitidas por administradores para integrações servidor a servidor
+     (landing pages, CRM); a chave só é exibida na criação
+   - Apenas o hash SHA-256 é armazenado; key_prefix identifica a chave na listagem
+   - scopes: recursos liberados (ex.: bookings:write, commissions:read)
+   - rate_limit_per_minute: limite de requisições por chave
+   - last_used_at / last_used_ip: rastreio de uso
+   - revoked_at: chave revogada deixa de autenticar
+*/
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+    expires_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    last_used_ip VARCHAR(45),
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id),
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,98 @@
+/*
+# Papéis e permissões
+
+1. permissions
+   - Catálogo de permissões verificadas pela API (requirePermission)
+   - Permissões "_own"/"_linked" dão acesso apenas aos registros vinculados ao
+     terapeuta ou afiliado do usuário (regras de posse)
+
+2. roles / role_permissions
+   - Papéis armazenados no banco, com o conjunto de permissões de cada um
+   - Papéis de sistema (admin, therapist, affiliate) migrados com permissões
+     equivalentes ao comportamento anterior
+   - Papéis personalizados de exemplo: finance (pagamentos) e receptionist (agendamentos)
+
+3. users.role
+   - A restrição CHECK dá lugar a uma chave estrangeira para roles(name)
+*/
+
+CREATE TABLE IF NOT EXISTS permissions (
+    key VARCHAR(100) PRIMARY KEY,
+    description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS roles (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(50) UNIQUE NOT NULL CHECK (name ~ '^[a-z][a-z0-9_]*$'),
+    description TEXT,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id UUID NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission VARCHAR(100) NOT NULL REFERENCES permissions(key) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission)
+);
+
+INSERT INTO permissions (key, description) VALUES
+    ('users.manage', 'Gerenciar usuários, desbloqueios e eventos de autenticação'),
+    ('roles.manage', 'Gerenciar papéis e permissões'),
+    ('affiliates.view', 'Ver todos os afiliados'),
+    ('affiliates.view_linked', 'Ver os afiliados que indicaram clientes para o terapeuta'),
+    ('affiliates.manage', 'Cadastrar e editar afiliados, níveis e configurações de indicação'),
+    ('therapists.manage', 'Cadastrar e editar qualquer terapeuta, inclusive a taxa de comissão'),
+    ('therapists.manage_own', 'Editar o próprio perfil, agenda e bloqueios de terapeuta'),
+    ('services.manage', 'Gerenciar serviços de qualquer terapeuta'),
+    ('services.manage_own', 'Gerenciar os próprios serviços'),
+    ('bookings.view', 'Ver todos os agendamentos'),
+    ('bookings.manage', 'Confirmar, cancelar, remarcar, concluir e reembolsar qualquer agendamento'),
+    ('bookings.manage_own', 'Concluir os próprios atendimentos'),
+    ('commissions.view', 'Ver todas as comissões e estatísticas'),
+    ('commissions.manage', 'Gerenciar regras de comissão'),
+    ('commissions.pay', 'Marcar comissões como pagas'),
+    ('payouts.manage', 'Gerenciar lotes de pagamento e dados de pagamento dos afiliados'),
+    ('api_keys.manage', 'Gerenciar chaves de API')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO roles (name, description, is_system) VALUES
+    ('admin', 'Administrador', TRUE),
+    ('therapist', 'Terapeuta', TRUE),
+    ('affiliate', 'Afiliado', TRUE),
+    ('finance', 'Financeiro: comissões e pagamentos', FALSE),
+    ('receptionist', 'Recepção: agendamentos', FALSE)
+ON CONFLICT (name) DO NOTHING;
+
+-- Administrador: todas as permissões
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, p.key FROM roles r CROSS JOIN permissions p
+WHERE r.name = 'admin'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, v.permission FROM roles r
+JOIN (VALUES
+    ('therapist', 'affiliates.view_linked'),
+    ('therapist', 'therapists.manage_own'),
+    ('therapist', 'services.manage_own'),
+    ('therapist', 'bookings.manage_own'),
+    ('finance', 'affiliates.view'),
+    ('finance', 'commissions.view'),
+    ('finance', 'commissions.pay'),
+    ('finance', 'payouts.manage'),
+    ('receptionist', 'bookings.view'),
+    ('receptionist', 'bookings.manage')
+) AS v(role_name, permission) ON v.role_name = r.name
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+    ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+ALTER TABLE permissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_roles_updated_at BEFORE UPDATE ON roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,34 @@
+/*
+# Acesso como outro usuário (impersonação)
+
+1. Permissão users.impersonate (concedida ao papel admin)
+
+2. user_sessions
+   - impersonated_by: administrador que abriu a sessão em nome do usuário
+   - impersonation_reason: motivo informado (ex.: chamado de suporte)
+   - Sessões de impersonação são curtas e não têm refresh token
+
+3. auth_events
+   - Novos eventos impersonation_started / impersonation_ended
+*/
+
+INSERT INTO permissions (key, description) VALUES
+    ('users.impersonate', 'Acessar a conta de outro usuário para suporte')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, 'users.impersonate' FROM roles WHERE name = 'admin'
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE user_sessions
+    ADD COLUMN IF NOT EXISTS impersonated_by UUID REFERENCES users(id),
+    ADD COLUMN IF NOT EXISTS impersonation_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_impersonated_by ON user_sessions(impersonated_by)
+    WHERE impersonated_by IS NOT NULL;
+
+ALTER TABLE auth_events DROP CONSTRAINT IF EXISTS auth_events_event_type_check;
+ALTER TABLE auth_events ADD CONSTRAINT auth_events_event_type_check CHECK (event_type IN (
+    'login_success', 'login_failure', 'account_locked', 'account_unlocked', 'password_reset',
+    'impersonation_started', 'impersonation_ended'
+));
@@ -0,0 +1,57 @@
+/*
+# Log de auditoria imutável
+
+1. audit_logs
+   - Uma entrada por requisição de alteração autenticada: autor (usuário ou chave de API),
+     administrador em impersonação, ação, entidade, diferença antes/depois, IP e data
+   - Encadeado por hash: cada entrada guarda o hash da anterior (prev_hash) e o
+     SHA-256 do próprio conteúdo; qualquer alteração quebra a cadeia
+   - Somente inserção: UPDATE e DELETE são rejeitados por trigger
+
+2. Permissão audit.view (concedida ao papel admin)
+*/
+
+CREATE TABLE IF NOT EXISTS audit_logs (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID,
+    actor_type VARCHAR(20) NOT NULL CHECK (actor_type IN ('user', 'api_key')),
+    impersonator_id UUID,
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50),
+    entity_id VARCHAR(100),
+    changes JSONB,
+    metadata JSONB,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    prev_hash VARCHAR(64),
+    hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_actor_id ON audit_logs(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_entity ON audit_logs(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_action ON audit_logs(action);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_created_at ON audit_logs(created_at);
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_logs é somente inserção';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER prevent_audit_logs_update BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+CREATE TRIGGER prevent_audit_logs_truncate BEFORE TRUNCATE ON audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
+
+ALTER TABLE audit_logs ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO permissions (key, description) VALUES
+    ('audit.view', 'Consultar e exportar o log de auditoria')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT id, 'audit.view' FROM roles WHERE name = 'admin'
+ON CONFLICT DO NOTHING;
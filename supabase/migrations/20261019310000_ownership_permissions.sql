@@ -0,0 +1,43 @@
+/*
+# Permissões de posse
+
+1. Novas permissões "_own"
+   - As regras de posse da API passam a depender das permissões do papel, não do nome
+   - affiliates.manage_own: perfil, estatísticas, rede, progresso de nível e dados de
+     pagamento do próprio afiliado
+   - bookings.view_own / bookings.cancel_own: ver, cancelar e remarcar os agendamentos
+     vinculados ao afiliado ou terapeuta do usuário
+   - commissions.view_own: ver as próprias comissões
+   - bookings.manage_own passa a cobrir também a confirmação dos próprios atendimentos
+
+2. Concessões equivalentes ao comportamento anterior
+   - admin: todas as novas permissões
+   - affiliate: affiliates.manage_own, bookings.view_own, bookings.cancel_own, commissions.view_own
+   - therapist: bookings.view_own, bookings.cancel_own
+*/
+
+INSERT INTO permissions (key, description) VALUES
+    ('affiliates.manage_own', 'Ver e editar os dados, a rede e os dados de pagamento do próprio afiliado'),
+    ('bookings.view_own', 'Ver os agendamentos vinculados ao próprio afiliado ou terapeuta'),
+    ('bookings.cancel_own', 'Cancelar e remarcar os agendamentos vinculados ao próprio afiliado ou terapeuta'),
+    ('commissions.view_own', 'Ver as próprias comissões')
+ON CONFLICT (key) DO NOTHING;
+
+UPDATE permissions SET description = 'Confirmar e concluir os próprios atendimentos'
+WHERE key = 'bookings.manage_own';
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT r.id, v.permission FROM roles r
+JOIN (VALUES
+    ('admin', 'affiliates.manage_own'),
+    ('admin', 'bookings.view_own'),
+    ('admin', 'bookings.cancel_own'),
+    ('admin', 'commissions.view_own'),
+    ('affiliate', 'affiliates.manage_own'),
+    ('affiliate', 'bookings.view_own'),
+    ('affiliate', 'bookings.cancel_own'),
+    ('affiliate', 'commissions.view_own'),
+    ('therapist', 'bookings.view_own'),
+    ('therapist', 'bookings.cancel_own')
+) AS v(role_name, permission) ON v.role_name = r.name
+ON CONFLICT DO NOTHING;
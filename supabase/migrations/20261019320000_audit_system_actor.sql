@@ -0,0 +1,11 @@
+/*
+# Log de auditoria: alterações do sistema
+
+1. audit_logs.actor_type
+   - Novo autor 'system' para alterações feitas por rotinas agendadas
+     (ex.: reavaliação periódica dos níveis e taxas de comissão dos afiliados)
+*/
+
+ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_actor_type_check;
+ALTER TABLE audit_logs
+    ADD CONSTRAINT audit_logs_actor_type_check CHECK (actor_type IN ('user', 'api_key', 'system'));
@@ -0,0 +1,23 @@
+/*
+# Permissão de remarcação
+
+1. bookings.reschedule_own
+   - Remarcar os agendamentos vinculados ao afiliado ou terapeuta do usuário, avulsos
+     ou em série (antes coberto por bookings.cancel_own)
+   - bookings.cancel_own passa a cobrir apenas o cancelamento
+
+2. Concessões equivalentes ao comportamento anterior
+   - Todo papel com bookings.cancel_own recebe também bookings.reschedule_own
+*/
+
+INSERT INTO permissions (key, description) VALUES
+    ('bookings.reschedule_own', 'Remarcar os agendamentos vinculados ao próprio afiliado ou terapeuta')
+ON CONFLICT (key) DO NOTHING;
+
+UPDATE permissions SET description = 'Cancelar os agendamentos vinculados ao próprio afiliado ou terapeuta'
+WHERE key = 'bookings.cancel_own';
+
+INSERT INTO role_permissions (role_id, permission)
+SELECT role_id, 'bookings.reschedule_own' FROM role_permissions
+WHERE permission = 'bookings.cancel_own'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,18 @@
+/*
+# Tokens de formulário usados no agendamento público
+
+1. public_form_tokens
+   - Registra cada token de formulário aceito, que não pode ser reenviado
+     dentro da sua validade (cada token cria no máximo um agendamento)
+   - Registros expirados são removidos ao registrar novos tokens
+*/
+
+CREATE TABLE IF NOT EXISTS public_form_tokens (
+    token_hash VARCHAR(64) PRIMARY KEY,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_public_form_tokens_expires_at ON public_form_tokens(expires_at);
+
+ALTER TABLE public_form_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+/*
+# Reverter: conclusão de agendamentos
+
+- Comissões aprovadas voltam a pendentes (o status não existia antes)
+*/
+
+DROP INDEX IF EXISTS idx_commissions_booking_id;
+
+ALTER TABLE commissions
+    DROP COLUMN IF EXISTS approved_at;
+
+UPDATE commissions SET status = 'pending' WHERE status = 'approved';
+
+ALTER TABLE commissions DROP CONSTRAINT IF EXISTS commissions_status_check;
+
+ALTER TABLE commissions
+    ADD CONSTRAINT commissions_status_check
+    CHECK (status IN ('pending', 'paid', 'cancelled'));
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS completed_by,
+    DROP COLUMN IF EXISTS completed_at;
@@ -0,0 +1,13 @@
+/*
+# Reverter: estornos de comissões
+
+- Lançamentos de estorno são removidos (não existem no esquema anterior)
+*/
+
+DROP INDEX IF EXISTS idx_commissions_reversed_commission_id;
+
+DELETE FROM commissions WHERE type = 'clawback';
+
+ALTER TABLE commissions
+    DROP COLUMN IF EXISTS reversed_commission_id,
+    DROP COLUMN IF EXISTS type;
@@ -0,0 +1,6 @@
+/*
+# Reverter: agenda semanal e exceções dos terapeutas
+*/
+
+DROP TABLE IF EXISTS therapist_schedule_exceptions;
+DROP TABLE IF EXISTS therapist_schedules;
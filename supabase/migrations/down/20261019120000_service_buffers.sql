@@ -0,0 +1,7 @@
+/*
+# Reverter: intervalos antes e depois dos serviços
+*/
+
+ALTER TABLE services
+    DROP COLUMN IF EXISTS buffer_after_minutes,
+    DROP COLUMN IF EXISTS buffer_before_minutes;
@@ -0,0 +1,16 @@
+/*
+# Reverter: proteção contra agendamentos sobrepostos
+
+- A extensão btree_gist é mantida (pode ser usada por outros objetos)
+*/
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_no_overlap;
+
+DROP TRIGGER IF EXISTS refresh_services_blocked_ranges ON services;
+DROP FUNCTION IF EXISTS refresh_service_blocked_ranges();
+
+DROP TRIGGER IF EXISTS set_bookings_blocked_range ON bookings;
+DROP FUNCTION IF EXISTS set_booking_blocked_range();
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS blocked_range;
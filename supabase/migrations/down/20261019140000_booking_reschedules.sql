@@ -0,0 +1,10 @@
+/*
+# Reverter: remarcação de agendamentos
+*/
+
+DROP TABLE IF EXISTS booking_reschedules;
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS reschedule_min_notice_hours,
+    DROP COLUMN IF EXISTS max_reschedules,
+    DROP COLUMN IF EXISTS reschedule_count;
@@ -0,0 +1,13 @@
+/*
+# Reverter: séries de agendamentos recorrentes
+
+- As ocorrências já geradas continuam como agendamentos avulsos
+*/
+
+DROP INDEX IF EXISTS idx_bookings_series_id;
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS series_index,
+    DROP COLUMN IF EXISTS series_id;
+
+DROP TABLE IF EXISTS booking_series;
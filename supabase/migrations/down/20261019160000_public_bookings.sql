@@ -0,0 +1,11 @@
+/*
+# Reverter: agendamentos públicos com confirmação por email
+*/
+
+DROP INDEX IF EXISTS idx_bookings_confirmation_token_hash;
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS confirmation_expires_at,
+    DROP COLUMN IF EXISTS confirmation_token_hash,
+    DROP COLUMN IF EXISTS client_confirmed_at,
+    DROP COLUMN IF EXISTS source;
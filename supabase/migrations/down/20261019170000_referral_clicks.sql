@@ -0,0 +1,9 @@
+/*
+# Reverter: cliques de indicação, atribuição e configurações
+*/
+
+ALTER TABLE bookings
+    DROP COLUMN IF EXISTS referral_click_id;
+
+DROP TABLE IF EXISTS referral_clicks;
+DROP TABLE IF EXISTS settings;
@@ -0,0 +1,22 @@
+/*
+# Reverter: comissões em múltiplos níveis
+
+- Comissões de override (nível > 1) são removidas; só a venda direta existia antes
+*/
+
+DELETE FROM settings WHERE key = 'commission_levels';
+
+DELETE FROM commissions WHERE level > 1;
+
+ALTER TABLE commissions
+    DROP COLUMN IF EXISTS source_affiliate_id,
+    DROP COLUMN IF EXISTS level;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS referred_by_affiliate_id;
+
+DROP INDEX IF EXISTS idx_affiliates_parent_affiliate_id;
+
+ALTER TABLE affiliates
+    DROP CONSTRAINT IF EXISTS affiliates_parent_not_self,
+    DROP COLUMN IF EXISTS parent_affiliate_id;
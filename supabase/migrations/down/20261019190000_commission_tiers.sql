@@ -0,0 +1,14 @@
+/*
+# Reverter: níveis de desempenho dos afiliados
+
+- A taxa de comissão atual de cada afiliado é mantida
+*/
+
+DELETE FROM settings WHERE key = 'tiers';
+
+ALTER TABLE affiliates
+    DROP COLUMN IF EXISTS commission_rate_locked,
+    DROP COLUMN IF EXISTS tier_evaluated_at,
+    DROP COLUMN IF EXISTS tier_id;
+
+DROP TABLE IF EXISTS commission_tiers;
@@ -0,0 +1,10 @@
+/*
+# Reverter: regras de comissão
+*/
+
+DROP INDEX IF EXISTS idx_commissions_commission_rule_id;
+
+ALTER TABLE commissions
+    DROP COLUMN IF EXISTS commission_rule_id;
+
+DROP TABLE IF EXISTS commission_rules;
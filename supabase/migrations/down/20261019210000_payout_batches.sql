@@ -0,0 +1,15 @@
+/*
+# Reverter: lotes de pagamento
+
+- Comissões pagas em lote continuam pagas, sem o vínculo com o lote
+*/
+
+DELETE FROM settings WHERE key = 'payouts';
+
+DROP INDEX IF EXISTS idx_commissions_batch_id;
+
+ALTER TABLE commissions
+    DROP COLUMN IF EXISTS batch_id;
+
+DROP TABLE IF EXISTS payout_batch_items;
+DROP TABLE IF EXISTS payout_batches;
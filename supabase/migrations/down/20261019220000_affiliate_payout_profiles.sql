@@ -0,0 +1,5 @@
+/*
+# Reverter: dados de pagamento dos afiliados
+*/
+
+DROP TABLE IF EXISTS affiliate_payout_profiles;
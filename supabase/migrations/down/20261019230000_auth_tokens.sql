@@ -0,0 +1,8 @@
+/*
+# Reverter: tokens de redefinição de senha e verificação de email
+*/
+
+DROP TABLE IF EXISTS auth_tokens;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,6 @@
+/*
+# Reverter: sessões de usuário e refresh tokens
+*/
+
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS user_sessions;
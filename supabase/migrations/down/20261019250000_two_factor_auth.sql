@@ -0,0 +1,9 @@
+/*
+# Reverter: autenticação em dois fatores
+*/
+
+ALTER TABLE user_sessions
+    DROP COLUMN IF EXISTS two_factor_verified_at;
+
+DROP TABLE IF EXISTS two_factor_recovery_codes;
+DROP TABLE IF EXISTS user_two_factor;
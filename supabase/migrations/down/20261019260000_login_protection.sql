@@ -0,0 +1,10 @@
+/*
+# Reverter: bloqueio de login e eventos de autenticação
+*/
+
+DROP TABLE IF EXISTS auth_events;
+
+ALTER TABLE users
+    DROP COLUMN IF EXISTS locked_until,
+    DROP COLUMN IF EXISTS last_failed_login_at,
+    DROP COLUMN IF EXISTS failed_login_attempts;
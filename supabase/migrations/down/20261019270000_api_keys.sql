@@ -0,0 +1,5 @@
+/*
+# Reverter: chaves de API
+*/
+
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,14 @@
+/*
+# Reverter: papéis e permissões no banco
+
+- Falha se houver usuários em papéis personalizados (mova-os antes para admin, therapist ou affiliate)
+*/
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+
+ALTER TABLE users
+    ADD CONSTRAINT users_role_check CHECK (role IN ('admin', 'therapist', 'affiliate'));
+
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS roles;
+DROP TABLE IF EXISTS permissions;
@@ -0,0 +1,18 @@
+/*
+# Reverter: acesso como outro usuário
+*/
+
+DELETE FROM auth_events WHERE event_type IN ('impersonation_started', 'impersonation_ended');
+
+ALTER TABLE auth_events DROP CONSTRAINT IF EXISTS auth_events_event_type_check;
+ALTER TABLE auth_events ADD CONSTRAINT auth_events_event_type_check CHECK (event_type IN (
+    'login_success', 'login_failure', 'account_locked', 'account_unlocked', 'password_reset'
+));
+
+DROP INDEX IF EXISTS idx_user_sessions_impersonated_by;
+
+ALTER TABLE user_sessions
+    DROP COLUMN IF EXISTS impersonation_reason,
+    DROP COLUMN IF EXISTS impersonated_by;
+
+DELETE FROM permissions WHERE key = 'users.impersonate';
@@ -0,0 +1,10 @@
+/*
+# Reverter: log de auditoria
+
+- Remove a tabela inteira (o trigger só impede UPDATE, DELETE e TRUNCATE)
+*/
+
+DROP TABLE IF EXISTS audit_logs;
+DROP FUNCTION IF EXISTS prevent_audit_log_changes();
+
+DELETE FROM permissions WHERE key = 'audit.view';
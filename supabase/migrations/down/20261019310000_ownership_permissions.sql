@@ -0,0 +1,9 @@
+/*
+# Reverter: permissões de posse
+*/
+
+DELETE FROM permissions
+WHERE key IN ('affiliates.manage_own', 'bookings.view_own', 'bookings.cancel_own', 'commissions.view_own');
+
+UPDATE permissions SET description = 'Concluir os próprios atendimentos'
+WHERE key = 'bookings.manage_own';
@@ -0,0 +1,9 @@
+/*
+# Reverter: alterações do sistema no log de auditoria
+
+- O log é somente inserção: entradas 'system' já gravadas são mantidas (restrição NOT VALID)
+*/
+
+ALTER TABLE audit_logs DROP CONSTRAINT IF EXISTS audit_logs_actor_type_check;
+ALTER TABLE audit_logs
+    ADD CONSTRAINT audit_logs_actor_type_check CHECK (actor_type IN ('user', 'api_key')) NOT VALID;
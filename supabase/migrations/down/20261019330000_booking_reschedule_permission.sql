@@ -0,0 +1,8 @@
+/*
+# Reverter: permissão de remarcação
+*/
+
+DELETE FROM permissions WHERE key = 'bookings.reschedule_own';
+
+UPDATE permissions SET description = 'Cancelar e remarcar os agendamentos vinculados ao próprio afiliado ou terapeuta'
+WHERE key = 'bookings.cancel_own';
@@ -0,0 +1,5 @@
+/*
+# Reverter: tokens de formulário usados no agendamento público
+*/
+
+DROP TABLE IF EXISTS public_form_tokens;
@@ -0,0 +1,101 @@
+// Chaves de API: acesso limitado aos escopos concedidos, rotas sem suporte a chave
+// e chaves revogadas ou desconhecidas recusadas
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createTherapist,
+  insertBooking,
+  authHeader
+} = require('./helpers');
+
+describeWithDatabase('Chaves de API', () => {
+  let app;
+  let admin;
+  let booking;
+
+  async function createKey(scopes) {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set(authHeader(admin))
+      .send({ name: `Integração ${scopes.join(' ')}`, scopes });
+
+    expect(response.status).toBe(201);
+    return response.body.data;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+    const therapist = await createTherapist();
+    booking = await insertBooking(therapist, { date: '2027-03-24', time: '10:00' });
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('chave lê apenas os recursos dos escopos concedidos', async () => {
+    const apiKey = await createKey(['bookings:read']);
+
+    const bookings = await request(app)
+      .get('/api/bookings?limit=100')
+      .set('X-API-Key', apiKey.key);
+    const commissions = await request(app)
+      .get('/api/commissions')
+      .set('X-API-Key', apiKey.key);
+
+    expect(bookings.status).toBe(200);
+    expect(bookings.body.data.bookings.map(row => row.id)).toContain(booking.id);
+    expect(commissions.status).toBe(403);
+  });
+
+  test('chave sem bookings:write não cria agendamentos', async () => {
+    const apiKey = await createKey(['bookings:read']);
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('X-API-Key', apiKey.key)
+      .send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Chave de API sem o escopo necessário');
+  });
+
+  test('chave não é aceita em rotas sem suporte a integrações', async () => {
+    const apiKey = await createKey(['bookings:read', 'commissions:read', 'affiliates:read']);
+
+    const response = await request(app)
+      .get('/api/users')
+      .set('X-API-Key', apiKey.key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Chave de API não aceita neste recurso');
+  });
+
+  test('chave revogada ou desconhecida é recusada', async () => {
+    const apiKey = await createKey(['bookings:read']);
+
+    const revoke = await request(app)
+      .delete(`/api/api-keys/${apiKey.id}`)
+      .set(authHeader(admin));
+
+    expect(revoke.status).toBe(200);
+
+    const revoked = await request(app)
+      .get('/api/bookings')
+      .set('X-API-Key', apiKey.key);
+    const unknown = await request(app)
+      .get('/api/bookings')
+      .set('X-API-Key', `lnr_${'0'.repeat(48)}`);
+
+    expect(revoked.status).toBe(401);
+    expect(unknown.status).toBe(401);
+  });
+});
@@ -0,0 +1,67 @@
+// Atribuição de agendamentos: o código digitado só vale para afiliados ativos,
+// como o clique no link de indicação
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createAffiliate,
+  createTherapist,
+  authHeader,
+  pool
+} = require('./helpers');
+
+describeWithDatabase('Atribuição de agendamentos', () => {
+  let app;
+  let therapist;
+
+  function createBooking(time, affiliateCode) {
+    return request(app)
+      .post('/api/bookings')
+      .set(authHeader(therapist))
+      .send({
+        therapist_id: therapist.therapist.id,
+        service_id: therapist.service.id,
+        client_name: 'Cliente Indicado',
+        client_email: 'indicado@test.lunara.local',
+        scheduled_date: '2027-03-03',
+        scheduled_time: time,
+        affiliate_code: affiliateCode
+      });
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    therapist = await createTherapist();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('código de afiliado ativo atribui o agendamento', async () => {
+    const affiliate = await createAffiliate();
+
+    const response = await createBooking('09:00', affiliate.affiliate.referral_code);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.affiliate_id).toBe(affiliate.affiliate.id);
+  });
+
+  test('código de afiliado desativado não atribui o agendamento nem gera comissão', async () => {
+    const affiliate = await createAffiliate();
+    await pool.query('UPDATE affiliates SET is_active = false WHERE id = $1', [affiliate.affiliate.id]);
+
+    const response = await createBooking('11:00', affiliate.affiliate.referral_code);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.affiliate_id).toBeNull();
+
+    const { rows } = await pool.query('SELECT id FROM commissions WHERE affiliate_id = $1', [affiliate.affiliate.id]);
+    expect(rows).toHaveLength(0);
+  });
+});
@@ -0,0 +1,152 @@
+// Log de auditoria: entradas gravadas na transação da alteração, com estado antes/depois
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createAffiliate,
+  createTherapist,
+  insertBooking,
+  authHeader,
+  pool
+} = require('./helpers');
+const { verifyAuditChain } = require('../utils/audit');
+
+describeWithDatabase('Log de auditoria', () => {
+  let app;
+  let admin;
+  let therapist;
+  let affiliate;
+
+  // Comissão liberada para pagamento
+  async function createApprovedCommission(time) {
+    const booking = await insertBooking(therapist, {
+      affiliate,
+      date: '2027-03-17',
+      time,
+      status: 'completed'
+    });
+
+    await pool.query("UPDATE commissions SET status = 'approved' WHERE id = $1", [booking.commission.id]);
+    return booking.commission;
+  }
+
+  async function auditEntries(entityId) {
+    const { rows } = await pool.query(
+      'SELECT * FROM audit_logs WHERE entity_id = $1 ORDER BY id',
+      [String(entityId)]
+    );
+    return rows;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+    therapist = await createTherapist();
+    affiliate = await createAffiliate();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('pagamento de comissão grava uma única entrada com o estado anterior e o novo', async () => {
+    const commission = await createApprovedCommission('09:00');
+
+    const response = await request(app)
+      .post(`/api/commissions/${commission.id}/pay`)
+      .set(authHeader(admin))
+      .send({ payment_method: 'pix' });
+
+    expect(response.status).toBe(200);
+
+    const entries = await auditEntries(commission.id);
+    expect(entries).toHaveLength(1);
+    expect(entries[0].action).toBe('commission.pay');
+    expect(entries[0].actor_id).toBe(admin.id);
+    expect(entries[0].changes.status).toEqual({ from: 'approved', to: 'paid' });
+  });
+
+  test('falha ao gravar a entrada desfaz o pagamento', async () => {
+    const commission = await createApprovedCommission('11:00');
+
+    await pool.query('ALTER TABLE audit_logs ADD CONSTRAINT audit_logs_test_failure CHECK (false) NOT VALID');
+
+    try {
+      const response = await request(app)
+        .post(`/api/commissions/${commission.id}/pay`)
+        .set(authHeader(admin))
+        .send({ payment_method: 'pix' });
+
+      expect(response.status).toBe(500);
+    } finally {
+      await pool.query('ALTER TABLE audit_logs DROP CONSTRAINT audit_logs_test_failure');
+    }
+
+    const { rows } = await pool.query('SELECT status FROM commissions WHERE id = $1', [commission.id]);
+    expect(rows[0].status).toBe('approved');
+    expect(await auditEntries(commission.id)).toHaveLength(0);
+  });
+
+  test('alteração de regra de comissão registra o valor anterior', async () => {
+    const created = await request(app)
+      .post('/api/commissions/rules')
+      .set(authHeader(admin))
+      .send({ name: 'Campanha de teste', type: 'percentage', value: 15 });
+
+    expect(created.status).toBe(201);
+
+    const ruleId = created.body.data.id;
+    const updated = await request(app)
+      .put(`/api/commissions/rules/${ruleId}`)
+      .set(authHeader(admin))
+      .send({ value: 20 });
+
+    expect(updated.status).toBe(200);
+
+    const entries = await auditEntries(ruleId);
+    expect(entries.map(entry => entry.action)).toEqual(['commission_rule.create', 'commission_rule.update']);
+    expect(entries[0].metadata.status).toBe(201);
+    expect(Number(entries[1].changes.value.from)).toBe(15);
+    expect(Number(entries[1].changes.value.to)).toBe(20);
+  });
+
+  test('alteração de configuração registra o valor anterior', async () => {
+    const response = await request(app)
+      .put('/api/affiliates/settings/tiers')
+      .set(authHeader(admin))
+      .send({ window_days: 30 });
+
+    expect(response.status).toBe(200);
+
+    const entries = await auditEntries('tiers');
+    expect(entries[entries.length - 1].action).toBe('settings.update');
+    expect(entries[entries.length - 1].changes.window_days).toEqual({ from: 90, to: 30 });
+  });
+
+  test('criação de chave de API não grava o valor da chave', async () => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set(authHeader(admin))
+      .send({ name: 'Integração de teste', scopes: ['bookings:read'] });
+
+    expect(response.status).toBe(201);
+
+    const entries = await auditEntries(response.body.data.id);
+    expect(entries).toHaveLength(1);
+    expect(entries[0].action).toBe('api_key.create');
+    expect(JSON.stringify(entries[0])).not.toContain(response.body.data.key);
+  });
+
+  test('a cadeia de hashes continua válida', async () => {
+    const result = await verifyAuditChain(pool);
+
+    expect(result.valid).toBe(true);
+    expect(result.checked).toBeGreaterThan(0);
+  });
+});
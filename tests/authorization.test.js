@@ -0,0 +1,338 @@
+// Autorização por papel: acesso de afiliados, terapeutas e administradores aos
+// agendamentos, comissões, afiliados, terapeutas e serviços uns dos outros
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createAffiliate,
+  createTherapist,
+  insertBooking,
+  authHeader
+} = require('./helpers');
+
+const BOOKING_DATE = '2027-03-10';
+
+describeWithDatabase('Autorização por papel', () => {
+  let app;
+  let admin;
+  let therapist1;
+  let therapist2;
+  let affiliate1;
+  let affiliate2;
+  let booking1;
+  let booking2;
+
+  const ids = (rows) => rows.map(row => row.id);
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+    therapist1 = await createTherapist();
+    therapist2 = await createTherapist();
+    affiliate1 = await createAffiliate();
+    affiliate2 = await createAffiliate();
+
+    // Afiliado 1 indica para o terapeuta 1, afiliado 2 para o terapeuta 2
+    booking1 = await insertBooking(therapist1, { affiliate: affiliate1, date: BOOKING_DATE, time: '10:00' });
+    booking2 = await insertBooking(therapist2, { affiliate: affiliate2, date: BOOKING_DATE, time: '10:00' });
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  describe('Agendamentos', () => {
+    test('listagem mostra ao afiliado só os agendamentos que ele indicou', async () => {
+      const response = await request(app)
+        .get('/api/bookings?limit=100')
+        .set(authHeader(affiliate1));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data.bookings)).toContain(booking1.id);
+      expect(ids(response.body.data.bookings)).not.toContain(booking2.id);
+    });
+
+    test('listagem mostra ao terapeuta só os próprios atendimentos', async () => {
+      const response = await request(app)
+        .get('/api/bookings?limit=100')
+        .set(authHeader(therapist1));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data.bookings)).toEqual([booking1.id]);
+    });
+
+    test('listagem mostra ao administrador todos os agendamentos', async () => {
+      const response = await request(app)
+        .get(`/api/bookings?limit=100&date_from=${BOOKING_DATE}&date_to=${BOOKING_DATE}`)
+        .set(authHeader(admin));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data.bookings)).toEqual(expect.arrayContaining([booking1.id, booking2.id]));
+    });
+
+    test('histórico de remarcações: próprio liberado, de outros negado', async () => {
+      const own = await request(app)
+        .get(`/api/bookings/${booking1.id}/reschedules`)
+        .set(authHeader(affiliate1));
+      const other = await request(app)
+        .get(`/api/bookings/${booking2.id}/reschedules`)
+        .set(authHeader(affiliate1));
+      const otherTherapist = await request(app)
+        .get(`/api/bookings/${booking1.id}/reschedules`)
+        .set(authHeader(therapist2));
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(otherTherapist.status).toBe(403);
+    });
+
+    test('confirmação cabe ao terapeuta do agendamento, não ao afiliado', async () => {
+      const byAffiliate = await request(app)
+        .put(`/api/bookings/${booking1.id}/confirm`)
+        .set(authHeader(affiliate1));
+      const byOtherTherapist = await request(app)
+        .put(`/api/bookings/${booking2.id}/confirm`)
+        .set(authHeader(therapist1));
+      const byTherapist = await request(app)
+        .put(`/api/bookings/${booking1.id}/confirm`)
+        .set(authHeader(therapist1));
+
+      expect(byAffiliate.status).toBe(403);
+      expect(byOtherTherapist.status).toBe(403);
+      expect(byTherapist.status).toBe(200);
+    });
+
+    test('afiliado não remarca nem cancela agendamento de outro afiliado', async () => {
+      const reschedule = await request(app)
+        .put(`/api/bookings/${booking2.id}/reschedule`)
+        .set(authHeader(affiliate1))
+        .send({ scheduled_date: BOOKING_DATE, scheduled_time: '15:00' });
+      const cancel = await request(app)
+        .put(`/api/bookings/${booking2.id}/cancel`)
+        .set(authHeader(affiliate1))
+        .send({ reason: 'Teste' });
+
+      expect(reschedule.status).toBe(403);
+      expect(cancel.status).toBe(403);
+    });
+
+    test('terapeuta remarca o próprio atendimento, mas não o de outro terapeuta', async () => {
+      const other = await request(app)
+        .put(`/api/bookings/${booking2.id}/reschedule`)
+        .set(authHeader(therapist1))
+        .send({ scheduled_date: BOOKING_DATE, scheduled_time: '15:00' });
+      const own = await request(app)
+        .put(`/api/bookings/${booking1.id}/reschedule`)
+        .set(authHeader(therapist1))
+        .send({ scheduled_date: BOOKING_DATE, scheduled_time: '14:00' });
+
+      expect(other.status).toBe(403);
+      expect(own.status).toBe(200);
+    });
+  });
+
+  describe('Comissões', () => {
+    test('listagem mostra ao afiliado só as próprias comissões', async () => {
+      const response = await request(app)
+        .get('/api/commissions')
+        .set(authHeader(affiliate1));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data)).toContain(booking1.commission.id);
+      expect(ids(response.body.data)).not.toContain(booking2.commission.id);
+    });
+
+    test('listagem não mostra comissões ao terapeuta', async () => {
+      const response = await request(app)
+        .get('/api/commissions')
+        .set(authHeader(therapist1));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+    });
+
+    test('detalhe: própria liberada, de outro afiliado e para terapeuta negada', async () => {
+      const own = await request(app)
+        .get(`/api/commissions/${booking1.commission.id}`)
+        .set(authHeader(affiliate1));
+      const other = await request(app)
+        .get(`/api/commissions/${booking2.commission.id}`)
+        .set(authHeader(affiliate1));
+      const byTherapist = await request(app)
+        .get(`/api/commissions/${booking1.commission.id}`)
+        .set(authHeader(therapist1));
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(byTherapist.status).toBe(403);
+    });
+
+    test('administrador vê a comissão de qualquer afiliado', async () => {
+      const response = await request(app)
+        .get(`/api/commissions/${booking2.commission.id}`)
+        .set(authHeader(admin));
+
+      expect(response.status).toBe(200);
+    });
+
+    test('filtro por outro afiliado não amplia a listagem do afiliado', async () => {
+      const response = await request(app)
+        .get(`/api/commissions?affiliate_id=${affiliate2.affiliate.id}`)
+        .set(authHeader(affiliate1));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([]);
+    });
+
+    test('pagamento e regras de comissão são negados a afiliados e terapeutas', async () => {
+      for (const user of [affiliate1, therapist1]) {
+        const pay = await request(app)
+          .post(`/api/commissions/${booking1.commission.id}/pay`)
+          .set(authHeader(user))
+          .send({ payment_method: 'pix' });
+        const rule = await request(app)
+          .post('/api/commissions/rules')
+          .set(authHeader(user))
+          .send({ name: 'Regra indevida', type: 'percentage', value: 50 });
+
+        expect(pay.status).toBe(403);
+        expect(rule.status).toBe(403);
+      }
+    });
+  });
+
+  describe('Afiliados', () => {
+    test('listagem é negada ao afiliado', async () => {
+      const response = await request(app)
+        .get('/api/affiliates')
+        .set(authHeader(affiliate1));
+
+      expect(response.status).toBe(403);
+    });
+
+    test('listagem mostra ao terapeuta só os afiliados que indicaram clientes para ele', async () => {
+      const response = await request(app)
+        .get('/api/affiliates')
+        .set(authHeader(therapist1));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data)).toEqual([affiliate1.affiliate.id]);
+    });
+
+    test('listagem mostra ao administrador todos os afiliados', async () => {
+      const response = await request(app)
+        .get('/api/affiliates')
+        .set(authHeader(admin));
+
+      expect(response.status).toBe(200);
+      expect(ids(response.body.data)).toEqual(
+        expect.arrayContaining([affiliate1.affiliate.id, affiliate2.affiliate.id])
+      );
+    });
+
+    test('detalhe: próprio e vinculado liberados, de outros negado', async () => {
+      const own = await request(app)
+        .get(`/api/affiliates/${affiliate1.affiliate.id}`)
+        .set(authHeader(affiliate1));
+      const other = await request(app)
+        .get(`/api/affiliates/${affiliate2.affiliate.id}`)
+        .set(authHeader(affiliate1));
+      const linked = await request(app)
+        .get(`/api/affiliates/${affiliate1.affiliate.id}`)
+        .set(authHeader(therapist1));
+      const unlinked = await request(app)
+        .get(`/api/affiliates/${affiliate2.affiliate.id}`)
+        .set(authHeader(therapist1));
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(linked.status).toBe(200);
+      expect(unlinked.status).toBe(403);
+    });
+
+    test('estatísticas só para o próprio afiliado e para o administrador', async () => {
+      const own = await request(app)
+        .get(`/api/affiliates/${affiliate1.affiliate.id}/stats`)
+        .set(authHeader(affiliate1));
+      const other = await request(app)
+        .get(`/api/affiliates/${affiliate2.affiliate.id}/stats`)
+        .set(authHeader(affiliate1));
+      const byTherapist = await request(app)
+        .get(`/api/affiliates/${affiliate1.affiliate.id}/stats`)
+        .set(authHeader(therapist1));
+      const byAdmin = await request(app)
+        .get(`/api/affiliates/${affiliate2.affiliate.id}/stats`)
+        .set(authHeader(admin));
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+      expect(byTherapist.status).toBe(403);
+      expect(byAdmin.status).toBe(200);
+    });
+  });
+
+  describe('Terapeutas e serviços', () => {
+    test('terapeuta edita o próprio perfil, mas não o de outro terapeuta', async () => {
+      const own = await request(app)
+        .put(`/api/therapists/${therapist1.therapist.id}`)
+        .set(authHeader(therapist1))
+        .send({ bio: 'Minha biografia' });
+      const other = await request(app)
+        .put(`/api/therapists/${therapist2.therapist.id}`)
+        .set(authHeader(therapist1))
+        .send({ bio: 'Biografia alheia' });
+
+      expect(own.status).toBe(200);
+      expect(other.status).toBe(403);
+    });
+
+    test('terapeuta não altera a própria taxa de comissão; administrador edita qualquer terapeuta', async () => {
+      const ownRate = await request(app)
+        .put(`/api/therapists/${therapist1.therapist.id}`)
+        .set(authHeader(therapist1))
+        .send({ commission_rate: 90 });
+      const byAdmin = await request(app)
+        .put(`/api/therapists/${therapist2.therapist.id}`)
+        .set(authHeader(admin))
+        .send({ commission_rate: 35 });
+
+      expect(ownRate.status).toBe(403);
+      expect(byAdmin.status).toBe(200);
+      expect(Number(byAdmin.body.data.commission_rate)).toBe(35);
+    });
+
+    test('terapeuta não cria nem edita serviços de outro terapeuta', async () => {
+      const create = await request(app)
+        .post('/api/services')
+        .set(authHeader(therapist1))
+        .send({ therapist_id: therapist2.therapist.id, name: 'Serviço alheio', price: 100, duration_minutes: 60 });
+      const update = await request(app)
+        .put(`/api/services/${therapist2.service.id}`)
+        .set(authHeader(therapist1))
+        .send({ price: 1 });
+      const own = await request(app)
+        .post('/api/services')
+        .set(authHeader(therapist1))
+        .send({ therapist_id: therapist1.therapist.id, name: 'Serviço próprio', price: 100, duration_minutes: 60 });
+
+      expect(create.status).toBe(403);
+      expect(update.status).toBe(403);
+      expect(own.status).toBe(201);
+    });
+
+    test('afiliado não cria serviços', async () => {
+      const response = await request(app)
+        .post('/api/services')
+        .set(authHeader(affiliate1))
+        .send({ therapist_id: therapist1.therapist.id, name: 'Serviço indevido', price: 100, duration_minutes: 60 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
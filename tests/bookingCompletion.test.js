@@ -0,0 +1,68 @@
+// Conclusão de agendamentos: só a partir do horário agendado, liberando as comissões
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createAffiliate,
+  createTherapist,
+  insertBooking,
+  authHeader,
+  pool
+} = require('./helpers');
+
+describeWithDatabase('Conclusão de agendamentos', () => {
+  let app;
+  let therapist;
+  let affiliate;
+
+  function complete(booking, body = {}) {
+    return request(app)
+      .put(`/api/bookings/${booking.id}/complete`)
+      .set(authHeader(therapist))
+      .send(body);
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    therapist = await createTherapist();
+    affiliate = await createAffiliate();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('sessão futura não pode ser concluída', async () => {
+    const booking = await insertBooking(therapist, { affiliate, date: '2027-03-03', time: '10:00', status: 'confirmed' });
+
+    const response = await complete(booking);
+
+    expect(response.status).toBe(409);
+
+    const { rows } = await pool.query('SELECT status FROM commissions WHERE id = $1', [booking.commission.id]);
+    expect(rows[0].status).toBe('pending');
+  });
+
+  test('data de realização anterior ao horário agendado é recusada', async () => {
+    const booking = await insertBooking(therapist, { date: '2024-05-06', time: '14:00', status: 'confirmed' });
+
+    const response = await complete(booking, { completed_at: '2024-05-06T08:00:00' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('sessão realizada é concluída e libera as comissões', async () => {
+    const booking = await insertBooking(therapist, { affiliate, date: '2024-05-06', time: '10:00', status: 'confirmed' });
+
+    const response = await complete(booking);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.status).toBe('completed');
+    expect(response.body.data.commissions.map(commission => commission.status)).toEqual(['approved']);
+  });
+});
@@ -0,0 +1,140 @@
+// Sobreposição de agendamentos: criações concorrentes no mesmo horário, expiração de
+// pedidos públicos não confirmados e mudança de duração de serviço com agendamentos ativos
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createTherapist,
+  insertBooking,
+  authHeader,
+  pool
+} = require('./helpers');
+
+const MIGRATION = '20261019130000_bookings_no_overlap.sql';
+
+function readMigration(...dirs) {
+  return fs.readFileSync(path.join(__dirname, '..', 'supabase', 'migrations', ...dirs, MIGRATION), 'utf8');
+}
+
+// Quarta-feira, dentro da jornada padrão (08:00-18:00)
+const BOOKING_DATE = '2027-03-03';
+
+describeWithDatabase('Sobreposição de agendamentos', () => {
+  let app;
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('apenas um de vários agendamentos simultâneos no mesmo horário é criado', async () => {
+    const therapist = await createTherapist();
+    const attempts = 8;
+
+    const responses = await Promise.all(
+      Array.from({ length: attempts }, (_, index) =>
+        request(app)
+          .post('/api/bookings')
+          .set(authHeader(therapist))
+          .send({
+            therapist_id: therapist.therapist.id,
+            service_id: therapist.service.id,
+            client_name: `Cliente ${index}`,
+            client_email: `cliente${index}@test.lunara.local`,
+            scheduled_date: BOOKING_DATE,
+            scheduled_time: '10:00'
+          })
+      )
+    );
+
+    const statuses = responses.map(response => response.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(attempts - 1);
+
+    const { rows } = await pool.query(
+      `SELECT COUNT(*)::int as total FROM bookings
+       WHERE therapist_id = $1 AND status NOT IN ('cancelled', 'completed')`,
+      [therapist.therapist.id]
+    );
+    expect(rows[0].total).toBe(1);
+  });
+
+  test('remarcação ocupa o horário de um pedido público com confirmação expirada', async () => {
+    const therapist = await createTherapist();
+
+    const expired = await insertBooking(therapist, {
+      date: BOOKING_DATE,
+      time: '14:00',
+      source: 'public',
+      confirmation_expires_at: new Date(Date.now() - 60 * 60 * 1000)
+    });
+    const booking = await insertBooking(therapist, {
+      date: BOOKING_DATE,
+      time: '16:00',
+      status: 'confirmed'
+    });
+
+    const response = await request(app)
+      .put(`/api/bookings/${booking.id}/reschedule`)
+      .set(authHeader(therapist))
+      .send({ scheduled_date: BOOKING_DATE, scheduled_time: '14:00' });
+
+    expect(response.status).toBe(200);
+
+    const { rows } = await pool.query(
+      'SELECT status, cancellation_reason FROM bookings WHERE id = $1',
+      [expired.id]
+    );
+    expect(rows[0].status).toBe('cancelled');
+    expect(rows[0].cancellation_reason).toBe('Confirmação do cliente expirada');
+  });
+
+  test('aumento de duração que sobrepõe agendamentos ativos é recusado', async () => {
+    const therapist = await createTherapist();
+
+    await insertBooking(therapist, { date: BOOKING_DATE, time: '10:00', status: 'confirmed' });
+    await insertBooking(therapist, { date: BOOKING_DATE, time: '11:00', status: 'confirmed' });
+
+    const response = await request(app)
+      .put(`/api/services/${therapist.service.id}`)
+      .set(authHeader(therapist))
+      .send({ duration_minutes: 90 });
+
+    expect(response.status).toBe(409);
+
+    const { rows } = await pool.query(
+      'SELECT duration_minutes FROM services WHERE id = $1',
+      [therapist.service.id]
+    );
+    expect(rows[0].duration_minutes).toBe(60);
+  });
+
+  test('migração é interrompida com a lista de agendamentos sobrepostos já existentes', async () => {
+    const therapist = await createTherapist();
+
+    await pool.query(readMigration('down'));
+
+    const first = await insertBooking(therapist, { date: BOOKING_DATE, time: '09:00', status: 'confirmed' });
+    const second = await insertBooking(therapist, { date: BOOKING_DATE, time: '09:30' });
+
+    const [lower, higher] = [first.id, second.id].sort();
+    await expect(pool.query(readMigration())).rejects.toThrow(`${lower} x ${higher}`);
+
+    // Nenhum agendamento é cancelado pela migração
+    const { rows } = await pool.query('SELECT status FROM bookings WHERE id = $1', [second.id]);
+    expect(rows[0].status).toBe('pending');
+
+    // Resolvido o conflito, a migração é aplicada normalmente
+    await pool.query("UPDATE bookings SET status = 'cancelled' WHERE id = $1", [second.id]);
+    await pool.query(readMigration());
+  });
+});
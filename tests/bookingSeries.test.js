@@ -0,0 +1,123 @@
+// Séries de agendamentos: quem pode criar, limites de remarcação ao alterar o horário
+// e cancelamento bloqueado durante a impersonação
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createAffiliate,
+  createTherapist,
+  authHeader,
+  pool
+} = require('./helpers');
+const { createImpersonationSession } = require('../utils/sessions');
+
+// Quartas-feiras, dentro da jornada padrão (08:00-18:00)
+const START_DATE = '2027-04-07';
+
+describeWithDatabase('Séries de agendamentos', () => {
+  let app;
+  let admin;
+  let therapist;
+  let otherTherapist;
+  let affiliate;
+
+  function seriesPayload(owner, time) {
+    return {
+      therapist_id: owner.therapist.id,
+      service_id: owner.service.id,
+      client_name: 'Cliente Recorrente',
+      client_email: 'recorrente@test.lunara.local',
+      start_date: START_DATE,
+      scheduled_time: time,
+      frequency: 'weekly',
+      occurrences: 3
+    };
+  }
+
+  async function createSeries(time) {
+    const response = await request(app)
+      .post('/api/bookings/series')
+      .set(authHeader(therapist))
+      .send(seriesPayload(therapist, time));
+
+    expect(response.status).toBe(201);
+    return response.body.data;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+    therapist = await createTherapist();
+    otherTherapist = await createTherapist();
+    affiliate = await createAffiliate();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('terapeuta cria série apenas para a própria agenda', async () => {
+    const series = await createSeries('09:00');
+    expect(series.bookings).toHaveLength(3);
+
+    const response = await request(app)
+      .post('/api/bookings/series')
+      .set(authHeader(otherTherapist))
+      .send(seriesPayload(therapist, '11:00'));
+
+    expect(response.status).toBe(403);
+  });
+
+  test('afiliado não cria série para nenhum terapeuta', async () => {
+    const response = await request(app)
+      .post('/api/bookings/series')
+      .set(authHeader(affiliate))
+      .send(seriesPayload(therapist, '11:00'));
+
+    expect(response.status).toBe(403);
+  });
+
+  test('alteração de horário da série respeita o limite de remarcações', async () => {
+    const series = await createSeries('13:00');
+
+    await pool.query('UPDATE bookings SET max_reschedules = 0 WHERE series_id = $1', [series.id]);
+
+    const refused = await request(app)
+      .put(`/api/bookings/series/${series.id}`)
+      .set(authHeader(therapist))
+      .send({ scheduled_time: '14:00' });
+
+    expect(refused.status).toBe(409);
+    expect(refused.body.message).toBe('Limite de remarcações atingido');
+
+    // Quem gerencia todos os agendamentos ignora os limites
+    const allowed = await request(app)
+      .put(`/api/bookings/series/${series.id}`)
+      .set(authHeader(admin))
+      .send({ scheduled_time: '14:00' });
+
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.bookings.map(booking => booking.reschedule_count)).toEqual([1, 1, 1]);
+  });
+
+  test('cancelamento da série é bloqueado durante a impersonação', async () => {
+    const series = await createSeries('16:00');
+    const impersonation = await createImpersonationSession(
+      pool, therapist, admin.id, { get: () => null, ip: '127.0.0.1' }, 'Suporte'
+    );
+
+    const response = await request(app)
+      .put(`/api/bookings/series/${series.id}/cancel`)
+      .set({ Authorization: `Bearer ${impersonation.token}` })
+      .send({ reason: 'Teste' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('IMPERSONATION_FORBIDDEN');
+  });
+});
@@ -0,0 +1,201 @@
+// Utilitários dos testes de integração: banco de testes migrado, app Express com as
+// rotas da API e dados de exemplo (usuários, afiliados, terapeutas e agendamentos).
+//
+// O banco usa as variáveis DB_* com o nome TEST_DB_NAME (padrão lunara_afiliados_test),
+// recriado a cada arquivo de teste. Sem DB_HOST configurado, os testes são ignorados.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { Client } = require('pg');
+
+// Nunca rodar contra o banco da aplicação
+process.env.DB_NAME = process.env.TEST_DB_NAME || 'lunara_afiliados_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'lunara-test-secret';
+process.env.DATA_ENCRYPTION_KEY = process.env.DATA_ENCRYPTION_KEY || 'lunara-test-encryption-key';
+
+const { pool } = require('../config/database');
+const { createSession } = require('../utils/sessions');
+const { TWO_FACTOR_REQUIRED_ROLES } = require('../utils/twoFactor');
+const { migrate } = require('../scripts/migrate');
+
+const TEST_PASSWORD = 'Senha@123';
+const TEST_PASSWORD_HASH = bcrypt.hashSync(TEST_PASSWORD, 4);
+
+const describeWithDatabase = process.env.DB_HOST ? describe : describe.skip;
+
+if (!process.env.DB_HOST) {
+  console.warn('⚠️  DB_HOST não configurado: testes de integração ignorados');
+}
+
+function uniqueId() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+// Recriar o banco de testes e aplicar as migrações com o script de migração
+async function setupTestDatabase() {
+  const admin = new Client({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 5432,
+    user: process.env.DB_USER || 'postgres',
+    password: process.env.DB_PASSWORD,
+    database: 'postgres'
+  });
+
+  await admin.connect();
+
+  try {
+    await admin.query(`DROP DATABASE IF EXISTS "${process.env.DB_NAME}"`);
+    await admin.query(`CREATE DATABASE "${process.env.DB_NAME}"`);
+  } finally {
+    await admin.end();
+  }
+
+  await migrate(['up']);
+}
+
+async function closeTestDatabase() {
+  await pool.end();
+}
+
+// App com as rotas da API, como em server.js (sem rate limit global e sem agendador)
+function createTestApp() {
+  const express = require('express');
+  const app = express();
+
+  app.use(express.json());
+  app.use('/api/', require('../middleware/audit').auditMutations);
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/users', require('../routes/users'));
+  app.use('/api/affiliates', require('../routes/affiliates'));
+  app.use('/api/therapists', require('../routes/therapists'));
+  app.use('/api/services', require('../routes/services'));
+  app.use('/api/bookings', require('../routes/bookings'));
+  app.use('/api/commissions', require('../routes/commissions'));
+  app.use('/api/payouts', require('../routes/payouts'));
+  app.use('/api/api-keys', require('../routes/apiKeys'));
+  app.use('/api/roles', require('../routes/roles'));
+  app.use('/api/audit-logs', require('../routes/auditLogs'));
+  app.use('/api/public', require('../routes/public'));
+
+  return app;
+}
+
+// Usuário verificado com sessão aberta (token em user.token). Papéis que exigem
+// segundo fator recebem o 2FA já ativado e confirmado na sessão.
+async function createUser(role, { name } = {}) {
+  const { rows } = await pool.query(
+    `INSERT INTO users (name, email, password_hash, role, is_active, email_verified_at)
+     VALUES ($1, $2, $3, $4, true, NOW())
+     RETURNING id, name, email, role`,
+    [name || `Teste ${role}`, `${role}.${uniqueId()}@test.lunara.local`, TEST_PASSWORD_HASH, role]
+  );
+
+  const user = rows[0];
+
+  const twoFactorRequired = TWO_FACTOR_REQUIRED_ROLES.includes(role);
+
+  if (twoFactorRequired) {
+    await pool.query(
+      `INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at)
+       VALUES ($1, 'test', NOW())`,
+      [user.id]
+    );
+  }
+
+  const session = await createSession(pool, user, { get: () => null, ip: '127.0.0.1' }, {
+    twoFactorVerified: twoFactorRequired
+  });
+  user.token = session.token;
+
+  return user;
+}
+
+async function createAffiliate() {
+  const user = await createUser('affiliate');
+
+  const { rows } = await pool.query(
+    `INSERT INTO affiliates (user_id, referral_code, commission_rate)
+     VALUES ($1, $2, 10)
+     RETURNING *`,
+    [user.id, `T${uniqueId().toUpperCase()}`]
+  );
+
+  user.affiliate = rows[0];
+  return user;
+}
+
+// Terapeuta com um serviço de 60 minutos (user.therapist e user.service)
+async function createTherapist() {
+  const user = await createUser('therapist');
+
+  const { rows: therapistRows } = await pool.query(
+    `INSERT INTO therapists (user_id, specialty, commission_rate)
+     VALUES ($1, 'Terapia de teste', 30)
+     RETURNING *`,
+    [user.id]
+  );
+
+  const { rows: serviceRows } = await pool.query(
+    `INSERT INTO services (therapist_id, name, price, duration_minutes)
+     VALUES ($1, 'Sessão de teste', 200, 60)
+     RETURNING *`,
+    [therapistRows[0].id]
+  );
+
+  user.therapist = therapistRows[0];
+  user.service = serviceRows[0];
+  return user;
+}
+
+// Agendamento inserido diretamente (sem validação de agenda), com a comissão do afiliado
+async function insertBooking(therapist, { affiliate = null, date, time, status = 'pending', ...fields } = {}) {
+  const { rows } = await pool.query(
+    `INSERT INTO bookings (
+       service_id, therapist_id, affiliate_id, client_name, client_email,
+       scheduled_date, scheduled_time, total_amount, status,
+       source, client_confirmed_at, confirmation_expires_at
+     ) VALUES ($1, $2, $3, 'Cliente Teste', 'cliente@test.lunara.local', $4, $5, 200, $6, $7, $8, $9)
+     RETURNING *`,
+    [
+      therapist.service.id, therapist.therapist.id, affiliate ? affiliate.affiliate.id : null,
+      date, time, status,
+      fields.source || 'internal', fields.client_confirmed_at || null, fields.confirmation_expires_at || null
+    ]
+  );
+
+  const booking = rows[0];
+
+  if (affiliate) {
+    const { rows: commissionRows } = await pool.query(
+      `INSERT INTO commissions (affiliate_id, booking_id, amount, percentage)
+       VALUES ($1, $2, 20, 10)
+       RETURNING *`,
+      [affiliate.affiliate.id, booking.id]
+    );
+
+    booking.commission = commissionRows[0];
+  }
+
+  return booking;
+}
+
+function authHeader(user) {
+  return { Authorization: `Bearer ${user.token}` };
+}
+
+module.exports = {
+  TEST_PASSWORD,
+  describeWithDatabase,
+  uniqueId,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createAffiliate,
+  createTherapist,
+  insertBooking,
+  authHeader,
+  pool
+};
@@ -0,0 +1,98 @@
+// Proteção contra força bruta: bloqueio da conta após falhas seguidas, desbloqueio
+// pela administração e contagem zerada no login bem-sucedido
+
+// Sem atraso progressivo entre as tentativas dos testes
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_DELAY_MAX_MS = '1';
+
+const request = require('supertest');
+const {
+  TEST_PASSWORD,
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  authHeader,
+  pool
+} = require('./helpers');
+const { LOGIN_POLICY } = require('../utils/loginProtection');
+
+describeWithDatabase('Bloqueio de conta', () => {
+  let app;
+  let admin;
+
+  function login(user, password) {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password });
+  }
+
+  async function authEvents(user, eventType) {
+    const { rows } = await pool.query(
+      'SELECT * FROM auth_events WHERE user_id = $1 AND event_type = $2',
+      [user.id, eventType]
+    );
+    return rows;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('conta é bloqueada após o limite de senhas erradas, mesmo com a senha correta', async () => {
+    const user = await createUser('affiliate');
+    const statuses = [];
+
+    for (let attempt = 0; attempt < LOGIN_POLICY.maxFailures; attempt++) {
+      statuses.push((await login(user, 'SenhaErrada@1')).status);
+    }
+
+    expect(statuses).toEqual([...Array(LOGIN_POLICY.maxFailures - 1).fill(401), 423]);
+
+    const correct = await login(user, TEST_PASSWORD);
+    expect(correct.status).toBe(423);
+
+    expect(await authEvents(user, 'account_locked')).toHaveLength(1);
+  });
+
+  test('desbloqueio pela administração libera o login', async () => {
+    const user = await createUser('affiliate');
+
+    for (let attempt = 0; attempt < LOGIN_POLICY.maxFailures; attempt++) {
+      await login(user, 'SenhaErrada@1');
+    }
+
+    const unlock = await request(app)
+      .post(`/api/users/${user.id}/unlock`)
+      .set(authHeader(admin));
+
+    expect(unlock.status).toBe(200);
+    expect(await authEvents(user, 'account_unlocked')).toHaveLength(1);
+
+    const response = await login(user, TEST_PASSWORD);
+    expect(response.status).toBe(200);
+  });
+
+  test('login bem-sucedido zera as falhas anteriores', async () => {
+    const user = await createUser('therapist');
+
+    for (let attempt = 0; attempt < LOGIN_POLICY.maxFailures - 1; attempt++) {
+      await login(user, 'SenhaErrada@1');
+    }
+
+    expect((await login(user, TEST_PASSWORD)).status).toBe(200);
+    expect((await login(user, 'SenhaErrada@1')).status).toBe(401);
+
+    const { rows } = await pool.query('SELECT failed_login_attempts, locked_until FROM users WHERE id = $1', [user.id]);
+    expect(rows[0].failed_login_attempts).toBe(1);
+    expect(rows[0].locked_until).toBeNull();
+  });
+});
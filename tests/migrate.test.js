@@ -0,0 +1,75 @@
+// Script de migração: controle das versões aplicadas, reversão completa com os scripts
+// de down e dry run que não altera o banco
+
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  pool
+} = require('./helpers');
+const { migrate, loadMigrations } = require('../scripts/migrate');
+
+describeWithDatabase('Script de migração', () => {
+  const migrations = loadMigrations();
+
+  // Esquema inicial: anterior ao script, sem reversão
+  const [initial, ...reversible] = migrations;
+
+  async function appliedVersions() {
+    const { rows } = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+  }
+
+  async function tableExists(table) {
+    const { rows } = await pool.query('SELECT to_regclass($1) IS NOT NULL as exists', [table]);
+    return rows[0].exists;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('todas as migrações posteriores ao esquema inicial têm script de reversão', () => {
+    expect(reversible.filter(migration => !migration.downSql).map(migration => migration.file)).toEqual([]);
+  });
+
+  test('registra cada migração aplicada e não reaplica as já registradas', async () => {
+    expect(await appliedVersions()).toEqual(migrations.map(migration => migration.version));
+
+    await migrate(['up']);
+
+    expect(await appliedVersions()).toEqual(migrations.map(migration => migration.version));
+  });
+
+  test('reverte todas as migrações até o esquema inicial e as aplica novamente', async () => {
+    await migrate(['down', '--to', initial.version]);
+
+    expect(await appliedVersions()).toEqual([initial.version]);
+    expect(await tableExists('api_keys')).toBe(false);
+
+    await migrate(['up']);
+
+    expect(await appliedVersions()).toEqual(migrations.map(migration => migration.version));
+    expect(await tableExists('api_keys')).toBe(true);
+  });
+
+  test('dry run valida a reversão sem alterar o banco', async () => {
+    await migrate(['down', '--steps', '3', '--dry-run']);
+
+    expect(await appliedVersions()).toEqual(migrations.map(migration => migration.version));
+  });
+
+  test('reverte até a versão informada', async () => {
+    const target = migrations[migrations.length - 3].version;
+
+    await migrate(['down', '--to', target]);
+    expect((await appliedVersions()).pop()).toBe(target);
+
+    await migrate(['up']);
+    expect(await appliedVersions()).toEqual(migrations.map(migration => migration.version));
+  });
+});
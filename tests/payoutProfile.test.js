@@ -0,0 +1,91 @@
+// Dados de pagamento do afiliado: gravação criptografada, respostas mascaradas, acesso
+// restrito ao próprio afiliado e confirmação de senha que conta para o bloqueio da conta
+
+// Sem atraso progressivo entre as tentativas dos testes
+process.env.LOGIN_DELAY_BASE_MS = '1';
+process.env.LOGIN_DELAY_MAX_MS = '1';
+
+const request = require('supertest');
+const {
+  TEST_PASSWORD,
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createAffiliate,
+  authHeader,
+  pool
+} = require('./helpers');
+const { LOGIN_POLICY } = require('../utils/loginProtection');
+
+const CPF = '52998224725';
+const PIX_KEY = 'pix.teste@test.lunara.local';
+
+describeWithDatabase('Dados de pagamento do afiliado', () => {
+  let app;
+
+  function updateProfile(user, affiliate, password) {
+    return request(app)
+      .put(`/api/affiliates/${affiliate.affiliate.id}/payout-profile`)
+      .set(authHeader(user))
+      .send({
+        current_password: password,
+        holder_name: 'Titular Teste',
+        tax_id: CPF,
+        pix_key_type: 'email',
+        pix_key: PIX_KEY
+      });
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('afiliado grava os próprios dados, armazenados criptografados e devolvidos mascarados', async () => {
+    const affiliate = await createAffiliate();
+
+    const response = await updateProfile(affiliate, affiliate, TEST_PASSWORD);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.tax_id).not.toBe(CPF);
+    expect(response.body.data.pix_key).not.toBe(PIX_KEY);
+
+    const { rows } = await pool.query(
+      'SELECT * FROM affiliate_payout_profiles WHERE affiliate_id = $1',
+      [affiliate.affiliate.id]
+    );
+    expect(JSON.stringify(rows[0])).not.toContain(CPF);
+    expect(JSON.stringify(rows[0])).not.toContain(PIX_KEY);
+  });
+
+  test('afiliado não altera os dados de pagamento de outro afiliado', async () => {
+    const affiliate = await createAffiliate();
+    const other = await createAffiliate();
+
+    const response = await updateProfile(affiliate, other, TEST_PASSWORD);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('senhas erradas na confirmação bloqueiam a conta', async () => {
+    const affiliate = await createAffiliate();
+    const statuses = [];
+
+    for (let attempt = 0; attempt < LOGIN_POLICY.maxFailures; attempt++) {
+      statuses.push((await updateProfile(affiliate, affiliate, 'SenhaErrada@1')).status);
+    }
+
+    expect(statuses).toEqual([...Array(LOGIN_POLICY.maxFailures - 1).fill(401), 423]);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: affiliate.email, password: TEST_PASSWORD });
+
+    expect(login.status).toBe(423);
+  });
+});
@@ -0,0 +1,150 @@
+// Lotes de pagamento: agrupamento por afiliado com valor mínimo, exportação antes do
+// pagamento, baixa das comissões, cancelamento liberando as comissões e acesso restrito
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  createAffiliate,
+  createTherapist,
+  insertBooking,
+  authHeader,
+  pool
+} = require('./helpers');
+
+describeWithDatabase('Lotes de pagamento', () => {
+  let app;
+  let admin;
+  let therapist;
+
+  // Comissões de 20,00 liberadas para pagamento
+  async function approveCommissions(affiliate, times) {
+    const ids = [];
+
+    for (const time of times) {
+      const booking = await insertBooking(therapist, { affiliate, date: '2027-03-31', time, status: 'completed' });
+      await pool.query("UPDATE commissions SET status = 'approved' WHERE id = $1", [booking.commission.id]);
+      ids.push(booking.commission.id);
+    }
+
+    return ids;
+  }
+
+  function createBatch(body) {
+    return request(app)
+      .post('/api/payouts')
+      .set(authHeader(admin))
+      .send(body);
+  }
+
+  async function commissionRows(ids) {
+    const { rows } = await pool.query(
+      'SELECT status, batch_id FROM commissions WHERE id = ANY($1::uuid[])',
+      [ids]
+    );
+    return rows;
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    admin = await createUser('admin');
+    therapist = await createTherapist();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('lote agrupa por afiliado e deixa para depois quem não atinge o mínimo', async () => {
+    const above = await createAffiliate();
+    const below = await createAffiliate();
+    const aboveIds = await approveCommissions(above, ['08:00', '09:00']);
+    const belowIds = await approveCommissions(below, ['10:00']);
+
+    const response = await createBatch({
+      affiliate_ids: [above.affiliate.id, below.affiliate.id],
+      min_amount: 30
+    });
+
+    expect(response.status).toBe(201);
+    expect(Number(response.body.data.total_amount)).toBe(40);
+    expect(response.body.data.items.map(item => item.affiliate_id)).toEqual([above.affiliate.id]);
+    expect(response.body.data.skipped).toEqual([{ affiliate_id: below.affiliate.id, net_amount: 20 }]);
+
+    const batchId = response.body.data.id;
+    expect((await commissionRows(aboveIds)).every(row => row.batch_id === batchId)).toBe(true);
+    expect((await commissionRows(belowIds))[0].batch_id).toBeNull();
+  });
+
+  test('pagamento exige a exportação e baixa as comissões e o total do afiliado', async () => {
+    const affiliate = await createAffiliate();
+    const ids = await approveCommissions(affiliate, ['11:00']);
+
+    const created = await createBatch({ affiliate_ids: [affiliate.affiliate.id], min_amount: 0 });
+    const batchId = created.body.data.id;
+
+    const early = await request(app)
+      .post(`/api/payouts/${batchId}/pay`)
+      .set(authHeader(admin))
+      .send({ payment_reference: 'REF-1' });
+
+    expect(early.status).toBe(409);
+
+    const exported = await request(app)
+      .post(`/api/payouts/${batchId}/export?format=csv`)
+      .set(authHeader(admin));
+
+    expect(exported.status).toBe(200);
+    expect(exported.headers['content-type']).toContain('text/csv');
+    expect(exported.text).toContain(affiliate.affiliate.referral_code);
+
+    const paid = await request(app)
+      .post(`/api/payouts/${batchId}/pay`)
+      .set(authHeader(admin))
+      .send({ payment_reference: 'REF-1' });
+
+    expect(paid.status).toBe(200);
+    expect(paid.body.data.paid_commissions).toBe(1);
+    expect((await commissionRows(ids))[0].status).toBe('paid');
+
+    const { rows } = await pool.query('SELECT total_commission FROM affiliates WHERE id = $1', [affiliate.affiliate.id]);
+    expect(Number(rows[0].total_commission)).toBe(20);
+  });
+
+  test('cancelamento libera as comissões para um próximo lote', async () => {
+    const affiliate = await createAffiliate();
+    const ids = await approveCommissions(affiliate, ['12:00']);
+
+    const created = await createBatch({ affiliate_ids: [affiliate.affiliate.id], min_amount: 0 });
+
+    const cancelled = await request(app)
+      .post(`/api/payouts/${created.body.data.id}/cancel`)
+      .set(authHeader(admin));
+
+    expect(cancelled.status).toBe(200);
+    expect((await commissionRows(ids))[0].batch_id).toBeNull();
+
+    const next = await createBatch({ affiliate_ids: [affiliate.affiliate.id], min_amount: 0 });
+    expect(next.status).toBe(201);
+  });
+
+  test('lotes são restritos a quem gerencia pagamentos', async () => {
+    const affiliate = await createAffiliate();
+    const finance = await createUser('finance');
+
+    const byAffiliate = await request(app)
+      .get('/api/payouts')
+      .set(authHeader(affiliate));
+    const byFinance = await request(app)
+      .get('/api/payouts')
+      .set(authHeader(finance));
+
+    expect(byAffiliate.status).toBe(403);
+    expect(byFinance.status).toBe(200);
+  });
+});
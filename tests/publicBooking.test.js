@@ -0,0 +1,117 @@
+// Agendamento público: pedido com token de formulário de uso único, apenas para
+// terapeutas disponíveis e ativos, e confirmação com limite próprio de tentativas
+
+const crypto = require('crypto');
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createTherapist,
+  pool
+} = require('./helpers');
+const mailer = require('../utils/mailer');
+
+// Quarta-feira, dentro da jornada padrão (08:00-18:00)
+const BOOKING_DATE = '2027-03-03';
+
+// Token emitido há alguns segundos (o envio imediato é tratado como bot)
+function formToken() {
+  const payload = `${Date.now() - 10 * 1000}.${crypto.randomBytes(8).toString('hex')}`;
+  const signature = crypto.createHmac('sha256', process.env.JWT_SECRET).update(payload).digest('hex');
+  return `${payload}.${signature}`;
+}
+
+describeWithDatabase('Agendamento público', () => {
+  let app;
+  let therapist;
+  let confirmationTokens;
+
+  function requestBooking(owner, time, token = formToken()) {
+    return request(app)
+      .post('/api/public/bookings')
+      .send({
+        therapist_id: owner.therapist.id,
+        service_id: owner.service.id,
+        client_name: 'Cliente Público',
+        client_email: 'publico@test.lunara.local',
+        scheduled_date: BOOKING_DATE,
+        scheduled_time: time,
+        form_token: token
+      });
+  }
+
+  async function publicBookings(owner) {
+    const { rows } = await pool.query(
+      "SELECT * FROM bookings WHERE therapist_id = $1 AND source = 'public'",
+      [owner.therapist.id]
+    );
+    return rows;
+  }
+
+  beforeAll(async () => {
+    // O token de confirmação só existe no email enviado ao cliente
+    confirmationTokens = [];
+    jest.spyOn(mailer, 'sendBookingConfirmationRequestEmail').mockImplementation(async (booking, token) => {
+      confirmationTokens.push(token);
+    });
+
+    await setupTestDatabase();
+    app = createTestApp();
+
+    therapist = await createTherapist();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeTestDatabase();
+  });
+
+  test('pedido cria agendamento pendente de confirmação do cliente', async () => {
+    const response = await requestBooking(therapist, '09:00');
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.status).toBe('awaiting_confirmation');
+
+    const bookings = await publicBookings(therapist);
+    expect(bookings).toHaveLength(1);
+    expect(bookings[0].client_confirmed_at).toBeNull();
+  });
+
+  test('o mesmo token de formulário não cria um segundo agendamento', async () => {
+    const token = formToken();
+
+    const first = await requestBooking(therapist, '11:00', token);
+    const replayed = await requestBooking(therapist, '13:00', token);
+
+    expect(first.status).toBe(201);
+    expect(replayed.status).toBe(400);
+    expect(await publicBookings(therapist)).toHaveLength(2);
+  });
+
+  test('terapeuta indisponível ou com conta desativada não recebe agendamentos', async () => {
+    const unavailable = await createTherapist();
+    const inactive = await createTherapist();
+
+    await pool.query('UPDATE therapists SET is_available = false WHERE id = $1', [unavailable.therapist.id]);
+    await pool.query('UPDATE users SET is_active = false WHERE id = $1', [inactive.id]);
+
+    expect((await requestBooking(unavailable, '09:00')).status).toBe(404);
+    expect((await requestBooking(inactive, '09:00')).status).toBe(404);
+    expect(await publicBookings(unavailable)).toHaveLength(0);
+    expect(await publicBookings(inactive)).toHaveLength(0);
+  });
+
+  test('confirmação tem limite próprio, separado do limite de pedidos', async () => {
+    // Os cinco pedidos anteriores esgotaram o limite de agendamento
+    expect((await requestBooking(therapist, '15:00')).status).toBe(429);
+
+    const response = await request(app)
+      .post('/api/public/bookings/confirm')
+      .send({ token: confirmationTokens[0] });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.client_confirmed_at).toBeTruthy();
+  });
+});
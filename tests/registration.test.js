@@ -0,0 +1,91 @@
+// Cadastro e redefinição de senha: a resposta não revela emails cadastrados e a
+// redefinição tem limite de tentativas próprio
+
+const request = require('supertest');
+const {
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  uniqueId,
+  TEST_PASSWORD,
+  pool
+} = require('./helpers');
+const mailer = require('../utils/mailer');
+
+describeWithDatabase('Cadastro e redefinição de senha', () => {
+  let app;
+  let sentEmails;
+
+  function register(email) {
+    return request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Novo Afiliado', email, password: TEST_PASSWORD });
+  }
+
+  // Os emails são enviados depois da resposta
+  function nextEmail() {
+    return new Promise(resolve => {
+      sentEmails.push(resolve);
+    });
+  }
+
+  beforeAll(async () => {
+    sentEmails = [];
+    const deliver = async (user) => {
+      const resolve = sentEmails.shift();
+      if (resolve) resolve(user.email);
+    };
+    jest.spyOn(mailer, 'sendEmailVerificationEmail').mockImplementation(deliver);
+    jest.spyOn(mailer, 'sendRegistrationAttemptEmail').mockImplementation(deliver);
+
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await closeTestDatabase();
+  });
+
+  test('cadastro com email já cadastrado responde como um cadastro novo', async () => {
+    const existing = await createUser('affiliate');
+    const email = `novo-${uniqueId()}@test.lunara.local`;
+
+    const created = nextEmail();
+    const fresh = await register(email);
+    expect(await created).toBe(email);
+
+    const warned = nextEmail();
+    const repeated = await register(existing.email);
+    expect(await warned).toBe(existing.email);
+
+    expect(repeated.status).toBe(fresh.status);
+    expect(repeated.body).toEqual(fresh.body);
+    expect(mailer.sendRegistrationAttemptEmail).toHaveBeenCalledTimes(1);
+
+    const { rows } = await pool.query('SELECT email FROM users WHERE email = ANY($1::text[])', [[email, existing.email]]);
+    expect(rows).toHaveLength(2);
+  });
+
+  test('redefinição de senha tem limite próprio, separado dos pedidos de email', async () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'a'.repeat(64), password: TEST_PASSWORD });
+
+      expect(response.status).toBe(400);
+    }
+
+    const blocked = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: 'a'.repeat(64), password: TEST_PASSWORD });
+    const forgot = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: `ninguem-${uniqueId()}@test.lunara.local` });
+
+    expect(blocked.status).toBe(429);
+    expect(forgot.status).toBe(200);
+  });
+});
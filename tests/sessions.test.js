@@ -0,0 +1,104 @@
+// Sessões: rotação do refresh token, reuso que encerra a sessão, logout e troca de senha
+// encerrando as demais sessões e os links de redefinição pendentes
+
+const request = require('supertest');
+const {
+  TEST_PASSWORD,
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  authHeader,
+  pool
+} = require('./helpers');
+const { createAuthToken } = require('../utils/authTokens');
+
+describeWithDatabase('Sessões', () => {
+  let app;
+
+  async function login(user, password = TEST_PASSWORD) {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password });
+
+    expect(response.status).toBe(200);
+    return response.body.data;
+  }
+
+  function refresh(refreshToken) {
+    return request(app)
+      .post('/api/auth/refresh')
+      .send({ refresh_token: refreshToken });
+  }
+
+  function verify(token) {
+    return request(app)
+      .get('/api/auth/verify')
+      .set({ Authorization: `Bearer ${token}` });
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('refresh token é trocado por um novo par e não vale uma segunda vez', async () => {
+    const user = await createUser('affiliate');
+    const session = await login(user);
+
+    const rotated = await refresh(session.refresh_token);
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refresh_token).not.toBe(session.refresh_token);
+    expect((await verify(rotated.body.data.token)).status).toBe(200);
+
+    // Reuso do token já rotacionado encerra a sessão inteira
+    const reused = await refresh(session.refresh_token);
+
+    expect(reused.status).toBe(401);
+    expect((await verify(rotated.body.data.token)).status).toBe(401);
+    expect((await refresh(rotated.body.data.refresh_token)).status).toBe(401);
+  });
+
+  test('logout encerra a sessão atual', async () => {
+    const user = await createUser('therapist');
+    const session = await login(user);
+
+    const logout = await request(app)
+      .post('/api/auth/logout')
+      .set({ Authorization: `Bearer ${session.token}` });
+
+    expect(logout.status).toBe(200);
+    expect((await verify(session.token)).status).toBe(401);
+    expect((await refresh(session.refresh_token)).status).toBe(401);
+  });
+
+  test('troca de senha encerra as demais sessões e os links de redefinição pendentes', async () => {
+    const user = await createUser('affiliate');
+    const other = await login(user);
+    const resetToken = await createAuthToken(pool, user.id, 'password_reset');
+
+    const response = await request(app)
+      .put('/api/users/password')
+      .set(authHeader(user))
+      .send({ current_password: TEST_PASSWORD, new_password: 'NovaSenha@123' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revoked_sessions).toBe(1);
+
+    expect((await verify(user.token)).status).toBe(200);
+    expect((await verify(other.token)).status).toBe(401);
+
+    const reset = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: resetToken, password: 'OutraSenha@123' });
+
+    expect(reset.status).toBe(400);
+    await login(user, 'NovaSenha@123');
+  });
+});
@@ -0,0 +1,146 @@
+// Autenticação em dois fatores: sessão restrita até o cadastro, login com código TOTP,
+// reuso de códigos, códigos de recuperação e confirmação recente em ações sensíveis
+
+const request = require('supertest');
+const {
+  TEST_PASSWORD,
+  describeWithDatabase,
+  setupTestDatabase,
+  closeTestDatabase,
+  createTestApp,
+  createUser,
+  authHeader,
+  pool
+} = require('./helpers');
+const { generateTotp } = require('../utils/totp');
+const { createSession } = require('../utils/sessions');
+
+const currentStep = () => Math.floor(Date.now() / 1000 / 30);
+
+describeWithDatabase('Autenticação em dois fatores', () => {
+  let app;
+  let admin;
+  let secret;
+  let recoveryCodes;
+  let enabledStep;
+
+  function login(user) {
+    return request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: TEST_PASSWORD });
+  }
+
+  beforeAll(async () => {
+    await setupTestDatabase();
+    app = createTestApp();
+
+    // Administrador ainda sem 2FA
+    admin = await createUser('admin');
+    await pool.query('DELETE FROM user_two_factor WHERE user_id = $1', [admin.id]);
+  });
+
+  afterAll(async () => {
+    await closeTestDatabase();
+  });
+
+  test('administrador sem 2FA recebe sessão restrita ao cadastro do segundo fator', async () => {
+    const response = await login(admin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.two_factor_setup_required).toBe(true);
+
+    admin.token = response.body.data.token;
+
+    const restricted = await request(app)
+      .get('/api/users')
+      .set(authHeader(admin));
+
+    expect(restricted.status).toBe(403);
+    expect(restricted.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  test('cadastro confirmado com o primeiro código libera a sessão', async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set(authHeader(admin));
+
+    expect(setup.status).toBe(200);
+    secret = setup.body.data.secret;
+
+    const wrong = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set(authHeader(admin))
+      .send({ code: generateTotp(secret, currentStep() - 10) });
+
+    expect(wrong.status).toBe(400);
+
+    enabledStep = currentStep();
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set(authHeader(admin))
+      .send({ code: generateTotp(secret, enabledStep) });
+
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data.recovery_codes).toHaveLength(10);
+    recoveryCodes = enabled.body.data.recovery_codes;
+
+    const allowed = await request(app)
+      .get('/api/users')
+      .set(authHeader(admin));
+
+    expect(allowed.status).toBe(200);
+  });
+
+  test('login exige o código e não aceita o mesmo código duas vezes', async () => {
+    const first = await login(admin);
+
+    expect(first.status).toBe(200);
+    expect(first.body.data.two_factor_required).toBe(true);
+    expect(first.body.data.token).toBeUndefined();
+
+    // Próximo passo de tempo: o código usado no cadastro já foi consumido
+    const code = generateTotp(secret, enabledStep + 1);
+
+    const accepted = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: first.body.data.challenge_token, code });
+
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.token).toBeDefined();
+
+    const second = await login(admin);
+    const replayed = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: second.body.data.challenge_token, code });
+
+    expect(replayed.status).toBe(401);
+  });
+
+  test('código de recuperação vale uma única vez', async () => {
+    const first = await login(admin);
+    const accepted = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: first.body.data.challenge_token, recovery_code: recoveryCodes[0] });
+
+    expect(accepted.status).toBe(200);
+
+    const second = await login(admin);
+    const reused = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: second.body.data.challenge_token, recovery_code: recoveryCodes[0] });
+
+    expect(reused.status).toBe(401);
+  });
+
+  test('ações sensíveis exigem o segundo fator confirmado na sessão', async () => {
+    const session = await createSession(pool, admin, { get: () => null, ip: '127.0.0.1' });
+
+    const response = await request(app)
+      .post('/api/commissions/00000000-0000-0000-0000-000000000000/pay')
+      .set({ Authorization: `Bearer ${session.token}` })
+      .send({ payment_method: 'pix' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+  });
+});
@@ -0,0 +1,201 @@
+// Consultas do painel do próprio afiliado (/api/affiliates/me)
+
+const { maskSensitiveData } = require('./helpers');
+const { getSetting } = require('./settings');
+
+// Limite de períodos retornados na série temporal
+const MAX_SERIES_POINTS = 366;
+
+// Resumo de agendamentos, comissões e cliques no período (datas inclusivas, opcionais)
+async function getAffiliateStats(db, affiliateId, { dateFrom = null, dateTo = null } = {}) {
+  const params = [affiliateId, dateFrom, dateTo];
+  const range = (column) =>
+    `($2::date IS NULL OR ${column} >= $2::date) AND ($3::date IS NULL OR ${column} < $3::date + 1)`;
+
+  const { rows: bookingRows } = await db.query(
+    `SELECT
+       COUNT(*) as total_bookings,
+       COUNT(*) FILTER (WHERE status = 'completed') as completed_bookings,
+       COUNT(*) FILTER (WHERE status IN ('pending', 'confirmed')) as open_bookings,
+       COUNT(*) FILTER (WHERE status = 'cancelled') as cancelled_bookings,
+       COALESCE(SUM(total_amount) FILTER (WHERE status = 'completed'), 0) as total_revenue,
+       COALESCE(AVG(total_amount) FILTER (WHERE status = 'completed'), 0) as avg_booking_value,
+       COUNT(*) FILTER (WHERE referral_click_id IS NOT NULL) as click_conversions
+     FROM bookings
+     WHERE affiliate_id = $1 AND ${range('created_at')}`,
+    params
+  );
+
+  const { rows: commissionRows } = await db.query(
+    `SELECT
+       COALESCE(SUM(amount) FILTER (WHERE type = 'commission' AND status = 'pending'), 0) as commissions_pending,
+       COALESCE(SUM(amount) FILTER (WHERE type = 'commission' AND status = 'approved'), 0) as commissions_approved,
+       COALESCE(SUM(amount) FILTER (WHERE type = 'commission' AND status = 'paid'), 0) as commissions_paid,
+       COALESCE(SUM(amount) FILTER (WHERE type = 'clawback'), 0) as clawbacks,
+       COALESCE(SUM(amount) FILTER (WHERE type = 'commission' AND status <> 'cancelled' AND level > 1), 0) as override_earned
+     FROM commissions
+     WHERE affiliate_id = $1 AND ${range('created_at')}`,
+    params
+  );
+
+  const { rows: clickRows } = await db.query(
+    `SELECT
+       COUNT(*) as total_clicks,
+       COUNT(DISTINCT attribution_token) as unique_visitors
+     FROM referral_clicks
+     WHERE affiliate_id = $1 AND ${range('created_at')}`,
+    params
+  );
+
+  const stats = { ...bookingRows[0], ...commissionRows[0], ...clickRows[0] };
+  const uniqueVisitors = parseInt(stats.unique_visitors);
+
+  stats.conversion_rate = uniqueVisitors > 0
+    ? Math.round((parseInt(stats.click_conversions) / uniqueVisitors) * 10000) / 100
+    : 0;
+
+  return { date_from: dateFrom, date_to: dateTo, ...stats };
+}
+
+// Série diária ou semanal de agendamentos e comissões
+async function getAffiliateTimeSeries(db, affiliateId, { interval, dateFrom, dateTo }) {
+  const { rows } = await db.query(
+    `WITH periods AS (
+       SELECT generate_series(
+         date_trunc($4, $2::timestamp),
+         date_trunc($4, $3::timestamp),
+         ('1 ' || $4)::interval
+       ) as period
+     ),
+     booking_totals AS (
+       SELECT
+         date_trunc($4, created_at) as period,
+         COUNT(*) as bookings,
+         COUNT(*) FILTER (WHERE status = 'completed') as completed_bookings,
+         COALESCE(SUM(total_amount) FILTER (WHERE status = 'completed'), 0) as revenue
+       FROM bookings
+       WHERE affiliate_id = $1 AND created_at >= $2::date AND created_at < $3::date + 1
+       GROUP BY 1
+     ),
+     commission_totals AS (
+       SELECT
+         date_trunc($4, created_at) as period,
+         COALESCE(SUM(amount) FILTER (WHERE status <> 'cancelled'), 0) as commissions
+       FROM commissions
+       WHERE affiliate_id = $1 AND created_at >= $2::date AND created_at < $3::date + 1
+       GROUP BY 1
+     )
+     SELECT
+       p.period::date as period_start,
+       COALESCE(bt.bookings, 0) as bookings,
+       COALESCE(bt.completed_bookings, 0) as completed_bookings,
+       COALESCE(bt.revenue, 0) as revenue,
+       COALESCE(ct.commissions, 0) as commissions
+     FROM periods p
+     LEFT JOIN booking_totals bt ON bt.period = p.period
+     LEFT JOIN commission_totals ct ON ct.period = p.period
+     ORDER BY p.period ASC`,
+    [affiliateId, dateFrom, dateTo, interval]
+  );
+
+  return rows;
+}
+
+// Conversões recentes com os dados do cliente mascarados
+async function getRecentConversions(db, affiliateId, limit) {
+  const { rows } = await db.query(
+    `SELECT
+       b.id,
+       b.created_at,
+       b.scheduled_date,
+       b.status,
+       b.client_name,
+       b.client_email,
+       b.total_amount,
+       s.name as service_name,
+       COALESCE(SUM(c.amount) FILTER (WHERE c.status <> 'cancelled'), 0) as commission_amount
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     LEFT JOIN commissions c ON c.booking_id = b.id AND c.affiliate_id = $1 AND c.level = 1
+     WHERE b.affiliate_id = $1
+     GROUP BY b.id, s.name
+     ORDER BY b.created_at DESC
+     LIMIT $2`,
+    [affiliateId, limit]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    client_name: maskSensitiveData(row.client_name, 'name'),
+    client_email: maskSensitiveData(row.client_email, 'email')
+  }));
+}
+
+// Estimativa do próximo pagamento: saldo liberado fora de lotes, estornos em aberto,
+// comissões aguardando a sessão e lotes já em andamento
+async function getUpcomingPayouts(db, affiliateId) {
+  const { rows: balanceRows } = await db.query(
+    `SELECT
+       COALESCE(SUM(amount) FILTER (WHERE type = 'commission' AND status = 'approved'), 0) as approved_amount,
+       COUNT(*) FILTER (WHERE type = 'commission' AND status = 'approved') as approved_count,
+       COALESCE(SUM(amount) FILTER (WHERE type = 'clawback' AND status = 'approved'), 0) as open_clawbacks
+     FROM commissions
+     WHERE affiliate_id = $1 AND batch_id IS NULL`,
+    [affiliateId]
+  );
+
+  const { rows: pendingRows } = await db.query(
+    `SELECT
+       COALESCE(SUM(amount), 0) as pending_amount,
+       COUNT(*) as pending_count
+     FROM commissions
+     WHERE affiliate_id = $1 AND type = 'commission' AND status = 'pending'`,
+    [affiliateId]
+  );
+
+  const { rows: batchRows } = await db.query(
+    `SELECT pb.id, pb.status, pb.created_at, pb.exported_at, i.net_amount
+     FROM payout_batch_items i
+     JOIN payout_batches pb ON i.batch_id = pb.id
+     WHERE i.affiliate_id = $1 AND pb.status IN ('draft', 'exported')
+     ORDER BY pb.created_at ASC`,
+    [affiliateId]
+  );
+
+  const { rows: profileRows } = await db.query(
+    'SELECT 1 FROM affiliate_payout_profiles WHERE affiliate_id = $1',
+    [affiliateId]
+  );
+
+  const { min_amount } = await getSetting(db, 'payouts');
+  const balance = balanceRows[0];
+  const netAmount = Math.round(
+    (parseFloat(balance.approved_amount) + parseFloat(balance.open_clawbacks)) * 100
+  ) / 100;
+
+  return {
+    available: {
+      approved_amount: balance.approved_amount,
+      approved_count: parseInt(balance.approved_count),
+      open_clawbacks: balance.open_clawbacks,
+      net_amount: netAmount
+    },
+    awaiting_sessions: {
+      pending_amount: pendingRows[0].pending_amount,
+      pending_count: parseInt(pendingRows[0].pending_count)
+    },
+    in_progress_batches: batchRows,
+    min_payout_amount: min_amount,
+    eligible_for_next_batch: netAmount > 0 && netAmount >= min_amount,
+    remaining_to_minimum: Math.max(Math.round((min_amount - netAmount) * 100) / 100, 0),
+    has_payout_profile: profileRows.length > 0
+  };
+}
+
+module.exports = {
+  MAX_SERIES_POINTS,
+  getAffiliateStats,
+  getAffiliateTimeSeries,
+  getRecentConversions,
+  getUpcomingPayouts
+};
@@ -0,0 +1,131 @@
+// Chaves de API para integrações: emissão, autenticação, rastreio de uso e limite por chave
+
+const { generateSecureToken, hashToken } = require('./helpers');
+
+const API_KEY_PREFIX = 'lnr_';
+
+// Escopos que podem ser concedidos a uma chave
+const API_KEY_SCOPES = [
+  'bookings:read',
+  'bookings:write',
+  'commissions:read',
+  'affiliates:read'
+];
+
+// Permissões concedidas por cada escopo, verificadas como as de um papel
+// (requirePermission e regras de posse). Criar agendamentos não exige permissão do papel.
+const API_KEY_SCOPE_PERMISSIONS = {
+  'bookings:read': ['bookings.view'],
+  'bookings:write': [],
+  'commissions:read': ['commissions.view'],
+  'affiliates:read': ['affiliates.view']
+};
+
+// Campos seguros para listagem (sem o hash)
+const API_KEY_FIELDS = `id, name, key_prefix, scopes, rate_limit_per_minute, expires_at,
+  last_used_at, last_used_ip, revoked_at, revoked_by, created_by, created_at, updated_at`;
+
+function isApiKey(value) {
+  return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+}
+
+function getScopePermissions(scopes) {
+  return [...new Set(scopes.flatMap((scope) => API_KEY_SCOPE_PERMISSIONS[scope] || []))];
+}
+
+// Chave enviada no header X-API-Key ou como Bearer
+function getRequestApiKey(req) {
+  const headerKey = req.get('x-api-key');
+  if (headerKey) {
+    return headerKey.trim();
+  }
+
+  const authHeader = req.get('authorization');
+  const token = authHeader && authHeader.split(' ')[1];
+
+  return isApiKey(token) ? token : null;
+}
+
+// Criar chave; o valor completo só é devolvido aqui
+async function createApiKey(db, { name, scopes, rateLimitPerMinute, expiresAt, userId }) {
+  const key = `${API_KEY_PREFIX}${generateSecureToken(24)}`;
+
+  const { rows } = await db.query(
+    `INSERT INTO api_keys (
+       name, key_prefix, key_hash, scopes, rate_limit_per_minute, expires_at, created_by, created_at
+     ) VALUES ($1, $2, $3, $4, COALESCE($5, 60), $6, $7, NOW())
+     RETURNING ${API_KEY_FIELDS}`,
+    [name, key.substring(0, 12), hashToken(key), scopes, rateLimitPerMinute || null, expiresAt || null, userId]
+  );
+
+  return { ...rows[0], key };
+}
+
+// Chave ativa (não revogada nem expirada) correspondente ao valor informado
+async function findActiveApiKey(db, key) {
+  const { rows } = await db.query(
+    `SELECT id, name, scopes, rate_limit_per_minute, created_by
+     FROM api_keys
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     AND (expires_at IS NULL OR expires_at > NOW())`,
+    [hashToken(key)]
+  );
+
+  return rows[0] || null;
+}
+
+// Registrar uso (no máximo uma escrita por minuto por chave)
+async function touchApiKey(db, keyId, ipAddress) {
+  await db.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [keyId, ipAddress || null]
+  );
+}
+
+async function revokeApiKey(db, keyId, userId) {
+  const { rows } = await db.query(
+    `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${API_KEY_FIELDS}`,
+    [keyId, userId]
+  );
+
+  return rows[0] || null;
+}
+
+// Janela fixa de um minuto por chave, em memória (como o express-rate-limit)
+const usageWindows = new Map();
+
+function consumeApiKeyRateLimit(apiKey, now = Date.now()) {
+  const windowStart = now - (now % 60000);
+  let usage = usageWindows.get(apiKey.id);
+
+  if (!usage || usage.windowStart !== windowStart) {
+    usage = { windowStart, count: 0 };
+    usageWindows.set(apiKey.id, usage);
+  }
+
+  usage.count++;
+
+  return {
+    allowed: usage.count <= apiKey.rate_limit_per_minute,
+    limit: apiKey.rate_limit_per_minute,
+    remaining: Math.max(apiKey.rate_limit_per_minute - usage.count, 0),
+    resetAt: windowStart + 60000
+  };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_SCOPE_PERMISSIONS,
+  API_KEY_FIELDS,
+  isApiKey,
+  getScopePermissions,
+  getRequestApiKey,
+  createApiKey,
+  findActiveApiKey,
+  touchApiKey,
+  revokeApiKey,
+  consumeApiKeyRateLimit
+};
@@ -0,0 +1,74 @@
+// Atribuição de agendamentos a afiliados (código digitado ou clique em link de indicação)
+
+const { getSetting } = require('./settings');
+
+// Cookie com o token de atribuição do visitante
+const ATTRIBUTION_COOKIE = 'lunara_attribution';
+
+// Ler um cookie do cabeçalho da requisição
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+
+  for (const part of header.split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+}
+
+// Token de atribuição enviado no corpo (landing pages em outro domínio) ou em cookie
+function getAttributionToken(req) {
+  return req.body.attribution_token || getCookie(req, ATTRIBUTION_COOKIE);
+}
+
+// Resolver o afiliado do agendamento. O código digitado tem prioridade;
+// sem código, usa o primeiro ou último clique do visitante dentro da janela.
+// Afiliados desativados não recebem atribuição por nenhum dos dois caminhos.
+async function resolveAttribution(client, { affiliateCode, attributionToken }) {
+  if (affiliateCode) {
+    const { rows } = await client.query(
+      'SELECT id FROM affiliates WHERE referral_code = $1 AND is_active = true',
+      [affiliateCode]
+    );
+
+    if (rows.length > 0) {
+      return { affiliate_id: rows[0].id, referral_click_id: null };
+    }
+  }
+
+  if (attributionToken) {
+    const { model, window_days } = await getSetting(client, 'attribution');
+    const order = model === 'first_click' ? 'ASC' : 'DESC';
+
+    const { rows } = await client.query(
+      `SELECT rc.id, rc.affiliate_id
+       FROM referral_clicks rc
+       JOIN affiliates a ON rc.affiliate_id = a.id
+       WHERE rc.attribution_token = $1
+       AND rc.created_at >= NOW() - make_interval(days => $2)
+       AND a.is_active = true
+       ORDER BY rc.created_at ${order}
+       LIMIT 1`,
+      [attributionToken, window_days]
+    );
+
+    if (rows.length > 0) {
+      return { affiliate_id: rows[0].affiliate_id, referral_click_id: rows[0].id };
+    }
+  }
+
+  return { affiliate_id: null, referral_click_id: null };
+}
+
+module.exports = {
+  ATTRIBUTION_COOKIE,
+  getCookie,
+  getAttributionToken,
+  resolveAttribution
+};
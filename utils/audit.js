@@ -0,0 +1,210 @@
+// Log de auditoria somente inserção, encadeado por hash (SHA-256)
+
+const crypto = require('crypto');
+const { getClientInfo } = require('./sessions');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Campos do corpo da requisição que não vão para o log
+const REDACTED_FIELDS = /password|token|secret|recovery_code|^code$|pix_key|tax_id|bank_account|bank_branch/i;
+
+const AUDIT_CSV_HEADER = [
+  'id', 'data', 'autor', 'tipo_autor', 'impersonado_por', 'acao', 'entidade', 'entidade_id',
+  'alteracoes', 'ip', 'hash'
+];
+
+// Datas e objetos convertidos para o mesmo formato que volta do JSONB
+function toPlainJson(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// JSON com chaves ordenadas (o JSONB não preserva a ordem original)
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeAuditHash(entry) {
+  const content = canonicalJson({
+    prev_hash: entry.prev_hash || null,
+    created_at: new Date(entry.created_at).toISOString(),
+    actor_id: entry.actor_id || null,
+    actor_type: entry.actor_type,
+    impersonator_id: entry.impersonator_id || null,
+    action: entry.action,
+    entity_type: entry.entity_type || null,
+    entity_id: entry.entity_id || null,
+    changes: entry.changes || null,
+    metadata: entry.metadata || null,
+    ip_address: entry.ip_address || null,
+    user_agent: entry.user_agent || null
+  });
+
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Campos alterados entre o estado anterior e o novo: { campo: { from, to } }
+function diffChanges(before, after) {
+  const previous = toPlainJson(before) || {};
+  const current = toPlainJson(after) || {};
+  const changes = {};
+
+  for (const key of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+    if (key === 'updated_at') continue;
+
+    if (canonicalJson(previous[key]) !== canonicalJson(current[key])) {
+      changes[key] = {
+        from: previous[key] === undefined ? null : previous[key],
+        to: current[key] === undefined ? null : current[key]
+      };
+    }
+  }
+
+  return changes;
+}
+
+function redactBody(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return null;
+  }
+
+  const redacted = {};
+
+  for (const [key, value] of Object.entries(body)) {
+    redacted[key] = REDACTED_FIELDS.test(key) ? '[REDACTED]' : value;
+  }
+
+  return Object.keys(redacted).length > 0 ? redacted : null;
+}
+
+// Gravar entrada; o lock serializa o encadeamento entre requisições concorrentes
+async function appendAuditLog(client, entry) {
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('audit_logs'))");
+
+  const { rows: lastRows } = await client.query(
+    'SELECT hash FROM audit_logs ORDER BY id DESC LIMIT 1'
+  );
+
+  const record = {
+    ...entry,
+    changes: toPlainJson(entry.changes),
+    metadata: toPlainJson(entry.metadata),
+    prev_hash: lastRows.length > 0 ? lastRows[0].hash : null,
+    created_at: new Date()
+  };
+
+  record.hash = computeAuditHash(record);
+
+  await client.query(
+    `INSERT INTO audit_logs (
+       actor_id, actor_type, impersonator_id, action, entity_type, entity_id,
+       changes, metadata, ip_address, user_agent, prev_hash, hash, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
+    [
+      record.actor_id || null,
+      record.actor_type,
+      record.impersonator_id || null,
+      record.action,
+      record.entity_type || null,
+      record.entity_id || null,
+      record.changes ? JSON.stringify(record.changes) : null,
+      record.metadata ? JSON.stringify(record.metadata) : null,
+      record.ip_address || null,
+      record.user_agent || null,
+      record.prev_hash,
+      record.hash,
+      record.created_at
+    ]
+  );
+
+  return record;
+}
+
+// Gravar a entrada da requisição atual (ação, entidade e estado antes/depois) na
+// transação da rota: a alteração e o registro são confirmados ou desfeitos juntos.
+// auditMutations não grava outra entrada para a mesma requisição.
+async function recordAudit(client, req, res, { action, entityType, entityId, before, after, status }) {
+  res.locals.audit = {
+    action,
+    entity_type: entityType,
+    entity_id: entityId ? String(entityId) : null,
+    changes: before !== undefined || after !== undefined ? diffChanges(before, after) : null,
+    status
+  };
+
+  const record = await appendAuditLog(client, buildRequestEntry(req, res));
+  res.locals.audit.recorded = true;
+
+  return record;
+}
+
+// Montar a entrada a partir da requisição concluída
+function buildRequestEntry(req, res) {
+  const audit = res.locals.audit || {};
+  const route = req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0];
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  return {
+    actor_id: req.user.api_key_id || req.user.id,
+    actor_type: req.user.api_key_id ? 'api_key' : 'user',
+    impersonator_id: req.user.impersonated_by || null,
+    action: audit.action || `${req.method} ${route}`,
+    entity_type: audit.entity_type || null,
+    entity_id: audit.entity_id || (req.params && req.params.id) || null,
+    changes: audit.changes || null,
+    metadata: {
+      method: req.method,
+      route,
+      status: audit.status || res.statusCode,
+      body: redactBody(req.body)
+    },
+    ip_address: ipAddress,
+    user_agent: userAgent
+  };
+}
+
+// Conferir a cadeia inteira (em blocos); retorna a primeira entrada adulterada, se houver
+async function verifyAuditChain(db, batchSize = 1000) {
+  let prevHash = null;
+  let lastId = 0;
+  let checked = 0;
+
+  for (;;) {
+    const { rows } = await db.query(
+      'SELECT * FROM audit_logs WHERE id > $1 ORDER BY id ASC LIMIT $2',
+      [lastId, batchSize]
+    );
+
+    for (const row of rows) {
+      if ((row.prev_hash || null) !== prevHash || computeAuditHash(row) !== row.hash) {
+        return { valid: false, checked, broken_at: row.id };
+      }
+
+      prevHash = row.hash;
+      lastId = row.id;
+      checked++;
+    }
+
+    if (rows.length < batchSize) {
+      return { valid: true, checked, broken_at: null };
+    }
+  }
+}
+
+module.exports = {
+  MUTATING_METHODS,
+  AUDIT_CSV_HEADER,
+  computeAuditHash,
+  diffChanges,
+  appendAuditLog,
+  recordAudit,
+  buildRequestEntry,
+  verifyAuditChain
+};
@@ -0,0 +1,53 @@
+// Tokens de uso único enviados por email (redefinição de senha, verificação de email)
+
+const { generateSecureToken, hashToken } = require('./helpers');
+
+// Validade dos tokens, em minutos
+const AUTH_TOKEN_TTL_MINUTES = {
+  password_reset: parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 60,
+  email_verification: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_MINUTES) || 24 * 60
+};
+
+// Invalidar os tokens pendentes do usuário do tipo informado
+async function invalidateAuthTokens(db, userId, type) {
+  await db.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND type = $2 AND used_at IS NULL`,
+    [userId, type]
+  );
+}
+
+// Gerar token para o usuário, invalidando os anteriores do mesmo tipo.
+// Retorna o token em texto puro (só existe no email enviado).
+async function createAuthToken(db, userId, type) {
+  const token = generateSecureToken();
+
+  await invalidateAuthTokens(db, userId, type);
+
+  await db.query(
+    `INSERT INTO auth_tokens (user_id, type, token_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), NOW())`,
+    [userId, type, hashToken(token), AUTH_TOKEN_TTL_MINUTES[type]]
+  );
+
+  return token;
+}
+
+// Consumir token válido (não usado e não expirado). Retorna o user_id ou null.
+async function consumeAuthToken(db, token, type) {
+  const { rows } = await db.query(
+    `UPDATE auth_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), type]
+  );
+
+  return rows.length > 0 ? rows[0].user_id : null;
+}
+
+module.exports = {
+  AUTH_TOKEN_TTL_MINUTES,
+  invalidateAuthTokens,
+  createAuthToken,
+  consumeAuthToken
+};
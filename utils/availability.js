@@ -0,0 +1,279 @@
+// Cálculo de disponibilidade dos terapeutas a partir da agenda semanal e exceções
+
+const { createHttpError } = require('./helpers');
+const { reverseBookingCommissions } = require('./commissions');
+
+// Restrição de exclusão que impede agendamentos sobrepostos no banco
+const BOOKING_OVERLAP_CONSTRAINT = 'bookings_no_overlap';
+
+// Jornada usada quando o terapeuta ainda não configurou a agenda semanal
+const DEFAULT_WORKING_HOURS = [{ start_time: '08:00', end_time: '18:00' }];
+
+// Intervalo entre os horários de início oferecidos
+const SLOT_STEP_MINUTES = 30;
+
+// Converter 'HH:MM' ou 'HH:MM:SS' em minutos desde 00:00
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Converter minutos desde 00:00 em 'HH:MM'
+function minutesToTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+}
+
+// Unir intervalos sobrepostos ou contíguos
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+
+  return merged;
+}
+
+// Remover um bloqueio de uma lista de intervalos
+function subtractInterval(intervals, block) {
+  const result = [];
+
+  for (const interval of intervals) {
+    if (block.end <= interval.start || block.start >= interval.end) {
+      result.push(interval);
+      continue;
+    }
+
+    if (block.start > interval.start) {
+      result.push({ start: interval.start, end: block.start });
+    }
+
+    if (block.end < interval.end) {
+      result.push({ start: block.end, end: interval.end });
+    }
+  }
+
+  return result;
+}
+
+function toInterval(row) {
+  return { start: timeToMinutes(row.start_time), end: timeToMinutes(row.end_time) };
+}
+
+// Intervalos de atendimento (em minutos) do terapeuta em uma data
+async function getWorkingIntervals(db, therapistId, date) {
+  const { rows: exceptions } = await db.query(
+    `SELECT type, start_time, end_time
+     FROM therapist_schedule_exceptions
+     WHERE therapist_id = $1
+     AND $2::date BETWEEN start_date AND end_date`,
+    [therapistId, date]
+  );
+
+  // Bloqueio de dia inteiro (férias, feriado)
+  if (exceptions.some(e => e.type === 'unavailable' && !e.start_time)) {
+    return [];
+  }
+
+  const { rows: scheduleRows } = await db.query(
+    `SELECT weekday, start_time, end_time
+     FROM therapist_schedules
+     WHERE therapist_id = $1`,
+    [therapistId]
+  );
+
+  const { rows: dateRows } = await db.query(
+    'SELECT EXTRACT(DOW FROM $1::date)::int as weekday',
+    [date]
+  );
+  const weekday = dateRows[0].weekday;
+
+  const weekly = scheduleRows.length > 0
+    ? scheduleRows.filter(row => row.weekday === weekday)
+    : DEFAULT_WORKING_HOURS;
+
+  let intervals = mergeIntervals([
+    ...weekly.map(toInterval),
+    ...exceptions.filter(e => e.type === 'available').map(toInterval)
+  ]);
+
+  for (const block of exceptions.filter(e => e.type === 'unavailable')) {
+    intervals = subtractInterval(intervals, toInterval(block));
+  }
+
+  return intervals;
+}
+
+// Intervalos ocupados (em minutos, incluindo buffers) pelos agendamentos ativos da data
+async function getBusyIntervals(db, therapistId, date, excludeBookingId = null) {
+  const { rows } = await db.query(
+    `SELECT 
+       b.id,
+       b.scheduled_time,
+       COALESCE(s.duration_minutes, 60) as duration_minutes,
+       COALESCE(s.buffer_before_minutes, 0) as buffer_before_minutes,
+       COALESCE(s.buffer_after_minutes, 0) as buffer_after_minutes
+     FROM bookings b
+     LEFT JOIN services s ON b.service_id = s.id
+     WHERE b.therapist_id = $1 
+     AND b.scheduled_date = $2 
+     AND b.status NOT IN ('cancelled', 'completed')
+     AND NOT (b.client_confirmed_at IS NULL AND b.confirmation_expires_at < NOW())
+     AND ($3::uuid IS NULL OR b.id <> $3::uuid)`,
+    [therapistId, date, excludeBookingId]
+  );
+
+  return rows.map(row => {
+    const start = timeToMinutes(row.scheduled_time);
+    return {
+      booking_id: row.id,
+      scheduled_time: row.scheduled_time,
+      start: start - row.buffer_before_minutes,
+      end: start + row.duration_minutes + row.buffer_after_minutes
+    };
+  });
+}
+
+// Intervalo ocupado por uma sessão do serviço iniciando em `start`
+function getSessionBlock(service, start) {
+  return {
+    start: start - (service.buffer_before_minutes || 0),
+    end: start + service.duration_minutes + (service.buffer_after_minutes || 0)
+  };
+}
+
+// Verificar se um intervalo conflita com algum intervalo ocupado
+function overlapsAny(intervals, block) {
+  return intervals.some(interval => block.start < interval.end && block.end > interval.start);
+}
+
+// Horários de início em que a sessão inteira cabe na agenda sem conflitos
+function computeAvailableSlots(workingIntervals, busyIntervals, service) {
+  const slots = [];
+
+  for (const interval of workingIntervals) {
+    for (let start = interval.start; start + service.duration_minutes <= interval.end; start += SLOT_STEP_MINUTES) {
+      if (!overlapsAny(busyIntervals, getSessionBlock(service, start))) {
+        slots.push(minutesToTime(start));
+      }
+    }
+  }
+
+  return slots;
+}
+
+// Verificar se [start, end) cabe inteiramente em um dos intervalos de atendimento
+function fitsWorkingIntervals(intervals, start, end) {
+  return intervals.some(interval => start >= interval.start && end <= interval.end);
+}
+
+// Disponibilidade do terapeuta em uma data para o serviço informado
+// (60 min sem buffers quando o serviço não é informado)
+async function getAvailability(db, therapistId, date, serviceId = null) {
+  let service = { duration_minutes: 60, buffer_before_minutes: 0, buffer_after_minutes: 0 };
+
+  if (serviceId) {
+    const { rows } = await db.query(
+      `SELECT id, name, duration_minutes, buffer_before_minutes, buffer_after_minutes
+       FROM services 
+       WHERE id = $1 AND therapist_id = $2 AND is_active = true`,
+      [serviceId, therapistId]
+    );
+
+    if (rows.length === 0) {
+      throw createHttpError(404, 'Serviço não encontrado ou inativo');
+    }
+
+    service = rows[0];
+  }
+
+  const workingIntervals = await getWorkingIntervals(db, therapistId, date);
+  const busyIntervals = await getBusyIntervals(db, therapistId, date);
+
+  return {
+    date,
+    service_id: serviceId || null,
+    duration_minutes: service.duration_minutes,
+    working_hours: workingIntervals.map(interval => ({
+      start_time: minutesToTime(interval.start),
+      end_time: minutesToTime(interval.end)
+    })),
+    available_slots: computeAvailableSlots(workingIntervals, busyIntervals, service),
+    busy_slots: busyIntervals.map(slot => slot.scheduled_time)
+  };
+}
+
+// Cancelar agendamentos públicos não confirmados pelo cliente dentro do prazo,
+// liberando o horário (inclusive para a restrição de sobreposição do banco)
+async function expireUnconfirmedBookings(client, therapistId) {
+  const { rows } = await client.query(
+    `UPDATE bookings 
+     SET status = 'cancelled',
+         payment_status = 'cancelled',
+         cancellation_reason = 'Confirmação do cliente expirada',
+         updated_at = NOW()
+     WHERE therapist_id = $1
+     AND status = 'pending'
+     AND client_confirmed_at IS NULL
+     AND confirmation_expires_at < NOW()
+     RETURNING id`,
+    [therapistId]
+  );
+
+  for (const row of rows) {
+    await reverseBookingCommissions(client, row.id, 'Confirmação do cliente expirada');
+  }
+
+  return rows.length;
+}
+
+// Validar se a sessão do serviço cabe na agenda e não conflita com outros agendamentos.
+// Antes, expira os pedidos públicos vencidos do terapeuta, que as listagens de horários
+// já mostram como livres mas que ainda contam para a restrição de sobreposição.
+async function assertSlotAvailable(db, therapistId, service, date, time, excludeBookingId = null) {
+  await expireUnconfirmedBookings(db, therapistId);
+
+  const workingIntervals = await getWorkingIntervals(db, therapistId, date);
+  const startMinutes = timeToMinutes(time);
+
+  if (!fitsWorkingIntervals(workingIntervals, startMinutes, startMinutes + service.duration_minutes)) {
+    throw createHttpError(409, 'Horário fora da agenda do terapeuta');
+  }
+
+  const busyIntervals = await getBusyIntervals(db, therapistId, date, excludeBookingId);
+
+  if (overlapsAny(busyIntervals, getSessionBlock(service, startMinutes))) {
+    throw createHttpError(409, 'Horário não disponível');
+  }
+}
+
+// Verificar se o erro do banco é uma violação da restrição de sobreposição
+function isBookingOverlapError(error) {
+  return error.code === '23P01' && error.constraint === BOOKING_OVERLAP_CONSTRAINT;
+}
+
+module.exports = {
+  SLOT_STEP_MINUTES,
+  timeToMinutes,
+  minutesToTime,
+  mergeIntervals,
+  subtractInterval,
+  getWorkingIntervals,
+  getBusyIntervals,
+  getSessionBlock,
+  overlapsAny,
+  computeAvailableSlots,
+  fitsWorkingIntervals,
+  getAvailability,
+  expireUnconfirmedBookings,
+  assertSlotAvailable,
+  isBookingOverlapError
+};
@@ -0,0 +1,126 @@
+// Criação de agendamentos compartilhada entre agendamentos avulsos e séries
+
+const { createHttpError } = require('./helpers');
+const { assertSlotAvailable } = require('./availability');
+const { createBookingCommissions } = require('./commissions');
+
+// Limite de ocorrências geradas por série
+const MAX_SERIES_OCCURRENCES = 52;
+
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+// Data ('YYYY-MM-DD') da ocorrência `index` (0 = primeira) da recorrência.
+// Retorna null quando o dia não existe no mês (ex.: 31 em meses de 30 dias).
+function getOccurrenceDate(startDate, frequency, index) {
+  const [year, month, day] = startDate.slice(0, 10).split('-').map(Number);
+
+  let date;
+  if (frequency === 'monthly') {
+    date = new Date(Date.UTC(year, month - 1 + index, day));
+    if (date.getUTCDate() !== day) {
+      return null;
+    }
+  } else {
+    date = new Date(Date.UTC(year, month - 1, day + index * FREQUENCY_DAYS[frequency]));
+  }
+
+  return date.toISOString().slice(0, 10);
+}
+
+// Gerar as datas de uma série a partir da regra de recorrência
+function generateOccurrenceDates({ start_date, frequency, occurrences, until_date }) {
+  const limit = Math.min(occurrences || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+  const until = until_date ? until_date.slice(0, 10) : null;
+  const dates = [];
+
+  for (let index = 0; dates.length < limit && index < MAX_SERIES_OCCURRENCES * 2; index++) {
+    const date = getOccurrenceDate(start_date, frequency, index);
+
+    if (!date) {
+      continue;
+    }
+
+    if (until && date > until) {
+      break;
+    }
+
+    dates.push(date);
+  }
+
+  return dates;
+}
+
+// Buscar serviço ativo do terapeuta
+async function getActiveService(client, serviceId, therapistId) {
+  const { rows } = await client.query(
+    'SELECT * FROM services WHERE id = $1 AND therapist_id = $2 AND is_active = true',
+    [serviceId, therapistId]
+  );
+
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Serviço não encontrado ou inativo');
+  }
+
+  return rows[0];
+}
+
+// Validar horário, criar agendamento pendente e as comissões dos afiliados.
+// Deve ser executada dentro de uma transação (client do pool).
+async function createBooking(client, service, data) {
+  await assertSlotAvailable(client, data.therapist_id, service, data.scheduled_date, data.scheduled_time);
+
+  const { rows } = await client.query(
+    `INSERT INTO bookings (
+       service_id, therapist_id, affiliate_id,
+       client_name, client_email, client_phone,
+       scheduled_date, scheduled_time, notes,
+       total_amount, series_id, series_index,
+       source, confirmation_token_hash, confirmation_expires_at,
+       referral_click_id, status, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'pending', NOW())
+     RETURNING *`,
+    [
+      service.id, data.therapist_id, data.affiliate_id || null,
+      data.client_name, data.client_email, data.client_phone,
+      data.scheduled_date, data.scheduled_time, data.notes,
+      service.price, data.series_id || null, data.series_index || null,
+      data.source || 'internal', data.confirmation_token_hash || null,
+      data.confirmation_expires_at || null,
+      data.referral_click_id || null
+    ]
+  );
+
+  const booking = rows[0];
+  await createBookingCommissions(client, booking);
+
+  return booking;
+}
+
+// Limites de remarcação do agendamento: número máximo de remarcações e antecedência mínima.
+// Deve ser executada na transação que trava o agendamento.
+async function assertRescheduleAllowed(client, booking) {
+  if (booking.reschedule_count >= booking.max_reschedules) {
+    throw createHttpError(409, 'Limite de remarcações atingido');
+  }
+
+  const { rows } = await client.query(
+    `SELECT (scheduled_date + scheduled_time) < NOW() + make_interval(hours => reschedule_min_notice_hours) as within_notice
+     FROM bookings WHERE id = $1`,
+    [booking.id]
+  );
+
+  if (rows[0].within_notice) {
+    throw createHttpError(409, `Remarcações exigem antecedência mínima de ${booking.reschedule_min_notice_hours} horas`);
+  }
+}
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  generateOccurrenceDates,
+  getActiveService,
+  createBooking,
+  assertRescheduleAllowed
+};
@@ -0,0 +1,223 @@
+// Regras do ciclo de vida das comissões vinculadas aos agendamentos
+
+const { getSetting } = require('./settings');
+
+// Limite de níveis da rede (protege contra ciclos na hierarquia)
+const MAX_COMMISSION_LEVELS = 5;
+
+// Regra de comissão aplicável à venda direta do agendamento.
+// Precedência: priority (maior primeiro), depois a regra mais específica
+// (afiliado > serviço > terapeuta > período > primeiro agendamento), depois a mais recente.
+async function findApplicableRule(client, booking) {
+  const { rows } = await client.query(
+    `SELECT cr.*
+     FROM commission_rules cr
+     WHERE cr.is_active = true
+     AND (cr.service_id IS NULL OR cr.service_id = $1)
+     AND (cr.therapist_id IS NULL OR cr.therapist_id = $2)
+     AND (cr.affiliate_id IS NULL OR cr.affiliate_id = $3)
+     AND (cr.starts_at IS NULL OR cr.starts_at <= CURRENT_DATE)
+     AND (cr.ends_at IS NULL OR cr.ends_at >= CURRENT_DATE)
+     AND (
+       cr.first_booking_only = false
+       OR NOT EXISTS (
+         SELECT 1 FROM bookings b
+         WHERE LOWER(b.client_email) = LOWER($4)
+         AND b.id <> $5
+         AND b.status <> 'cancelled'
+       )
+     )
+     ORDER BY 
+       cr.priority DESC,
+       (CASE WHEN cr.affiliate_id IS NOT NULL THEN 16 ELSE 0 END
+        + CASE WHEN cr.service_id IS NOT NULL THEN 8 ELSE 0 END
+        + CASE WHEN cr.therapist_id IS NOT NULL THEN 4 ELSE 0 END
+        + CASE WHEN cr.starts_at IS NOT NULL OR cr.ends_at IS NOT NULL THEN 2 ELSE 0 END
+        + CASE WHEN cr.first_booking_only THEN 1 ELSE 0 END) DESC,
+       cr.created_at DESC
+     LIMIT 1`,
+    [booking.service_id, booking.therapist_id, booking.affiliate_id, booking.client_email, booking.id]
+  );
+
+  return rows[0] || null;
+}
+
+// Gera as comissões pendentes do agendamento: a do afiliado que vendeu (nível 1)
+// e os overrides dos recrutadores acima dele, conforme os percentuais por nível.
+async function createBookingCommissions(client, booking) {
+  if (!booking.affiliate_id) {
+    return [];
+  }
+
+  const { rows: chain } = await client.query(
+    `WITH RECURSIVE upline AS (
+       SELECT id, parent_affiliate_id, commission_rate, is_active, 1 as level
+       FROM affiliates WHERE id = $1
+       UNION ALL
+       SELECT a.id, a.parent_affiliate_id, a.commission_rate, a.is_active, u.level + 1
+       FROM affiliates a
+       JOIN upline u ON a.id = u.parent_affiliate_id
+       WHERE u.level < $2
+     )
+     SELECT * FROM upline ORDER BY level`,
+    [booking.affiliate_id, MAX_COMMISSION_LEVELS]
+  );
+
+  if (chain.length === 0) {
+    return [];
+  }
+
+  const { override_rates } = await getSetting(client, 'commission_levels');
+  const commissions = [];
+
+  for (const beneficiary of chain) {
+    let rate;
+    let amount;
+    let ruleId = null;
+
+    if (beneficiary.level === 1) {
+      // Venda direta: regra de comissão aplicável ou taxa do afiliado
+      const rule = await findApplicableRule(client, booking);
+      ruleId = rule ? rule.id : null;
+
+      if (rule && rule.type === 'fixed') {
+        amount = parseFloat(rule.value);
+        rate = booking.total_amount > 0
+          ? Math.min(Math.round((amount / booking.total_amount) * 10000) / 100, 999.99)
+          : 0;
+      } else {
+        rate = parseFloat(rule ? rule.value : beneficiary.commission_rate);
+        amount = Math.round(booking.total_amount * rate) / 100;
+      }
+    } else {
+      rate = parseFloat(override_rates[beneficiary.level - 2] || 0);
+      amount = Math.round(booking.total_amount * rate) / 100;
+    }
+
+    // Recrutadores inativos ou níveis sem override não recebem comissão
+    if (amount <= 0 || (beneficiary.level > 1 && !beneficiary.is_active)) {
+      continue;
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO commissions (
+         affiliate_id, booking_id, amount, percentage, level, source_affiliate_id,
+         commission_rule_id, status, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending', NOW())
+       RETURNING *`,
+      [beneficiary.id, booking.id, amount, rate, beneficiary.level, booking.affiliate_id, ruleId]
+    );
+
+    commissions.push(rows[0]);
+  }
+
+  return commissions;
+}
+
+// Cancela comissões não pagas e estorna as já pagas de um agendamento.
+// Deve ser executada dentro de uma transação (client do pool).
+async function reverseBookingCommissions(client, bookingId, reason) {
+  const { rows: cancelled } = await client.query(
+    `UPDATE commissions 
+     SET status = 'cancelled',
+         notes = COALESCE($2, notes),
+         updated_at = NOW()
+     WHERE booking_id = $1 
+     AND type = 'commission'
+     AND status IN ('pending', 'approved')
+     AND batch_id IS NULL
+     RETURNING *`,
+    [bookingId, reason]
+  );
+
+  // Comissões já pagas (ou em lote de pagamento enviado ao banco) geram um
+  // estorno negativo, descontado no próximo pagamento
+  const { rows: paidRows } = await client.query(
+    `SELECT c.* FROM commissions c
+     WHERE c.booking_id = $1 
+     AND c.type = 'commission'
+     AND (c.status = 'paid' OR (c.status = 'approved' AND c.batch_id IS NOT NULL))
+     AND NOT EXISTS (
+       SELECT 1 FROM commissions r WHERE r.reversed_commission_id = c.id
+     )
+     FOR UPDATE`,
+    [bookingId]
+  );
+
+  const clawbacks = [];
+
+  for (const paid of paidRows) {
+    const { rows } = await client.query(
+      `INSERT INTO commissions (
+         affiliate_id, booking_id, amount, percentage, level, source_affiliate_id,
+         commission_rule_id, status, type, reversed_commission_id, notes, approved_at, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'approved', 'clawback', $8, $9, NOW(), NOW())
+       RETURNING *`,
+      [
+        paid.affiliate_id, bookingId, -paid.amount, paid.percentage,
+        paid.level, paid.source_affiliate_id, paid.commission_rule_id,
+        paid.id, reason || 'Estorno por cancelamento do agendamento'
+      ]
+    );
+
+    await client.query(
+      `UPDATE affiliates 
+       SET total_commission = total_commission - $1,
+           updated_at = NOW()
+       WHERE id = $2`,
+      [paid.amount, paid.affiliate_id]
+    );
+
+    clawbacks.push(rows[0]);
+  }
+
+  return { cancelled, clawbacks };
+}
+
+// Compensa estornos em aberto do afiliado contra um pagamento de valor `amount`.
+// Retorna os estornos liquidados e o valor líquido a transferir.
+async function settleClawbacks(client, affiliateId, amount, paymentData) {
+  const { rows: openClawbacks } = await client.query(
+    `SELECT * FROM commissions 
+     WHERE affiliate_id = $1 AND type = 'clawback' AND status = 'approved' AND batch_id IS NULL
+     ORDER BY created_at ASC
+     FOR UPDATE`,
+    [affiliateId]
+  );
+
+  let netAmount = parseFloat(amount);
+  const settled = [];
+
+  for (const clawback of openClawbacks) {
+    const clawbackAmount = parseFloat(clawback.amount);
+
+    if (netAmount + clawbackAmount < 0) {
+      break;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE commissions 
+       SET status = 'paid',
+           payment_date = NOW(),
+           payment_method = $2,
+           payment_reference = $3,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [clawback.id, paymentData.payment_method, paymentData.payment_reference]
+    );
+
+    netAmount += clawbackAmount;
+    settled.push(rows[0]);
+  }
+
+  return { settled, netAmount: Math.round(netAmount * 100) / 100 };
+}
+
+module.exports = {
+  MAX_COMMISSION_LEVELS,
+  findApplicableRule,
+  createBookingCommissions,
+  reverseBookingCommissions,
+  settleClawbacks
+};
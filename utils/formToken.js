@@ -0,0 +1,72 @@
+// Token assinado de formulário para proteção contra bots no fluxo público
+
+const crypto = require('crypto');
+const { hashToken } = require('./helpers');
+
+// Tempo mínimo de preenchimento (bots enviam imediatamente) e validade máxima
+const MIN_FILL_SECONDS = parseInt(process.env.FORM_TOKEN_MIN_SECONDS) || 3;
+const MAX_AGE_SECONDS = parseInt(process.env.FORM_TOKEN_MAX_AGE_SECONDS) || 2 * 60 * 60;
+
+function getSecret() {
+  return process.env.FORM_TOKEN_SECRET || process.env.JWT_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getSecret()).update(payload).digest('hex');
+}
+
+// Gerar token no formato "<timestamp>.<nonce>.<assinatura>"
+function generateFormToken() {
+  const payload = `${Date.now()}.${crypto.randomBytes(8).toString('hex')}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// Validar assinatura e janela de tempo do token
+function verifyFormToken(token) {
+  if (typeof token !== 'string') {
+    return false;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return false;
+  }
+
+  const payload = `${parts[0]}.${parts[1]}`;
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(parts[2]);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return false;
+  }
+
+  const ageSeconds = (Date.now() - parseInt(parts[0])) / 1000;
+  return ageSeconds >= MIN_FILL_SECONDS && ageSeconds <= MAX_AGE_SECONDS;
+}
+
+// Validar e registrar o uso do token: cada token vale para um único envio.
+// Deve ser executada na transação que cria o agendamento (falhas liberam o token).
+async function consumeFormToken(client, token) {
+  if (!verifyFormToken(token)) {
+    return false;
+  }
+
+  await client.query('DELETE FROM public_form_tokens WHERE expires_at < NOW()');
+
+  const issuedAt = parseInt(token.split('.')[0]);
+  const { rows } = await client.query(
+    `INSERT INTO public_form_tokens (token_hash, expires_at, used_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (token_hash) DO NOTHING
+     RETURNING token_hash`,
+    [hashToken(token), new Date(issuedAt + MAX_AGE_SECONDS * 1000)]
+  );
+
+  return rows.length > 0;
+}
+
+module.exports = {
+  generateFormToken,
+  verifyFormToken,
+  consumeFormToken
+};
@@ -17,6 +17,44 @@ function generateSecureToken(length = 32) {
   return crypto.randomBytes(length).toString('hex');
 }
 
+// Hash SHA-256 de token (tokens são armazenados apenas como hash)
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Chave de criptografia dos dados sensíveis (derivada de DATA_ENCRYPTION_KEY)
+function getEncryptionKey() {
+  const secret = process.env.DATA_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('DATA_ENCRYPTION_KEY não configurada');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+// Criptografar texto com AES-256-GCM (formato: iv.tag.conteúdo em base64)
+function encryptSensitive(text) {
+  if (text === null || text === undefined) return null;
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+// Descriptografar texto gerado por encryptSensitive
+function decryptSensitive(payload) {
+  if (!payload) return null;
+
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
 // Validar email
 function isValidEmail(email) {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -31,6 +69,32 @@ function formatCurrency(amount) {
   });
 }
 
+// Validar CNPJ
+function isValidCNPJ(cnpj) {
+  if (!cnpj) return false;
+  
+  cnpj = cnpj.replace(/[^\d]/g, '');
+  
+  if (cnpj.length !== 14 || /^(.)\1*$/.test(cnpj)) return false;
+  
+  const calcDigit = (length) => {
+    const weights = length === 12
+      ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+      : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+    
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+      sum += parseInt(cnpj.charAt(i)) * weights[i];
+    }
+    
+    const rest = sum % 11;
+    return rest < 2 ? 0 : 11 - rest;
+  };
+  
+  return calcDigit(12) === parseInt(cnpj.charAt(12)) &&
+    calcDigit(13) === parseInt(cnpj.charAt(13));
+}
+
 // Validar CPF
 function isValidCPF(cpf) {
   if (!cpf) return false;
@@ -124,6 +188,10 @@ function maskSensitiveData(data, type = 'email') {
       const cpf = data.replace(/\D/g, '');
       return `***.***.${cpf.substring(6, 9)}-**`;
     
+    case 'cnpj':
+      const cnpj = data.replace(/\D/g, '');
+      return `**.***.***/${cnpj.substring(8, 12)}-**`;
+    
     default:
       return data.substring(0, 3) + '***';
   }
@@ -146,6 +214,24 @@ function isStrongPassword(password) {
   return hasUpper && hasLower && hasNumber && hasSymbol;
 }
 
+// Criar erro com status HTTP
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Escapar campo CSV (inclusive contra injeção de fórmulas em planilhas)
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=+\-@]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 // Debounce function
 function debounce(func, wait) {
   let timeout;
@@ -162,9 +248,13 @@ function debounce(func, wait) {
 module.exports = {
   generateReferralCode,
   generateSecureToken,
+  hashToken,
+  encryptSensitive,
+  decryptSensitive,
   isValidEmail,
   formatCurrency,
   isValidCPF,
+  isValidCNPJ,
   isValidPhone,
   sanitizeString,
   generateSlug,
@@ -172,5 +262,7 @@ module.exports = {
   maskSensitiveData,
   generateMD5,
   isStrongPassword,
+  createHttpError,
+  csvField,
   debounce
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Proteção contra força bruta no login: falhas por conta e por IP, atraso
+// progressivo, bloqueio temporário e registro de eventos de autenticação
+
+const { getClientInfo } = require('./sessions');
+const { sendAccountLockedEmail } = require('./mailer');
+
+// Política configurável por variáveis de ambiente
+const LOGIN_POLICY = {
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15,
+  ipMaxFailures: parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  delayBaseMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 250,
+  delayMaxMs: parseInt(process.env.LOGIN_DELAY_MAX_MS) || 5000
+};
+
+const ACCOUNT_LOCKED_MESSAGE = 'Conta bloqueada temporariamente por excesso de tentativas. Tente novamente mais tarde';
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Atraso antes de avaliar a tentativa: dobra a cada falha recente, até o máximo
+function getLoginDelay(failures) {
+  if (failures <= 0) {
+    return 0;
+  }
+
+  return Math.min(LOGIN_POLICY.delayBaseMs * 2 ** (failures - 1), LOGIN_POLICY.delayMaxMs);
+}
+
+function isAccountLocked(user) {
+  return Boolean(user.locked_until && new Date(user.locked_until) > new Date());
+}
+
+async function recordAuthEvent(db, eventType, req, { userId = null, email = null, metadata = null } = {}) {
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  await db.query(
+    `INSERT INTO auth_events (user_id, email, event_type, ip_address, user_agent, metadata, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+    [userId, email, eventType, ipAddress, userAgent, metadata ? JSON.stringify(metadata) : null]
+  );
+}
+
+// Falhas de login recentes a partir do IP da requisição
+async function getRecentIpFailures(db, req) {
+  const { ipAddress } = getClientInfo(req);
+
+  if (!ipAddress) {
+    return 0;
+  }
+
+  const { rows } = await db.query(
+    `SELECT COUNT(*) as total FROM auth_events
+     WHERE event_type = 'login_failure' AND ip_address = $1
+     AND created_at > NOW() - make_interval(mins => $2)`,
+    [ipAddress, LOGIN_POLICY.failureWindowMinutes]
+  );
+
+  return parseInt(rows[0].total);
+}
+
+// Registrar falha da conta; ao atingir o limite, bloqueia, registra o evento e avisa por email
+async function registerFailedLogin(db, user, req, metadata = null) {
+  await recordAuthEvent(db, 'login_failure', req, { userId: user.id, email: user.email, metadata });
+
+  const { rows } = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = CASE
+           WHEN last_failed_login_at > NOW() - make_interval(mins => $2) THEN failed_login_attempts + 1
+           ELSE 1
+         END,
+         last_failed_login_at = NOW()
+     WHERE id = $1
+     RETURNING failed_login_attempts`,
+    [user.id, LOGIN_POLICY.failureWindowMinutes]
+  );
+
+  if (rows.length === 0 || rows[0].failed_login_attempts < LOGIN_POLICY.maxFailures) {
+    return { locked: false };
+  }
+
+  // Nova contagem após o bloqueio
+  const { rows: lockedRows } = await db.query(
+    `UPDATE users
+     SET locked_until = NOW() + make_interval(mins => $2), failed_login_attempts = 0
+     WHERE id = $1
+     RETURNING locked_until`,
+    [user.id, LOGIN_POLICY.lockoutMinutes]
+  );
+
+  const lockedUntil = lockedRows[0].locked_until;
+
+  await recordAuthEvent(db, 'account_locked', req, {
+    userId: user.id,
+    email: user.email,
+    metadata: { locked_until: lockedUntil }
+  });
+
+  sendAccountLockedEmail(user, lockedUntil).catch((error) => {
+    console.error('Erro ao enviar aviso de bloqueio:', error);
+  });
+
+  return { locked: true, lockedUntil };
+}
+
+// Zerar falhas e bloqueio (login bem-sucedido, redefinição de senha ou desbloqueio manual)
+async function clearFailedLogins(db, userId) {
+  const { rows } = await db.query(
+    `UPDATE users
+     SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1
+     RETURNING id`,
+    [userId]
+  );
+
+  return rows.length > 0;
+}
+
+module.exports = {
+  LOGIN_POLICY,
+  ACCOUNT_LOCKED_MESSAGE,
+  sleep,
+  getLoginDelay,
+  isAccountLocked,
+  recordAuthEvent,
+  getRecentIpFailures,
+  registerFailedLogin,
+  clearFailedLogins
+};
@@ -0,0 +1,165 @@
+const nodemailer = require('nodemailer');
+
+const APP_NAME = 'Lunara Afiliados';
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+
+  return transporter;
+}
+
+// URL pública do frontend, usada nos links enviados por email
+function getAppUrl() {
+  return (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+}
+
+// Escapar valores interpolados no HTML (nomes e dados informados por usuários ou clientes)
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Enviar email (falhas são registradas sem interromper o fluxo da requisição)
+async function sendMail({ to, subject, html }) {
+  if (!process.env.SMTP_HOST) {
+    console.log(`📧 SMTP não configurado, email não enviado: "${subject}" para ${to}`);
+    return { success: false, skipped: true };
+  }
+
+  try {
+    const info = await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || `${APP_NAME} <noreply@lunara-afiliados.com>`,
+      to,
+      subject,
+      html
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Erro ao enviar email:', error);
+    return { success: false, error };
+  }
+}
+
+// Pedido de confirmação de agendamento feito pelo fluxo público
+async function sendBookingConfirmationRequestEmail(booking, token) {
+  const confirmUrl = `${getAppUrl()}/agendamento/confirmar?token=${token}`;
+  const scheduledDate = new Date(booking.scheduled_date).toLocaleDateString('pt-BR');
+
+  return sendMail({
+    to: booking.client_email,
+    subject: `Confirme seu agendamento - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(booking.client_name)}!</p>
+      <p>Recebemos seu pedido de agendamento para ${escapeHtml(scheduledDate)} às ${escapeHtml(booking.scheduled_time.slice(0, 5))}.</p>
+      <p>Para garantir seu horário, confirme pelo link abaixo:</p>
+      <p><a href="${escapeHtml(confirmUrl)}">${escapeHtml(confirmUrl)}</a></p>
+      <p>Se você não fez este pedido, ignore este email.</p>
+    `
+  });
+}
+
+// Aviso de alteração dos dados de pagamento do afiliado
+async function sendPayoutProfileChangedEmail(user, { changedByAdmin = false } = {}) {
+  const changedAt = new Date().toLocaleString('pt-BR');
+
+  return sendMail({
+    to: user.email,
+    subject: `Seus dados de pagamento foram alterados - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(user.name)}!</p>
+      <p>Os dados de pagamento da sua conta de afiliado foram alterados em ${changedAt}${changedByAdmin ? ' por um administrador' : ''}.</p>
+      <p>Se você não reconhece esta alteração, entre em contato com o suporte imediatamente.</p>
+    `
+  });
+}
+
+// Link de verificação do email informado no cadastro
+async function sendEmailVerificationEmail(user, token) {
+  const verifyUrl = `${getAppUrl()}/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: `Confirme seu email - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(user.name)}!</p>
+      <p>Confirme seu email para ativar sua conta:</p>
+      <p><a href="${verifyUrl}">${verifyUrl}</a></p>
+      <p>Se você não criou esta conta, ignore este email.</p>
+    `
+  });
+}
+
+// Aviso de cadastro com um email que já tem conta
+async function sendRegistrationAttemptEmail(user) {
+  const loginUrl = `${getAppUrl()}/auth/login`;
+  const forgotUrl = `${getAppUrl()}/auth/forgot-password`;
+
+  return sendMail({
+    to: user.email,
+    subject: `Tentativa de cadastro com seu email - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(user.name)}!</p>
+      <p>Recebemos um pedido de cadastro com este email, que já possui uma conta. Para acessar, faça login: <a href="${loginUrl}">${loginUrl}</a></p>
+      <p>Se esqueceu a senha, redefina-a em: <a href="${forgotUrl}">${forgotUrl}</a></p>
+      <p>Se você não fez este pedido, ignore este email.</p>
+    `
+  });
+}
+
+// Link de redefinição de senha
+async function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const resetUrl = `${getAppUrl()}/auth/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: `Redefinição de senha - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(user.name)}!</p>
+      <p>Recebemos um pedido para redefinir sua senha. Use o link abaixo em até ${expiresInMinutes} minutos:</p>
+      <p><a href="${resetUrl}">${resetUrl}</a></p>
+      <p>Se você não fez este pedido, ignore este email; sua senha continua a mesma.</p>
+    `
+  });
+}
+
+// Aviso de bloqueio temporário por excesso de tentativas de login
+async function sendAccountLockedEmail(user, lockedUntil) {
+  const unlockAt = new Date(lockedUntil).toLocaleString('pt-BR');
+
+  return sendMail({
+    to: user.email,
+    subject: `Acesso à sua conta bloqueado temporariamente - ${APP_NAME}`,
+    html: `
+      <p>Olá, ${escapeHtml(user.name)}!</p>
+      <p>Detectamos várias tentativas de login sem sucesso na sua conta. Por segurança, o acesso ficará bloqueado até ${unlockAt}.</p>
+      <p>Se não foi você, recomendamos redefinir sua senha: <a href="${getAppUrl()}/auth/forgot-password">${getAppUrl()}/auth/forgot-password</a></p>
+    `
+  });
+}
+
+module.exports = {
+  getAppUrl,
+  sendMail,
+  sendBookingConfirmationRequestEmail,
+  sendPayoutProfileChangedEmail,
+  sendEmailVerificationEmail,
+  sendRegistrationAttemptEmail,
+  sendPasswordResetEmail,
+  sendAccountLockedEmail
+};
@@ -0,0 +1,223 @@
+// Dados de pagamento dos afiliados (chave PIX, conta bancária e CPF/CNPJ)
+
+const {
+  createHttpError,
+  isValidCPF,
+  isValidCNPJ,
+  isValidEmail,
+  encryptSensitive,
+  decryptSensitive,
+  maskSensitiveData
+} = require('./helpers');
+
+const PIX_KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'random'];
+const BANK_ACCOUNT_TYPES = ['checking', 'savings'];
+
+const RANDOM_KEY_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Normalizar CPF/CNPJ do titular, identificando o tipo pelo tamanho
+function normalizeTaxId(taxId) {
+  const digits = (taxId || '').replace(/\D/g, '');
+
+  if (digits.length === 11 && isValidCPF(digits)) {
+    return { type: 'cpf', value: digits };
+  }
+
+  if (digits.length === 14 && isValidCNPJ(digits)) {
+    return { type: 'cnpj', value: digits };
+  }
+
+  throw createHttpError(400, 'CPF/CNPJ inválido');
+}
+
+// Normalizar chave PIX conforme o tipo informado
+function normalizePixKey(type, key) {
+  const raw = (key || '').trim();
+
+  switch (type) {
+    case 'cpf': {
+      const digits = raw.replace(/\D/g, '');
+      if (!isValidCPF(digits)) throw createHttpError(400, 'Chave PIX (CPF) inválida');
+      return digits;
+    }
+
+    case 'cnpj': {
+      const digits = raw.replace(/\D/g, '');
+      if (!isValidCNPJ(digits)) throw createHttpError(400, 'Chave PIX (CNPJ) inválida');
+      return digits;
+    }
+
+    case 'email': {
+      const email = raw.toLowerCase();
+      if (email.length > 77 || !isValidEmail(email)) throw createHttpError(400, 'Chave PIX (email) inválida');
+      return email;
+    }
+
+    case 'phone': {
+      // Chave de telefone no formato +55DDNNNNNNNNN
+      let digits = raw.replace(/\D/g, '');
+      if (digits.length === 13 && digits.startsWith('55')) digits = digits.substring(2);
+      if (!/^[1-9]{2}9\d{8}$/.test(digits)) throw createHttpError(400, 'Chave PIX (telefone) inválida');
+      return `+55${digits}`;
+    }
+
+    case 'random': {
+      const uuid = raw.toLowerCase();
+      if (!RANDOM_KEY_REGEX.test(uuid)) throw createHttpError(400, 'Chave PIX aleatória inválida');
+      return uuid;
+    }
+
+    default:
+      throw createHttpError(400, 'Tipo de chave PIX inválido');
+  }
+}
+
+// Validar conta bancária (alternativa à chave PIX)
+function normalizeBankAccount({ bank_code, bank_branch, bank_account, bank_account_type }) {
+  const branch = (bank_branch || '').replace(/\D/g, '');
+  const account = (bank_account || '').replace(/[^\dXx]/g, '').toUpperCase();
+
+  if (!/^\d{3}$/.test(bank_code || '')) throw createHttpError(400, 'Código do banco inválido');
+  if (!/^\d{4,5}$/.test(branch)) throw createHttpError(400, 'Agência inválida');
+  if (!/^\d{3,12}[\dX]$/.test(account)) throw createHttpError(400, 'Conta bancária inválida');
+  if (!BANK_ACCOUNT_TYPES.includes(bank_account_type)) throw createHttpError(400, 'Tipo de conta inválido');
+
+  return { bank_code, branch, account, bank_account_type };
+}
+
+// Validar e criptografar os dados recebidos para gravação
+function buildPayoutProfileRecord(data) {
+  const holderName = (data.holder_name || '').trim();
+
+  if (holderName.length < 2 || holderName.length > 255) {
+    throw createHttpError(400, 'Nome do titular obrigatório');
+  }
+
+  const taxId = normalizeTaxId(data.tax_id);
+  const hasPix = Boolean(data.pix_key_type || data.pix_key);
+  const hasBank = Boolean(data.bank_code || data.bank_branch || data.bank_account);
+
+  if (!hasPix && !hasBank) {
+    throw createHttpError(400, 'Informe uma chave PIX ou uma conta bancária');
+  }
+
+  const pixKey = hasPix ? normalizePixKey(data.pix_key_type, data.pix_key) : null;
+  const bank = hasBank ? normalizeBankAccount(data) : null;
+
+  return {
+    holder_name: holderName,
+    tax_id_type: taxId.type,
+    tax_id_encrypted: encryptSensitive(taxId.value),
+    pix_key_type: hasPix ? data.pix_key_type : null,
+    pix_key_encrypted: pixKey ? encryptSensitive(pixKey) : null,
+    bank_code: bank ? bank.bank_code : null,
+    bank_account_type: bank ? bank.bank_account_type : null,
+    bank_account_encrypted: bank
+      ? encryptSensitive(JSON.stringify({ branch: bank.branch, account: bank.account }))
+      : null
+  };
+}
+
+// Descriptografar o perfil gravado
+function decryptPayoutProfile(row) {
+  const bank = row.bank_account_encrypted
+    ? JSON.parse(decryptSensitive(row.bank_account_encrypted))
+    : null;
+
+  return {
+    affiliate_id: row.affiliate_id,
+    holder_name: row.holder_name,
+    tax_id_type: row.tax_id_type,
+    tax_id: decryptSensitive(row.tax_id_encrypted),
+    pix_key_type: row.pix_key_type,
+    pix_key: decryptSensitive(row.pix_key_encrypted),
+    bank_code: row.bank_code,
+    bank_branch: bank ? bank.branch : null,
+    bank_account: bank ? bank.account : null,
+    bank_account_type: row.bank_account_type,
+    updated_at: row.updated_at
+  };
+}
+
+function maskPixKey(type, key) {
+  if (!key) return null;
+
+  switch (type) {
+    case 'cpf':
+    case 'email':
+    case 'cnpj':
+      return maskSensitiveData(key, type);
+    case 'phone':
+      return maskSensitiveData(key.replace(/^\+55/, ''), 'phone');
+    default:
+      return `${key.substring(0, 4)}***${key.slice(-4)}`;
+  }
+}
+
+// Versão mascarada do perfil, usada em todas as respostas da API
+function maskPayoutProfile(profile) {
+  return {
+    ...profile,
+    tax_id: maskSensitiveData(profile.tax_id, profile.tax_id_type),
+    pix_key: maskPixKey(profile.pix_key_type, profile.pix_key),
+    bank_branch: profile.bank_branch ? `**${profile.bank_branch.slice(-2)}` : null,
+    bank_account: profile.bank_account ? `****${profile.bank_account.slice(-3)}` : null
+  };
+}
+
+// Buscar perfil de pagamento do afiliado (null quando não cadastrado)
+async function getPayoutProfile(db, affiliateId, { reveal = false } = {}) {
+  const { rows } = await db.query(
+    'SELECT * FROM affiliate_payout_profiles WHERE affiliate_id = $1',
+    [affiliateId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const profile = decryptPayoutProfile(rows[0]);
+  return reveal ? profile : maskPayoutProfile(profile);
+}
+
+// Gravar (criar ou substituir) o perfil de pagamento
+async function savePayoutProfile(db, affiliateId, data, userId) {
+  const record = buildPayoutProfileRecord(data);
+
+  const { rows } = await db.query(
+    `INSERT INTO affiliate_payout_profiles (
+       affiliate_id, holder_name, tax_id_type, tax_id_encrypted, pix_key_type, pix_key_encrypted,
+       bank_code, bank_account_type, bank_account_encrypted, updated_by, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+     ON CONFLICT (affiliate_id) DO UPDATE
+     SET holder_name = EXCLUDED.holder_name,
+         tax_id_type = EXCLUDED.tax_id_type,
+         tax_id_encrypted = EXCLUDED.tax_id_encrypted,
+         pix_key_type = EXCLUDED.pix_key_type,
+         pix_key_encrypted = EXCLUDED.pix_key_encrypted,
+         bank_code = EXCLUDED.bank_code,
+         bank_account_type = EXCLUDED.bank_account_type,
+         bank_account_encrypted = EXCLUDED.bank_account_encrypted,
+         updated_by = EXCLUDED.updated_by,
+         updated_at = NOW()
+     RETURNING *`,
+    [
+      affiliateId, record.holder_name, record.tax_id_type, record.tax_id_encrypted,
+      record.pix_key_type, record.pix_key_encrypted, record.bank_code,
+      record.bank_account_type, record.bank_account_encrypted, userId
+    ]
+  );
+
+  return maskPayoutProfile(decryptPayoutProfile(rows[0]));
+}
+
+module.exports = {
+  PIX_KEY_TYPES,
+  BANK_ACCOUNT_TYPES,
+  normalizeTaxId,
+  normalizePixKey,
+  decryptPayoutProfile,
+  maskPayoutProfile,
+  getPayoutProfile,
+  savePayoutProfile
+};
@@ -0,0 +1,354 @@
+// Lotes de pagamento de comissões e geração dos arquivos para o banco
+
+const { createHttpError, csvField } = require('./helpers');
+const { decryptPayoutProfile, maskPayoutProfile } = require('./payoutProfiles');
+
+// Trabalhar em centavos evita erros de arredondamento na soma dos valores
+function toCents(value) {
+  return Math.round(parseFloat(value) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+// Criar lote com as comissões liberadas (e estornos em aberto) agrupadas por afiliado.
+// Afiliados cujo valor líquido fica abaixo do mínimo permanecem para o próximo lote.
+async function createPayoutBatch(client, { affiliateIds, dateFrom, dateTo, minAmount, notes, userId }) {
+  const { rows: eligible } = await client.query(
+    `SELECT c.id, c.affiliate_id, c.amount, c.type
+     FROM commissions c
+     WHERE c.batch_id IS NULL
+     AND c.status = 'approved'
+     AND ($1::uuid[] IS NULL OR c.affiliate_id = ANY($1::uuid[]))
+     AND (
+       c.type = 'clawback'
+       OR (
+         c.type = 'commission'
+         AND ($2::date IS NULL OR c.created_at::date >= $2::date)
+         AND ($3::date IS NULL OR c.created_at::date <= $3::date)
+       )
+     )
+     ORDER BY c.created_at ASC
+     FOR UPDATE OF c`,
+    [affiliateIds && affiliateIds.length > 0 ? affiliateIds : null, dateFrom || null, dateTo || null]
+  );
+
+  const groups = new Map();
+
+  for (const row of eligible) {
+    if (!groups.has(row.affiliate_id)) {
+      groups.set(row.affiliate_id, { gross: 0, clawback: 0, count: 0, ids: [] });
+    }
+
+    const group = groups.get(row.affiliate_id);
+    const cents = toCents(row.amount);
+
+    if (row.type === 'clawback') {
+      group.clawback += cents;
+    } else {
+      group.gross += cents;
+      group.count++;
+    }
+
+    group.ids.push(row.id);
+  }
+
+  const minCents = toCents(minAmount || 0);
+  const included = [];
+  const skipped = [];
+
+  for (const [affiliateId, group] of groups) {
+    const net = group.gross + group.clawback;
+
+    if (group.gross === 0) {
+      continue;
+    }
+
+    if (net <= 0 || net < minCents) {
+      skipped.push({ affiliate_id: affiliateId, net_amount: fromCents(net) });
+      continue;
+    }
+
+    included.push({ affiliateId, net, ...group });
+  }
+
+  if (included.length === 0) {
+    throw createHttpError(400, 'Nenhum afiliado atinge o valor mínimo de pagamento no período');
+  }
+
+  const totalCents = included.reduce((sum, item) => sum + item.net, 0);
+  const commissionsCount = included.reduce((sum, item) => sum + item.count, 0);
+
+  const { rows: batchRows } = await client.query(
+    `INSERT INTO payout_batches (
+       date_from, date_to, min_amount, total_amount, affiliates_count,
+       commissions_count, notes, created_by, created_at
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+     RETURNING *`,
+    [
+      dateFrom || null, dateTo || null, fromCents(minCents), fromCents(totalCents),
+      included.length, commissionsCount, notes || null, userId
+    ]
+  );
+
+  const batch = batchRows[0];
+  const items = [];
+
+  for (const item of included) {
+    const { rows } = await client.query(
+      `INSERT INTO payout_batch_items (
+         batch_id, affiliate_id, gross_amount, clawback_amount, net_amount, commissions_count, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING *`,
+      [batch.id, item.affiliateId, fromCents(item.gross), fromCents(item.clawback), fromCents(item.net), item.count]
+    );
+
+    await client.query(
+      'UPDATE commissions SET batch_id = $1, updated_at = NOW() WHERE id = ANY($2::uuid[])',
+      [batch.id, item.ids]
+    );
+
+    items.push(rows[0]);
+  }
+
+  return { ...batch, items, skipped };
+}
+
+// Buscar lote bloqueando-o para alteração de status
+async function lockPayoutBatch(client, batchId) {
+  const { rows } = await client.query(
+    'SELECT * FROM payout_batches WHERE id = $1 FOR UPDATE',
+    [batchId]
+  );
+
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Lote de pagamento não encontrado');
+  }
+
+  return rows[0];
+}
+
+// Marcar o lote como exportado (arquivo gerado para o banco)
+async function markBatchExported(client, batchId) {
+  const batch = await lockPayoutBatch(client, batchId);
+
+  if (batch.status === 'cancelled') {
+    throw createHttpError(409, 'Lote de pagamento cancelado');
+  }
+
+  if (batch.status === 'draft') {
+    const { rows } = await client.query(
+      `UPDATE payout_batches
+       SET status = 'exported', exported_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [batchId]
+    );
+    return rows[0];
+  }
+
+  return batch;
+}
+
+// Confirmar o pagamento do lote: comissões e estornos pagos e totais dos afiliados
+// atualizados na mesma transação
+async function markBatchPaid(client, batchId, { payment_method, payment_reference }, userId) {
+  const batch = await lockPayoutBatch(client, batchId);
+
+  if (batch.status !== 'exported') {
+    throw createHttpError(409, batch.status === 'draft'
+      ? 'Exporte o arquivo do lote antes de confirmar o pagamento'
+      : 'Lote de pagamento já processado');
+  }
+
+  const { rows: paidRows } = await client.query(
+    `UPDATE commissions
+     SET status = 'paid',
+         payment_date = NOW(),
+         payment_method = $2,
+         payment_reference = $3,
+         updated_at = NOW()
+     WHERE batch_id = $1 AND status = 'approved'
+     RETURNING id`,
+    [batchId, payment_method, payment_reference]
+  );
+
+  // Estornos já foram descontados do total no momento do cancelamento
+  await client.query(
+    `UPDATE affiliates a
+     SET total_commission = a.total_commission + i.gross_amount,
+         updated_at = NOW()
+     FROM payout_batch_items i
+     WHERE i.batch_id = $1 AND a.id = i.affiliate_id`,
+    [batchId]
+  );
+
+  const { rows } = await client.query(
+    `UPDATE payout_batches
+     SET status = 'paid',
+         payment_method = $2,
+         payment_reference = $3,
+         paid_at = NOW(),
+         paid_by = $4,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [batchId, payment_method, payment_reference, userId]
+  );
+
+  return { ...rows[0], paid_commissions: paidRows.length };
+}
+
+// Cancelar lote ainda não pago, liberando as comissões para um próximo lote
+async function cancelPayoutBatch(client, batchId) {
+  const batch = await lockPayoutBatch(client, batchId);
+
+  if (!['draft', 'exported'].includes(batch.status)) {
+    throw createHttpError(409, 'Apenas lotes não pagos podem ser cancelados');
+  }
+
+  await client.query(
+    `UPDATE commissions
+     SET batch_id = NULL, updated_at = NOW()
+     WHERE batch_id = $1 AND status = 'approved'`,
+    [batchId]
+  );
+
+  const { rows } = await client.query(
+    `UPDATE payout_batches
+     SET status = 'cancelled', cancelled_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [batchId]
+  );
+
+  return rows[0];
+}
+
+// Itens do lote com os dados do favorecido. Os dados de pagamento só são
+// revelados na geração do arquivo para o banco.
+async function getPayoutBatchItems(db, batchId, { reveal = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT
+       i.*,
+       af.referral_code,
+       u.name as affiliate_name,
+       u.email as affiliate_email,
+       p.affiliate_id as profile_affiliate_id,
+       p.holder_name,
+       p.tax_id_type,
+       p.tax_id_encrypted,
+       p.pix_key_type,
+       p.pix_key_encrypted,
+       p.bank_code,
+       p.bank_account_type,
+       p.bank_account_encrypted
+     FROM payout_batch_items i
+     JOIN affiliates af ON i.affiliate_id = af.id
+     JOIN users u ON af.user_id = u.id
+     LEFT JOIN affiliate_payout_profiles p ON p.affiliate_id = i.affiliate_id
+     WHERE i.batch_id = $1
+     ORDER BY u.name ASC`,
+    [batchId]
+  );
+
+  return rows.map(row => {
+    const {
+      profile_affiliate_id, holder_name, tax_id_type, tax_id_encrypted, pix_key_type,
+      pix_key_encrypted, bank_code, bank_account_type, bank_account_encrypted, ...item
+    } = row;
+
+    if (!profile_affiliate_id) {
+      return { ...item, payout_profile: null };
+    }
+
+    const profile = decryptPayoutProfile({
+      affiliate_id: profile_affiliate_id, holder_name, tax_id_type, tax_id_encrypted,
+      pix_key_type, pix_key_encrypted, bank_code, bank_account_type, bank_account_encrypted
+    });
+
+    return { ...item, payout_profile: reveal ? profile : maskPayoutProfile(profile) };
+  });
+}
+
+function formatAmount(value) {
+  return parseFloat(value).toFixed(2);
+}
+
+// Planilha de conferência do lote
+function buildPayoutCsv(batch, items) {
+  const header = [
+    'lote', 'afiliado', 'email', 'codigo', 'comissoes',
+    'valor_bruto', 'estornos', 'valor_liquido'
+  ];
+
+  const lines = items.map(item => [
+    batch.id,
+    item.affiliate_name,
+    item.affiliate_email,
+    item.referral_code,
+    item.commissions_count,
+    formatAmount(item.gross_amount),
+    formatAmount(item.clawback_amount),
+    formatAmount(item.net_amount)
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// Texto sem acentos, sem separadores e em maiúsculas, como exigido nos arquivos bancários
+function pixText(value, maxLength) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[;\r\n]/g, ' ')
+    .toUpperCase()
+    .slice(0, maxLength);
+}
+
+// Arquivo de pagamentos PIX em lote (registro H = cabeçalho, D = detalhe, T = trailer).
+// Sem chave PIX, a transferência usa a conta bancária do favorecido. O identificador
+// de cada transferência é o ID do item, usado na conciliação.
+function buildPixBatchFile(batch, items) {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const total = items.reduce((sum, item) => sum + toCents(item.net_amount), 0);
+
+  const lines = [
+    ['H', batch.id.replace(/-/g, ''), date, items.length, formatAmount(fromCents(total))].join(';')
+  ];
+
+  items.forEach((item, index) => {
+    const profile = item.payout_profile || {};
+
+    lines.push([
+      'D',
+      index + 1,
+      pixText(profile.pix_key_type, 10),
+      profile.pix_key || '',
+      pixText(profile.holder_name || item.affiliate_name, 60),
+      profile.tax_id || '',
+      profile.bank_code || '',
+      profile.bank_branch || '',
+      profile.bank_account || '',
+      pixText(profile.bank_account_type, 10),
+      formatAmount(item.net_amount),
+      item.id.replace(/-/g, '')
+    ].join(';'));
+  });
+
+  lines.push(['T', items.length, formatAmount(fromCents(total))].join(';'));
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  createPayoutBatch,
+  lockPayoutBatch,
+  markBatchExported,
+  markBatchPaid,
+  cancelPayoutBatch,
+  getPayoutBatchItems,
+  buildPayoutCsv,
+  buildPixBatchFile
+};
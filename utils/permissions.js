@@ -0,0 +1,113 @@
+// Papéis e permissões armazenados no banco
+
+const { createHttpError } = require('./helpers');
+
+// Papel com todas as permissões, que não pode ser alterado (evita perder o acesso administrativo)
+const ADMIN_ROLE = 'admin';
+
+const ROLE_QUERY = `
+  SELECT
+    r.*,
+    ARRAY(
+      SELECT rp.permission FROM role_permissions rp
+      WHERE rp.role_id = r.id ORDER BY rp.permission
+    ) as permissions,
+    (SELECT COUNT(*) FROM users u WHERE u.role = r.name) as users_count
+  FROM roles r`;
+
+async function getPermissions(db) {
+  const { rows } = await db.query('SELECT key, description FROM permissions ORDER BY key');
+  return rows;
+}
+
+async function getRoles(db) {
+  const { rows } = await db.query(`${ROLE_QUERY} ORDER BY r.is_system DESC, r.name`);
+  return rows;
+}
+
+async function getRole(db, roleId) {
+  const { rows } = await db.query(`${ROLE_QUERY} WHERE r.id = $1`, [roleId]);
+  return rows[0] || null;
+}
+
+async function setRolePermissions(client, roleId, permissions) {
+  await client.query('DELETE FROM role_permissions WHERE role_id = $1', [roleId]);
+
+  await client.query(
+    `INSERT INTO role_permissions (role_id, permission)
+     SELECT $1, permission FROM unnest($2::text[]) as permission
+     ON CONFLICT DO NOTHING`,
+    [roleId, permissions]
+  );
+}
+
+async function createRole(client, { name, description, permissions }) {
+  const { rows } = await client.query(
+    `INSERT INTO roles (name, description, is_system, created_at)
+     VALUES ($1, $2, FALSE, NOW())
+     RETURNING id`,
+    [name, description || null]
+  );
+
+  await setRolePermissions(client, rows[0].id, permissions);
+
+  return getRole(client, rows[0].id);
+}
+
+async function getEditableRole(client, roleId) {
+  const { rows } = await client.query('SELECT * FROM roles WHERE id = $1 FOR UPDATE', [roleId]);
+
+  if (rows.length === 0) {
+    throw createHttpError(404, 'Papel não encontrado');
+  }
+
+  if (rows[0].name === ADMIN_ROLE) {
+    throw createHttpError(409, 'O papel admin não pode ser alterado');
+  }
+
+  return rows[0];
+}
+
+async function updateRole(client, roleId, { description, permissions }) {
+  await getEditableRole(client, roleId);
+
+  if (description !== undefined) {
+    await client.query(
+      'UPDATE roles SET description = $2, updated_at = NOW() WHERE id = $1',
+      [roleId, description || null]
+    );
+  }
+
+  if (permissions !== undefined) {
+    await setRolePermissions(client, roleId, permissions);
+  }
+
+  return getRole(client, roleId);
+}
+
+async function deleteRole(client, roleId) {
+  const role = await getEditableRole(client, roleId);
+
+  if (role.is_system) {
+    throw createHttpError(409, 'Papéis de sistema não podem ser removidos');
+  }
+
+  const { rows } = await client.query('SELECT COUNT(*) as total FROM users WHERE role = $1', [role.name]);
+
+  if (parseInt(rows[0].total) > 0) {
+    throw createHttpError(409, 'Existem usuários com este papel');
+  }
+
+  await client.query('DELETE FROM roles WHERE id = $1', [roleId]);
+}
+
+module.exports = {
+  ADMIN_ROLE,
+  getPermissions,
+  getRoles,
+  getRole,
+  getEditableRole,
+  createRole,
+  updateRole,
+  deleteRole
+};
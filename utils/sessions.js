@@ -0,0 +1,177 @@
+// Sessões de login: access tokens curtos e refresh tokens rotativos
+
+const jwt = require('jsonwebtoken');
+const { generateSecureToken, hashToken, createHttpError } = require('./helpers');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 15;
+
+// Access token (JWT) vinculado à sessão
+function signAccessToken(user, sessionId, { impersonatorId = null, expiresIn = ACCESS_TOKEN_TTL } = {}) {
+  const payload = { userId: user.id, email: user.email, role: user.role, sid: sessionId };
+
+  if (impersonatorId) {
+    payload.imp = impersonatorId;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+}
+
+function getClientInfo(req) {
+  return {
+    userAgent: (req.get('user-agent') || '').substring(0, 500) || null,
+    ipAddress: req.ip || null
+  };
+}
+
+async function issueRefreshToken(db, sessionId) {
+  const refreshToken = generateSecureToken();
+
+  await db.query(
+    'INSERT INTO refresh_tokens (session_id, token_hash, created_at) VALUES ($1, $2, NOW())',
+    [sessionId, hashToken(refreshToken)]
+  );
+
+  return refreshToken;
+}
+
+// Abrir sessão após o login (twoFactorVerified: segundo fator confirmado no login)
+async function createSession(db, user, req, { twoFactorVerified = false } = {}) {
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const { rows } = await db.query(
+    `INSERT INTO user_sessions (
+       user_id, user_agent, ip_address, last_used_at, expires_at, two_factor_verified_at, created_at
+     ) VALUES ($1, $2, $3, NOW(), NOW() + make_interval(days => $4), CASE WHEN $5::boolean THEN NOW() END, NOW())
+     RETURNING id, expires_at`,
+    [user.id, userAgent, ipAddress, REFRESH_TOKEN_TTL_DAYS, twoFactorVerified]
+  );
+
+  const session = rows[0];
+
+  return {
+    session_id: session.id,
+    token: signAccessToken(user, session.id),
+    refresh_token: await issueRefreshToken(db, session.id),
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+// Sessão curta, sem refresh token, aberta por um administrador em nome do usuário
+async function createImpersonationSession(db, user, impersonatorId, req, reason) {
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  const { rows } = await db.query(
+    `INSERT INTO user_sessions (
+       user_id, user_agent, ip_address, last_used_at, expires_at,
+       impersonated_by, impersonation_reason, created_at
+     ) VALUES ($1, $2, $3, NOW(), NOW() + make_interval(mins => $4), $5, $6, NOW())
+     RETURNING id, expires_at`,
+    [user.id, userAgent, ipAddress, IMPERSONATION_TTL_MINUTES, impersonatorId, reason || null]
+  );
+
+  const session = rows[0];
+
+  return {
+    session_id: session.id,
+    token: signAccessToken(user, session.id, {
+      impersonatorId,
+      expiresIn: `${IMPERSONATION_TTL_MINUTES}m`
+    }),
+    expires_at: session.expires_at,
+    expires_in: `${IMPERSONATION_TTL_MINUTES}m`
+  };
+}
+
+// Trocar o refresh token por um novo par de tokens. O uso de um token já
+// rotacionado indica vazamento e revoga a sessão inteira.
+async function rotateRefreshToken(client, refreshToken, req) {
+  const { rows } = await client.query(
+    `SELECT
+       rt.id, rt.rotated_at, s.id as session_id, s.revoked_at, s.expires_at,
+       u.id as user_id, u.email, u.role, u.is_active
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON rt.session_id = s.id
+     JOIN users u ON s.user_id = u.id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt, s`,
+    [hashToken(refreshToken)]
+  );
+
+  if (rows.length === 0) {
+    throw createHttpError(401, 'Refresh token inválido');
+  }
+
+  const current = rows[0];
+
+  if (current.rotated_at) {
+    await revokeSession(client, current.session_id, 'reuse_detected');
+    return { reuseDetected: true };
+  }
+
+  if (current.revoked_at || new Date(current.expires_at) <= new Date() || !current.is_active) {
+    throw createHttpError(401, 'Sessão expirada. Faça login novamente');
+  }
+
+  const { userAgent, ipAddress } = getClientInfo(req);
+
+  await client.query(
+    'UPDATE refresh_tokens SET rotated_at = NOW() WHERE id = $1',
+    [current.id]
+  );
+
+  await client.query(
+    `UPDATE user_sessions
+     SET last_used_at = NOW(), user_agent = COALESCE($2, user_agent), ip_address = COALESCE($3, ip_address)
+     WHERE id = $1`,
+    [current.session_id, userAgent, ipAddress]
+  );
+
+  const user = { id: current.user_id, email: current.email, role: current.role };
+
+  return {
+    session_id: current.session_id,
+    token: signAccessToken(user, current.session_id),
+    refresh_token: await issueRefreshToken(client, current.session_id),
+    expires_in: ACCESS_TOKEN_TTL
+  };
+}
+
+// Revogar uma sessão (access e refresh tokens deixam de valer)
+async function revokeSession(db, sessionId, reason, userId = null) {
+  const { rows } = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE id = $1 AND revoked_at IS NULL
+     AND ($3::uuid IS NULL OR user_id = $3::uuid)
+     RETURNING id`,
+    [sessionId, reason, userId]
+  );
+
+  return rows.length > 0;
+}
+
+// Revogar todas as sessões do usuário, exceto a informada
+async function revokeUserSessions(db, userId, reason, exceptSessionId = null) {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions
+     SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL
+     AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [userId, reason, exceptSessionId]
+  );
+
+  return rowCount;
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  getClientInfo,
+  signAccessToken,
+  createSession,
+  createImpersonationSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+};
@@ -0,0 +1,76 @@
+// Configurações do sistema armazenadas na tabela settings
+
+const { recordAudit } = require('./audit');
+
+// Valores padrão usados quando a configuração ainda não existe no banco
+const DEFAULT_SETTINGS = {
+  attribution: {
+    model: 'last_click',
+    window_days: parseInt(process.env.ATTRIBUTION_WINDOW_DAYS) || 30
+  },
+  // Percentual de override por nível acima da venda direta (nível 2, nível 3...)
+  commission_levels: {
+    override_rates: [5, 2]
+  },
+  // Janela móvel (em dias) usada na avaliação dos níveis de desempenho
+  tiers: {
+    window_days: 90
+  },
+  // Valor líquido mínimo para incluir o afiliado em um lote de pagamento
+  payouts: {
+    min_amount: 50
+  }
+};
+
+// Buscar configuração, mesclada com os valores padrão
+async function getSetting(db, key) {
+  const { rows } = await db.query(
+    'SELECT value FROM settings WHERE key = $1',
+    [key]
+  );
+
+  return {
+    ...(DEFAULT_SETTINGS[key] || {}),
+    ...(rows[0] ? rows[0].value : {})
+  };
+}
+
+// Gravar configuração (substitui o valor anterior)
+async function saveSetting(db, key, value, userId) {
+  const { rows } = await db.query(
+    `INSERT INTO settings (key, value, updated_by, created_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (key) DO UPDATE 
+     SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING key, value, updated_at`,
+    [key, JSON.stringify(value), userId]
+  );
+
+  return rows[0];
+}
+
+// Gravar configuração pela rota, registrando no log de auditoria o valor anterior e o
+// novo na mesma transação
+async function saveAuditedSetting(client, req, res, key, value) {
+  await client.query('SELECT 1 FROM settings WHERE key = $1 FOR UPDATE', [key]);
+
+  const previous = await getSetting(client, key);
+  const saved = await saveSetting(client, key, value, req.user.id);
+
+  await recordAudit(client, req, res, {
+    action: 'settings.update',
+    entityType: 'setting',
+    entityId: key,
+    before: previous,
+    after: saved.value
+  });
+
+  return saved;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  getSetting,
+  saveSetting,
+  saveAuditedSetting
+};
@@ -0,0 +1,137 @@
+// Avaliação dos níveis de desempenho (tiers) dos afiliados
+
+const { getSetting } = require('./settings');
+const { appendAuditLog, diffChanges } = require('./audit');
+
+// Chave do advisory lock que impede avaliações simultâneas (várias instâncias)
+const TIER_EVALUATION_LOCK = 710011;
+
+// Métricas do afiliado (vendas diretas concluídas) dentro da janela móvel
+async function getAffiliateTierMetrics(db, affiliateId, windowDays) {
+  const { rows } = await db.query(
+    `SELECT 
+       COUNT(*) as completed_bookings,
+       COALESCE(SUM(total_amount), 0) as revenue
+     FROM bookings
+     WHERE affiliate_id = $1
+     AND status = 'completed'
+     AND completed_at >= NOW() - make_interval(days => $2)`,
+    [affiliateId, windowDays]
+  );
+
+  return {
+    completed_bookings: parseInt(rows[0].completed_bookings),
+    revenue: parseFloat(rows[0].revenue)
+  };
+}
+
+// Níveis ativos, do menor para o maior
+async function getActiveTiers(db) {
+  const { rows } = await db.query(
+    'SELECT * FROM commission_tiers WHERE is_active = true ORDER BY position ASC'
+  );
+  return rows;
+}
+
+// Maior nível cujos requisitos foram atingidos (ou o menor nível, se nenhum)
+function findQualifyingTier(tiers, metrics) {
+  let qualifying = tiers[0] || null;
+
+  for (const tier of tiers) {
+    if (metrics.completed_bookings >= tier.min_completed_bookings && metrics.revenue >= parseFloat(tier.min_revenue)) {
+      qualifying = tier;
+    }
+  }
+
+  return qualifying;
+}
+
+// Reavaliar o nível de todos os afiliados ativos. A taxa do nível é copiada para
+// affiliates.commission_rate, exceto quando o admin travou uma taxa manual.
+// Mudanças de nível ou taxa vão para o log de auditoria na mesma transação, em nome de
+// `actorId` (reavaliação manual) ou do sistema (agendada).
+async function evaluateAffiliateTiers(pool, { actorId = null } = {}) {
+  const client = await pool.connect();
+
+  try {
+    const { rows: lockRows } = await client.query(
+      'SELECT pg_try_advisory_lock($1) as locked',
+      [TIER_EVALUATION_LOCK]
+    );
+
+    if (!lockRows[0].locked) {
+      return { skipped: true, changes: [] };
+    }
+
+    try {
+      const tiers = await getActiveTiers(client);
+      if (tiers.length === 0) {
+        return { skipped: false, changes: [] };
+      }
+
+      const { window_days } = await getSetting(client, 'tiers');
+      const { rows: affiliates } = await client.query(
+        'SELECT id, tier_id, commission_rate, commission_rate_locked FROM affiliates WHERE is_active = true'
+      );
+
+      const changes = [];
+
+      for (const affiliate of affiliates) {
+        const metrics = await getAffiliateTierMetrics(client, affiliate.id, window_days);
+        const tier = findQualifyingTier(tiers, metrics);
+
+        await client.query('BEGIN');
+
+        try {
+          const { rows: updatedRows } = await client.query(
+            `UPDATE affiliates 
+             SET tier_id = $2,
+                 commission_rate = CASE WHEN commission_rate_locked THEN commission_rate ELSE $3 END,
+                 tier_evaluated_at = NOW(),
+                 updated_at = NOW()
+             WHERE id = $1
+             RETURNING tier_id, commission_rate`,
+            [affiliate.id, tier.id, tier.commission_rate]
+          );
+
+          const before = { tier_id: affiliate.tier_id, commission_rate: affiliate.commission_rate };
+          const after = updatedRows[0];
+
+          if (before.tier_id !== after.tier_id || before.commission_rate !== after.commission_rate) {
+            await appendAuditLog(client, {
+              actor_id: actorId,
+              actor_type: actorId ? 'user' : 'system',
+              action: 'affiliate.tier_evaluation',
+              entity_type: 'affiliate',
+              entity_id: affiliate.id,
+              changes: diffChanges(before, after),
+              metadata: { metrics, window_days }
+            });
+          }
+
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        }
+
+        if (affiliate.tier_id !== tier.id) {
+          changes.push({ affiliate_id: affiliate.id, from_tier_id: affiliate.tier_id, to_tier_id: tier.id });
+        }
+      }
+
+      return { skipped: false, evaluated: affiliates.length, changes };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [TIER_EVALUATION_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getAffiliateTierMetrics,
+  getActiveTiers,
+  findQualifyingTier,
+  evaluateAffiliateTiers
+};
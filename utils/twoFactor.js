@@ -0,0 +1,186 @@
+// Autenticação em dois fatores: cadastro do TOTP, verificação e códigos de recuperação
+
+const jwt = require('jsonwebtoken');
+const {
+  generateSecureToken,
+  hashToken,
+  createHttpError,
+  encryptSensitive,
+  decryptSensitive
+} = require('./helpers');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri } = require('./totp');
+
+const TWO_FACTOR_ISSUER = 'Lunara Afiliados';
+
+// Papéis em que o segundo fator é obrigatório
+const TWO_FACTOR_REQUIRED_ROLES = ['admin'];
+
+const RECOVERY_CODES_COUNT = 10;
+
+// Validade do desafio entre a senha e o código no login
+const LOGIN_CHALLENGE_TTL = '5m';
+
+async function getTwoFactor(db, userId, { forUpdate = false } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM user_two_factor WHERE user_id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [userId]
+  );
+
+  return rows[0] || null;
+}
+
+async function isTwoFactorEnabled(db, userId) {
+  const twoFactor = await getTwoFactor(db, userId);
+  return Boolean(twoFactor && twoFactor.enabled_at);
+}
+
+// Iniciar cadastro: novo segredo pendente até a confirmação do primeiro código
+async function startEnrollment(db, user) {
+  const current = await getTwoFactor(db, user.id);
+
+  if (current && current.enabled_at) {
+    throw createHttpError(409, 'Autenticação em dois fatores já está ativa');
+  }
+
+  const secret = generateTotpSecret();
+
+  await db.query(
+    `INSERT INTO user_two_factor (user_id, secret_encrypted, created_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id) DO UPDATE
+     SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, updated_at = NOW()`,
+    [user.id, encryptSensitive(secret)]
+  );
+
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, user.email, TWO_FACTOR_ISSUER)
+  };
+}
+
+// Verificar código TOTP (cada código só pode ser usado uma vez)
+async function verifyTotpCode(client, userId, code, { pending = false } = {}) {
+  const twoFactor = await getTwoFactor(client, userId, { forUpdate: true });
+
+  if (!twoFactor || Boolean(twoFactor.enabled_at) === pending) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSensitive(twoFactor.secret_encrypted), code);
+
+  if (step === null || (twoFactor.last_used_step !== null && step <= Number(twoFactor.last_used_step))) {
+    return false;
+  }
+
+  await client.query(
+    'UPDATE user_two_factor SET last_used_step = $2, updated_at = NOW() WHERE user_id = $1',
+    [userId, step]
+  );
+
+  return true;
+}
+
+// Gerar novos códigos de recuperação (os anteriores deixam de valer)
+async function generateRecoveryCodes(client, userId) {
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+
+  const codes = [];
+
+  for (let i = 0; i < RECOVERY_CODES_COUNT; i++) {
+    const raw = generateSecureToken(5);
+    const code = `${raw.substring(0, 5)}-${raw.substring(5)}`;
+
+    await client.query(
+      'INSERT INTO two_factor_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, hashToken(code)]
+    );
+
+    codes.push(code);
+  }
+
+  return codes;
+}
+
+async function useRecoveryCode(client, userId, code) {
+  const { rows } = await client.query(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken((code || '').trim().toLowerCase())]
+  );
+
+  return rows.length > 0;
+}
+
+// Confirmar o cadastro com o primeiro código e devolver os códigos de recuperação
+async function confirmEnrollment(client, userId, code) {
+  if (!(await verifyTotpCode(client, userId, code, { pending: true }))) {
+    throw createHttpError(400, 'Código inválido');
+  }
+
+  await client.query(
+    'UPDATE user_two_factor SET enabled_at = NOW(), updated_at = NOW() WHERE user_id = $1',
+    [userId]
+  );
+
+  return generateRecoveryCodes(client, userId);
+}
+
+// Verificar segundo fator por código TOTP ou código de recuperação
+async function verifySecondFactor(client, userId, { code, recovery_code }) {
+  if (code) {
+    return verifyTotpCode(client, userId, code);
+  }
+
+  if (recovery_code) {
+    return useRecoveryCode(client, userId, recovery_code);
+  }
+
+  return false;
+}
+
+async function disableTwoFactor(client, userId) {
+  await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [userId]);
+}
+
+// Registrar a confirmação do segundo fator na sessão
+async function markSessionTwoFactorVerified(db, sessionId) {
+  await db.query(
+    'UPDATE user_sessions SET two_factor_verified_at = NOW() WHERE id = $1',
+    [sessionId]
+  );
+}
+
+// Desafio emitido após a senha correta, trocado pela sessão com o código
+function signLoginChallenge(user) {
+  return jwt.sign(
+    { userId: user.id, purpose: 'two_factor_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL }
+  );
+}
+
+function verifyLoginChallenge(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor_login' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED_ROLES,
+  getTwoFactor,
+  isTwoFactorEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  verifyTotpCode,
+  verifySecondFactor,
+  disableTwoFactor,
+  markSessionTwoFactorVerified,
+  signLoginChallenge,
+  verifyLoginChallenge
+};